@@ -0,0 +1,58 @@
+import database from './lib/database.js';
+import usageService, { toUsageDay } from './lib/usageService.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const json = args.includes('--json');
+
+const getArg = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+async function main() {
+  try {
+    // Defaults to the last 7 days
+    const from = getArg('--from') || toUsageDay(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
+    const to = getArg('--to');
+    const userId = getArg('--user') ? parseInt(getArg('--user'), 10) : null;
+
+    if (!DAY_PATTERN.test(from) || (to && !DAY_PATTERN.test(to))) {
+      throw new Error('Usage: npm run backfill:usage -- [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--user ID] [--dry-run] [--json]');
+    }
+
+    if (!json) {
+      console.log(`\n📈 Backfilling metered usage from ${from}${dryRun ? ' (dry run)' : ''}...\n`);
+    }
+
+    const report = await usageService.backfill({ from, to, userId, dryRun });
+
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      for (const item of report.created) {
+        console.log(`+ user=${item.userId} ${item.day}: ${item.activeDevices} active device(s)`);
+      }
+      for (const item of report.failed) {
+        console.log(`⚠️  user=${item.userId} ${item.day}: ${item.error}`);
+      }
+
+      const summary = dryRun ? 'to fill' : `filled, ${report.reported} reported`;
+      console.log(`\n${report.from}..${report.to}: ${report.created.length} day(s) ${summary}, ${report.existing} already recorded, ${report.failed.length} error(s)\n`);
+      if (dryRun && report.created.length > 0) {
+        console.log('Run without --dry-run to store and report these days.\n');
+      }
+    }
+
+    process.exitCode = report.failed.length > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
@@ -0,0 +1,33 @@
+/**
+ * Dunning Policy Configuration
+ * What happens to an account while its subscription is past due.
+ * Each step applies once the subscription has been past due for `day` days.
+ * Plans can set a policy of their own (`dunningPolicy` in the plan catalog);
+ * the rest use DEFAULT_DUNNING_POLICY.
+ */
+
+// Stages in escalation order
+export const DUNNING_STAGES = ['none', 'warning', 'readonly', 'disabled'];
+
+export const DEFAULT_DUNNING_POLICY = [
+  { day: 0, stage: 'warning' },
+  { day: 7, stage: 'readonly' },
+  { day: 14, stage: 'disabled' },
+];
+
+/**
+ * Get the stage a subscription should be in after daysPastDue days of a dunning policy.
+ * A plan's policy comes from the plan catalog (planCatalog.getDunningPolicy).
+ */
+export const getDunningStage = (policy, daysPastDue) => {
+  const step = policy
+    .filter(s => daysPastDue >= s.day)
+    .sort((a, b) => b.day - a.day)[0];
+
+  return step ? step.stage : 'none';
+};
+
+/**
+ * Compare two stages: positive when `a` is more severe than `b`
+ */
+export const compareDunningStages = (a, b) => DUNNING_STAGES.indexOf(a) - DUNNING_STAGES.indexOf(b);
@@ -1,4 +1,10 @@
 import dotenv from 'dotenv';
+import {
+  PLANS,
+  BILLING_INTERVALS,
+  SUPPORTED_CURRENCIES,
+  getPriceEnvName,
+} from './plans.js';
 
 dotenv.config();
 
@@ -10,12 +16,22 @@ const config = {
     secretKey: process.env.STRIPE_SECRET_KEY,
     publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
     webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
-    prices: {
-      test: process.env.STRIPE_PRICE_TEST,
-      basic: process.env.STRIPE_PRICE_BASIC,
-      moderate: process.env.STRIPE_PRICE_MODERATE,
-      advance: process.env.STRIPE_PRICE_ADVANCE,
-    },
+    // Price ID per built-in plan, billing interval and currency (prices.basic.year.EUR is STRIPE_PRICE_BASIC_YEARLY_EUR).
+    // Used for built-in plans at their built-in prices when tc_plan_prices has no Stripe price ID.
+    prices: Object.fromEntries(Object.values(PLANS).map(plan => [
+      plan.id,
+      Object.fromEntries(BILLING_INTERVALS.map(interval => [
+        interval,
+        Object.fromEntries(SUPPORTED_CURRENCIES.map(currency => [
+          currency,
+          process.env[getPriceEnvName(plan.id, interval, currency)],
+        ])),
+      ])),
+    ])),
+    // Stripe API base URL for the catalog sync, e.g. http://localhost:12111 for stripe-mock (default: Stripe's API)
+    apiBase: process.env.STRIPE_API_BASE,
+    // Let customers enter promotion codes on the Stripe checkout page
+    allowPromotionCodes: process.env.STRIPE_ALLOW_PROMOTION_CODES !== 'false',
   },
 
   traccar: {
@@ -24,6 +40,12 @@ const config = {
     adminPassword: process.env.TRACCAR_ADMIN_PASSWORD,
   },
 
+  // Default currency for visitors who do not choose one
+  currency: {
+    // Header set by the CDN or proxy with the visitor's ISO country code
+    countryHeader: (process.env.CURRENCY_COUNTRY_HEADER || 'cf-ipcountry').toLowerCase(),
+  },
+
   frontend: {
     url: process.env.FRONTEND_URL || 'http://localhost:3000',
     successUrl: process.env.SUCCESS_URL || 'http://localhost:3000/registration-success',
@@ -32,6 +54,7 @@ const config = {
 
   security: {
     allowedOrigins: (process.env.ALLOWED_ORIGINS || 'http://localhost:3000').split(','),
+    adminApiKey: process.env.ADMIN_API_KEY,
   },
 
   database: {
@@ -44,6 +67,85 @@ const config = {
     waitForConnections: true,
     queueLimit: 0,
   },
+
+  webhooks: {
+    // Seconds before a processing lock left by a crashed worker can be taken over
+    lockTimeoutSeconds: parseInt(process.env.WEBHOOK_LOCK_TIMEOUT, 10) || 300,
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    backoffBaseSeconds: parseInt(process.env.WEBHOOK_BACKOFF_BASE, 10) || 30,
+    backoffMaxSeconds: parseInt(process.env.WEBHOOK_BACKOFF_MAX, 10) || 6 * 60 * 60,
+  },
+
+  dunning: {
+    enabled: process.env.DUNNING_ENABLED !== 'false',
+    sweepIntervalMinutes: parseInt(process.env.DUNNING_SWEEP_INTERVAL_MINUTES, 10) || 60,
+  },
+
+  reconciliation: {
+    enabled: process.env.RECONCILIATION_ENABLED === 'true',
+    intervalHours: parseInt(process.env.RECONCILIATION_INTERVAL_HOURS, 10) || 24,
+    // Repair drift automatically on scheduled runs (otherwise report only)
+    fix: process.env.RECONCILIATION_FIX === 'true',
+  },
+
+  // Plan catalog (tc_subscription_plans), cached in memory
+  catalog: {
+    refreshIntervalSeconds: parseInt(process.env.PLAN_CATALOG_REFRESH_SECONDS, 10) || 300,
+  },
+
+  // Card-less free trials
+  trials: {
+    // What happens when a trial ends without payment: disable or downgrade
+    expiredAction: process.env.TRIAL_EXPIRED_ACTION || 'disable',
+    downgradeDeviceLimit: parseInt(process.env.TRIAL_DOWNGRADE_DEVICE_LIMIT, 10) || 1,
+    sweepIntervalMinutes: parseInt(process.env.TRIAL_SWEEP_INTERVAL_MINUTES, 10) || 60,
+  },
+
+  // Per-device plans: keep the Stripe quantity in step with the devices each user owns
+  deviceBilling: {
+    syncIntervalMinutes: parseInt(process.env.DEVICE_QUANTITY_SYNC_INTERVAL_MINUTES, 10) || 5,
+    // A new device count must hold this long before it is billed, so bursts of changes make one update
+    debounceMinutes: parseInt(process.env.DEVICE_QUANTITY_DEBOUNCE_MINUTES, 10) || 30,
+    // create_prorations, always_invoice or none
+    prorationBehavior: process.env.DEVICE_QUANTITY_PRORATION_BEHAVIOR || 'create_prorations',
+  },
+
+  // Metered plans: active device-days reported to Stripe as usage
+  usage: {
+    // How often today's active devices are counted and finished days are reported
+    snapshotIntervalMinutes: parseInt(process.env.USAGE_SNAPSHOT_INTERVAL_MINUTES, 10) || 15,
+    // Give up reporting a day after this many Stripe errors (the backfill command retries it)
+    maxReportAttempts: parseInt(process.env.USAGE_REPORT_MAX_ATTEMPTS, 10) || 5,
+  },
+
+  planMigrations: {
+    // How often scheduled cohort migrations are checked for their run date
+    sweepIntervalMinutes: parseInt(process.env.PLAN_MIGRATION_SWEEP_INTERVAL_MINUTES, 10) || 15,
+  },
+
+  // Customer notifications (trial ending, renewal reminders)
+  notifications: {
+    enabled: process.env.NOTIFICATIONS_ENABLED !== 'false',
+    // smtp, file or console
+    transport: process.env.NOTIFY_TRANSPORT || 'console',
+    from: process.env.NOTIFY_FROM || 'billing@traczi.com',
+    filePath: process.env.NOTIFY_FILE_PATH || 'logs/notifications.log',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+    },
+    trialReminderDays: parseInt(process.env.NOTIFY_TRIAL_REMINDER_DAYS, 10) || 3,
+    renewalReminderDays: parseInt(process.env.NOTIFY_RENEWAL_REMINDER_DAYS, 10) || 7,
+    deliveryIntervalSeconds: parseInt(process.env.NOTIFY_DELIVERY_INTERVAL_SECONDS, 10) || 60,
+    sweepIntervalHours: parseInt(process.env.NOTIFY_SWEEP_INTERVAL_HOURS, 10) || 6,
+    maxAttempts: parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 5,
+    // A claimed batch not finished within this time (crashed instance) is sent again
+    lockTimeoutSeconds: parseInt(process.env.NOTIFY_LOCK_TIMEOUT_SECONDS, 10) || 600,
+  },
 };
 
 // Validation
@@ -1,14 +1,55 @@
 /**
- * Subscription Plans Configuration
- * Maps plan tiers to device limits and pricing
+ * Built-in Subscription Plans
+ * The plans tc_subscription_plans is seeded with, and the catalog used while the
+ * database is unavailable. At runtime plans are read through lib/planCatalog.js.
+ * `price` is the monthly price in the plan's default `currency`; `intervals` lists
+ * the price in each supported currency for each billing interval.
+ * `trialDays` is the free trial length (0 for no trial).
+ * `features` are marketing copy; `entitlements` are what traccarClient enforces.
+ * `billingMode` is `tier` (a flat price up to `deviceLimit` devices), `per_device`
+ * (the price is per device owned, billed for at least `minQuantity` devices) or
+ * `metered` (the price is per active device-day, reported to Stripe as usage).
+ * `dunningPolicy` is what happens while a subscription is past due (see config/dunning.js);
+ * plans without one use the default policy.
  */
 
+export const BILLING_INTERVALS = ['month', 'year'];
+export const DEFAULT_INTERVAL = 'month';
+
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'INR'];
+export const DEFAULT_CURRENCY = 'USD';
+
+export const BILLING_MODES = ['tier', 'per_device', 'metered'];
+
+// Traccar report types a plan can include
+export const REPORT_TYPES = ['route', 'events', 'trips', 'stops', 'summary', 'chart', 'combined'];
+
+/**
+ * Entitlements of an account without a plan (ended subscriptions and expired trials),
+ * also the defaults for any entitlement a plan leaves out.
+ * geofences and subUsers are limits (0 for none, -1 for unlimited).
+ */
+export const NO_PLAN_ENTITLEMENTS = {
+  geofences: 0,
+  commands: false,
+  deviceEditing: true,
+  reports: [],
+  subUsers: 0,
+  readonly: false,
+};
+
 export const PLANS = {
   TEST: {
     id: 'test',
     name: 'Test Plan',
+    description: 'Perfect for testing with up to 5 devices',
     price: 5,
     currency: 'USD',
+    intervals: {
+      month: { USD: 5, EUR: 5, INR: 399 },
+      year: { USD: 50, EUR: 50, INR: 3990 },
+    },
+    trialDays: 0,
     deviceLimit: 5,
     features: [
       'Up to 5 devices',
@@ -16,12 +57,26 @@ export const PLANS = {
       'Basic reports',
       'Email support',
     ],
+    entitlements: {
+      ...NO_PLAN_ENTITLEMENTS,
+      reports: ['route', 'events', 'summary'],
+    },
+    dunningPolicy: [
+      { day: 0, stage: 'warning' },
+      { day: 3, stage: 'disabled' },
+    ],
   },
   BASIC: {
     id: 'basic',
     name: 'Basic Plan',
+    description: 'Ideal for small fleets with up to 30 devices',
     price: 20,
     currency: 'USD',
+    intervals: {
+      month: { USD: 20, EUR: 19, INR: 1499 },
+      year: { USD: 200, EUR: 190, INR: 14990 },
+    },
+    trialDays: 14,
     deviceLimit: 30,
     features: [
       'Up to 30 devices',
@@ -29,12 +84,22 @@ export const PLANS = {
       'Basic reports',
       'Email support',
     ],
+    entitlements: {
+      ...NO_PLAN_ENTITLEMENTS,
+      reports: ['route', 'events', 'summary'],
+    },
   },
   MODERATE: {
     id: 'moderate',
     name: 'Moderate Plan',
+    description: 'Great for growing businesses with up to 80 devices',
     price: 40,
     currency: 'USD',
+    intervals: {
+      month: { USD: 40, EUR: 37, INR: 2999 },
+      year: { USD: 400, EUR: 370, INR: 29990 },
+    },
+    trialDays: 14,
     deviceLimit: 80,
     features: [
       'Up to 80 devices',
@@ -43,12 +108,25 @@ export const PLANS = {
       'Geofencing',
       'Priority email support',
     ],
+    entitlements: {
+      ...NO_PLAN_ENTITLEMENTS,
+      geofences: 50,
+      commands: true,
+      reports: ['route', 'events', 'trips', 'stops', 'summary', 'chart'],
+      subUsers: 5,
+    },
   },
   ADVANCE: {
     id: 'advance',
     name: 'Advance Plan',
+    description: 'Enterprise solution with up to 350 devices',
     price: 100,
     currency: 'USD',
+    intervals: {
+      month: { USD: 100, EUR: 92, INR: 7499 },
+      year: { USD: 1000, EUR: 920, INR: 74990 },
+    },
+    trialDays: 14,
     deviceLimit: 350,
     features: [
       'Up to 350 devices',
@@ -58,37 +136,103 @@ export const PLANS = {
       'API access',
       '24/7 priority support',
     ],
+    entitlements: {
+      ...NO_PLAN_ENTITLEMENTS,
+      geofences: -1,
+      commands: true,
+      reports: REPORT_TYPES,
+      subUsers: -1,
+    },
+    dunningPolicy: [
+      { day: 0, stage: 'warning' },
+      { day: 14, stage: 'readonly' },
+      { day: 30, stage: 'disabled' },
+    ],
+  },
+  FLEX: {
+    id: 'flex',
+    name: 'Flex Plan',
+    description: 'Pay only for the devices you track, from 5 devices',
+    price: 1,
+    currency: 'USD',
+    billingMode: 'per_device',
+    minQuantity: 5,
+    intervals: {
+      month: { USD: 1, EUR: 0.95, INR: 79 },
+      year: { USD: 10, EUR: 9.5, INR: 790 },
+    },
+    trialDays: 14,
+    deviceLimit: 1000,
+    features: [
+      'Billed per device, minimum 5 devices',
+      'Up to 1000 devices',
+      'Real-time tracking',
+      'Advanced reports',
+      'Geofencing',
+      'Priority email support',
+    ],
+    entitlements: {
+      ...NO_PLAN_ENTITLEMENTS,
+      geofences: 50,
+      commands: true,
+      reports: ['route', 'events', 'trips', 'stops', 'summary', 'chart'],
+      subUsers: 5,
+    },
+  },
+  RENTAL: {
+    id: 'rental',
+    name: 'Rental Fleet Plan',
+    description: 'Billed for each day a device reports, for fleets that change every day',
+    price: 0.05,
+    currency: 'USD',
+    billingMode: 'metered',
+    intervals: {
+      month: { USD: 0.05, EUR: 0.05, INR: 4 },
+    },
+    trialDays: 0,
+    deviceLimit: 1000,
+    features: [
+      'Billed per active device-day',
+      'Up to 1000 devices',
+      'Real-time tracking',
+      'Advanced reports',
+      'Geofencing',
+      'Priority email support',
+    ],
+    entitlements: {
+      ...NO_PLAN_ENTITLEMENTS,
+      geofences: 50,
+      commands: true,
+      reports: ['route', 'events', 'trips', 'stops', 'summary', 'chart'],
+      subUsers: 5,
+    },
   },
 };
 
 /**
- * Get plan by ID
+ * Whether a plan is billed per device rather than at a flat tier price
  */
-export const getPlanById = (planId) => {
-  const normalizedId = planId.toUpperCase();
-  return PLANS[normalizedId] || null;
-};
+export const isPerDevicePlan = (plan) => plan?.billingMode === 'per_device';
 
 /**
- * Get plan by Stripe Price ID
+ * Whether a plan is billed on reported usage (active device-days)
  */
-export const getPlanByPriceId = (priceId, stripePrices) => {
-  if (priceId === stripePrices.test) return PLANS.TEST;
-  if (priceId === stripePrices.basic) return PLANS.BASIC;
-  if (priceId === stripePrices.moderate) return PLANS.MODERATE;
-  if (priceId === stripePrices.advance) return PLANS.ADVANCE;
-  return null;
-};
+export const isMeteredPlan = (plan) => plan?.billingMode === 'metered';
 
 /**
- * Get all plans as array
+ * Get a plan's price for a billing interval and currency
  */
-export const getAllPlans = () => Object.values(PLANS);
+export const getIntervalPrice = (plan, interval, currency = plan.currency) => (
+  plan.intervals[interval || DEFAULT_INTERVAL]?.[currency] ?? null
+);
 
 /**
- * Validate if a plan exists
+ * Environment variable holding a Stripe Price ID, e.g. STRIPE_PRICE_BASIC_YEARLY_EUR.
+ * Monthly and default-currency prices leave out their suffix (STRIPE_PRICE_BASIC).
  */
-export const isValidPlan = (planId) => {
-  const normalizedId = planId?.toUpperCase();
-  return Object.keys(PLANS).includes(normalizedId);
-};
+export const getPriceEnvName = (planId, interval, currency) => [
+  'STRIPE_PRICE',
+  planId.toUpperCase(),
+  ...(interval === 'year' ? ['YEARLY'] : []),
+  ...(currency !== DEFAULT_CURRENCY ? [currency] : []),
+].join('_');
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PLANS, getIntervalPrice, getPriceEnvName } from './plans.js';
+
+describe('plans', () => {
+  describe('getIntervalPrice', () => {
+    it('defaults to the monthly price in the plan\'s currency', () => {
+      assert.equal(getIntervalPrice(PLANS.BASIC), 20);
+      assert.equal(getIntervalPrice(PLANS.BASIC, 'year', 'EUR'), 190);
+    });
+
+    it('returns null for an interval or currency the plan does not offer', () => {
+      assert.equal(getIntervalPrice(PLANS.RENTAL, 'year'), null);
+      assert.equal(getIntervalPrice(PLANS.BASIC, 'month', 'GBP'), null);
+    });
+
+    it('keeps each built-in plan\'s price as its monthly price', () => {
+      Object.values(PLANS).forEach(plan => assert.equal(getIntervalPrice(plan, 'month'), plan.price, plan.id));
+    });
+  });
+
+  describe('getPriceEnvName', () => {
+    it('leaves out the monthly and default-currency suffixes', () => {
+      assert.equal(getPriceEnvName('basic', 'month', 'USD'), 'STRIPE_PRICE_BASIC');
+      assert.equal(getPriceEnvName('basic', 'year', 'USD'), 'STRIPE_PRICE_BASIC_YEARLY');
+      assert.equal(getPriceEnvName('basic', 'month', 'INR'), 'STRIPE_PRICE_BASIC_INR');
+      assert.equal(getPriceEnvName('basic', 'year', 'EUR'), 'STRIPE_PRICE_BASIC_YEARLY_EUR');
+    });
+  });
+});
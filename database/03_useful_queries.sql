@@ -86,17 +86,19 @@ WHERE do.deviceid IS NULL;
 -- REVENUE & ANALYTICS QUERIES
 -- ============================================================================
 
--- Revenue summary by plan
+-- Revenue summary by plan and currency
 SELECT *
 FROM v_subscription_analytics
-ORDER BY monthly_revenue DESC;
+ORDER BY currency, monthly_revenue DESC;
 
--- Total revenue
+-- Total revenue per currency (amounts in different currencies are not added together)
 SELECT
+  currency,
   SUM(monthly_revenue) as total_monthly_revenue,
   SUM(active_subscriptions) as total_active_subscriptions,
-  AVG(price) as average_subscription_price
-FROM v_subscription_analytics;
+  SUM(monthly_revenue) / NULLIF(SUM(active_subscriptions), 0) as average_monthly_revenue_per_subscription
+FROM v_subscription_analytics
+GROUP BY currency;
 
 -- Revenue trend (last 6 months)
 SELECT
@@ -119,6 +121,16 @@ SELECT
     2
   ) as churn_rate_percent;
 
+-- Cancellation reasons (last 6 months)
+SELECT
+  COALESCE(JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.reason')), 'not given') as reason,
+  COUNT(*) as cancellations
+FROM tc_subscription_history
+WHERE event_type = 'subscription_canceled'
+  AND created_at >= DATE_SUB(NOW(), INTERVAL 6 MONTH)
+GROUP BY reason
+ORDER BY cancellations DESC;
+
 -- ============================================================================
 -- SUBSCRIPTION STATUS QUERIES
 -- ============================================================================
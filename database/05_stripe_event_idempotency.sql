@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Traczi Subscription System - Idempotent Webhook Processing
+-- Adds a processing lock to tc_stripe_events so each Stripe event is
+-- handled exactly once, even when Stripe delivers it more than once
+-- ============================================================================
+
+ALTER TABLE tc_stripe_events
+  ADD COLUMN locked_by VARCHAR(100) NULL AFTER error_message,
+  ADD COLUMN locked_at TIMESTAMP NULL AFTER locked_by,
+  ADD INDEX idx_locked (processed, locked_at);
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+-- Events currently held by a worker
+SELECT stripe_event_id, event_type, locked_by, locked_at
+FROM tc_stripe_events
+WHERE processed = FALSE
+  AND locked_at IS NOT NULL
+ORDER BY locked_at;
@@ -0,0 +1,40 @@
+-- ============================================================================
+-- Traczi Subscription System - Durable Webhook Job Queue
+-- Turns tc_stripe_events into a job queue: the webhook endpoint only stores
+-- events, and a background worker processes them with retries and backoff
+-- Requires 05_stripe_event_idempotency.sql
+-- ============================================================================
+
+-- status: pending -> processing -> processed
+--                              \-> failed (retried after next_attempt_at) -> dead
+ALTER TABLE tc_stripe_events
+  ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'pending' AFTER payload,
+  ADD COLUMN attempts INT NOT NULL DEFAULT 0 AFTER status,
+  ADD COLUMN next_attempt_at TIMESTAMP NULL AFTER attempts,
+  ADD COLUMN last_attempt_at TIMESTAMP NULL AFTER next_attempt_at,
+  ADD INDEX idx_queue (status, next_attempt_at);
+
+-- Backfill status for events logged before the queue existed.
+-- Unprocessed legacy events are parked as dead rather than replayed blindly.
+UPDATE tc_stripe_events
+SET
+  status = CASE WHEN processed = TRUE THEN 'processed' ELSE 'dead' END,
+  error_message = CASE
+    WHEN processed = FALSE AND error_message IS NULL THEN 'Logged before the webhook queue was installed'
+    ELSE error_message
+  END;
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+-- Queue overview
+SELECT status, COUNT(*) AS events, MAX(attempts) AS max_attempts
+FROM tc_stripe_events
+GROUP BY status;
+
+-- Events that exhausted their retries
+SELECT stripe_event_id, event_type, attempts, last_attempt_at, error_message
+FROM tc_stripe_events
+WHERE status = 'dead'
+ORDER BY last_attempt_at DESC;
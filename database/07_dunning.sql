@@ -0,0 +1,35 @@
+-- ============================================================================
+-- Traczi Subscription System - Dunning
+-- Tracks how long a subscription has been past due and which dunning stage
+-- (warning, readonly, disabled) has been applied to the account
+-- ============================================================================
+
+ALTER TABLE tc_user_subscriptions
+  ADD COLUMN past_due_since TIMESTAMP NULL AFTER ended_at,
+  ADD COLUMN dunning_stage VARCHAR(20) NOT NULL DEFAULT 'none' AFTER past_due_since,
+  ADD COLUMN dunning_updated_at TIMESTAMP NULL AFTER dunning_stage,
+  ADD INDEX idx_dunning (status, past_due_since);
+
+-- Subscriptions already past due start their grace period from their last update
+UPDATE tc_user_subscriptions
+SET past_due_since = updated_at
+WHERE status IN ('past_due', 'unpaid')
+  AND past_due_since IS NULL;
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+-- Accounts in dunning
+SELECT
+  s.userid,
+  u.email,
+  s.plan_id,
+  s.status,
+  s.past_due_since,
+  DATEDIFF(NOW(), s.past_due_since) AS days_past_due,
+  s.dunning_stage
+FROM tc_user_subscriptions s
+INNER JOIN tc_users u ON s.userid = u.id
+WHERE s.past_due_since IS NOT NULL
+ORDER BY s.past_due_since;
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- Traczi Subscription System - Out-of-Order Webhook Protection
+-- Stripe does not guarantee event order. Each subscription remembers the
+-- `created` time of the last Stripe event applied to it, so older events
+-- that arrive late are recorded but not applied.
+-- Requires 06_webhook_job_queue.sql
+-- ============================================================================
+
+-- Unix timestamp (seconds) from the Stripe event's `created` field
+ALTER TABLE tc_stripe_events
+  ADD COLUMN stripe_created BIGINT NULL AFTER event_type;
+
+ALTER TABLE tc_user_subscriptions
+  ADD COLUMN last_stripe_event_created BIGINT NULL AFTER cancel_at_period_end;
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+-- Events that arrived after newer data had already been applied
+SELECT stripe_event_id, event_type, stripe_customer_id, stripe_created, processed_at
+FROM tc_stripe_events
+WHERE status = 'stale'
+ORDER BY processed_at DESC;
@@ -0,0 +1,33 @@
+-- ============================================================================
+-- Traczi Subscription System - Customer Notifications
+-- Queue of customer notifications (trial ending, renewal reminders).
+-- dedupe_key makes Stripe events and the fallback sweep queue each notice once.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS tc_notifications (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  userid INT NULL,
+  email VARCHAR(128) NOT NULL,
+  type VARCHAR(50) NOT NULL,
+  dedupe_key VARCHAR(191) NOT NULL,
+  payload JSON,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  error_message TEXT,
+  send_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (userid) REFERENCES tc_users(id) ON DELETE SET NULL,
+  UNIQUE KEY unique_dedupe (dedupe_key),
+  INDEX idx_queue (status, send_after),
+  INDEX idx_user (userid, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Customer notification queue';
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+SELECT type, status, COUNT(*) AS notifications
+FROM tc_notifications
+GROUP BY type, status;
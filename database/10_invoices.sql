@@ -0,0 +1,45 @@
+-- ============================================================================
+-- Traczi Subscription System - Invoice Mirror
+-- Local copy of Stripe invoices, fed by invoice.finalized, invoice.paid and
+-- invoice.voided, so invoice history can be served without calling Stripe.
+-- Amounts are in the currency's smallest unit, as Stripe reports them.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS tc_invoices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  userid INT NULL,
+  stripe_invoice_id VARCHAR(255) NOT NULL,
+  stripe_customer_id VARCHAR(255) NOT NULL,
+  stripe_subscription_id VARCHAR(255) NULL,
+  number VARCHAR(100) NULL,
+  status VARCHAR(20) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  subtotal INT NOT NULL DEFAULT 0,
+  tax INT NOT NULL DEFAULT 0,
+  total INT NOT NULL DEFAULT 0,
+  amount_due INT NOT NULL DEFAULT 0,
+  amount_paid INT NOT NULL DEFAULT 0,
+  hosted_invoice_url TEXT NULL,
+  invoice_pdf TEXT NULL,
+  period_start TIMESTAMP NULL,
+  period_end TIMESTAMP NULL,
+  paid_at TIMESTAMP NULL,
+  invoice_created TIMESTAMP NULL,
+  -- Stripe `created` time of the last event applied, to ignore out-of-order events
+  last_stripe_event_created BIGINT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (userid) REFERENCES tc_users(id) ON DELETE SET NULL,
+  UNIQUE KEY unique_stripe_invoice (stripe_invoice_id),
+  INDEX idx_customer (stripe_customer_id, invoice_created),
+  INDEX idx_user (userid, invoice_created)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Mirror of Stripe invoices';
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+SELECT status, currency, COUNT(*) AS invoices, SUM(total) AS total
+FROM tc_invoices
+GROUP BY status, currency;
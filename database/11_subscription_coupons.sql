@@ -0,0 +1,19 @@
+-- ============================================================================
+-- Traczi Subscription System - Coupons and Promotion Codes
+-- Records the Stripe coupon (and the promotion code it was redeemed with)
+-- applied to each subscription. Changes are logged in tc_subscription_history.
+-- ============================================================================
+
+ALTER TABLE tc_user_subscriptions
+  ADD COLUMN coupon_id VARCHAR(255) NULL AFTER stripe_payment_method_id,
+  ADD COLUMN promotion_code_id VARCHAR(255) NULL AFTER coupon_id;
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+-- Subscriptions per coupon
+SELECT coupon_id, promotion_code_id, status, COUNT(*) AS subscriptions
+FROM tc_user_subscriptions
+WHERE coupon_id IS NOT NULL
+GROUP BY coupon_id, promotion_code_id, status;
@@ -0,0 +1,66 @@
+-- ============================================================================
+-- Traczi Subscription System - Billing Intervals
+-- Records whether each subscription is billed monthly or yearly, and adds it
+-- to v_user_subscription_status.
+-- ============================================================================
+
+ALTER TABLE tc_user_subscriptions
+  ADD COLUMN billing_interval VARCHAR(10) NOT NULL DEFAULT 'month' AFTER plan_id;
+
+-- View: Active subscriptions with device counts (now with billing_interval)
+CREATE OR REPLACE VIEW v_user_subscription_status AS
+SELECT
+  u.id as userid,
+  u.name,
+  u.email,
+  u.devicelimit as traccar_device_limit,
+  s.plan_id,
+  sp.name as plan_name,
+  s.status as subscription_status,
+  s.device_limit as subscription_device_limit,
+  s.current_period_end,
+  s.billing_interval,
+  s.cancel_at_period_end,
+
+  -- Count owned devices
+  (SELECT COUNT(*)
+   FROM tc_device_ownership do
+   WHERE do.ownerid = u.id) as owned_devices,
+
+  -- Count accessible devices (including shared)
+  (SELECT COUNT(*)
+   FROM tc_user_device ud
+   WHERE ud.userid = u.id) as accessible_devices,
+
+  -- Calculate remaining slots
+  s.device_limit - (SELECT COUNT(*)
+                    FROM tc_device_ownership do
+                    WHERE do.ownerid = u.id) as remaining_devices,
+
+  -- Subscription status flags
+  CASE
+    WHEN s.status = 'active' AND s.current_period_end < NOW() THEN 'expired'
+    WHEN s.status = 'past_due' THEN 'payment_required'
+    WHEN s.status = 'trialing' AND s.trial_end < NOW() THEN 'trial_expired'
+    WHEN (SELECT COUNT(*) FROM tc_device_ownership do WHERE do.ownerid = u.id) >= s.device_limit THEN 'limit_reached'
+    ELSE s.status
+  END as effective_status,
+
+  DATEDIFF(s.current_period_end, NOW()) as days_until_renewal,
+  s.stripe_customer_id,
+  s.stripe_subscription_id
+
+FROM tc_users u
+LEFT JOIN tc_user_subscriptions s
+  ON u.id = s.userid
+  AND s.status IN ('active', 'trialing', 'past_due')
+LEFT JOIN tc_subscription_plans sp
+  ON s.plan_id = sp.plan_id;
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+SELECT plan_id, billing_interval, status, COUNT(*) AS subscriptions
+FROM tc_user_subscriptions
+GROUP BY plan_id, billing_interval, status;
@@ -0,0 +1,106 @@
+-- ============================================================================
+-- Traczi Subscription System - Multi-Currency Pricing
+-- Records the currency and price each subscription is billed in, and reports
+-- revenue per plan and currency instead of summing USD list prices.
+-- ============================================================================
+
+ALTER TABLE tc_user_subscriptions
+  ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD' AFTER billing_interval,
+  ADD COLUMN unit_amount INT NULL
+    COMMENT 'Price per billing interval in the smallest currency unit'
+    AFTER currency;
+
+-- View: Active subscriptions with device counts (now with currency)
+CREATE OR REPLACE VIEW v_user_subscription_status AS
+SELECT
+  u.id as userid,
+  u.name,
+  u.email,
+  u.devicelimit as traccar_device_limit,
+  s.plan_id,
+  sp.name as plan_name,
+  s.status as subscription_status,
+  s.device_limit as subscription_device_limit,
+  s.current_period_end,
+  s.billing_interval,
+  s.currency,
+  s.unit_amount,
+  s.cancel_at_period_end,
+
+  -- Count owned devices
+  (SELECT COUNT(*)
+   FROM tc_device_ownership do
+   WHERE do.ownerid = u.id) as owned_devices,
+
+  -- Count accessible devices (including shared)
+  (SELECT COUNT(*)
+   FROM tc_user_device ud
+   WHERE ud.userid = u.id) as accessible_devices,
+
+  -- Calculate remaining slots
+  s.device_limit - (SELECT COUNT(*)
+                    FROM tc_device_ownership do
+                    WHERE do.ownerid = u.id) as remaining_devices,
+
+  -- Subscription status flags
+  CASE
+    WHEN s.status = 'active' AND s.current_period_end < NOW() THEN 'expired'
+    WHEN s.status = 'past_due' THEN 'payment_required'
+    WHEN s.status = 'trialing' AND s.trial_end < NOW() THEN 'trial_expired'
+    WHEN (SELECT COUNT(*) FROM tc_device_ownership do WHERE do.ownerid = u.id) >= s.device_limit THEN 'limit_reached'
+    ELSE s.status
+  END as effective_status,
+
+  DATEDIFF(s.current_period_end, NOW()) as days_until_renewal,
+  s.stripe_customer_id,
+  s.stripe_subscription_id
+
+FROM tc_users u
+LEFT JOIN tc_user_subscriptions s
+  ON u.id = s.userid
+  AND s.status IN ('active', 'trialing', 'past_due')
+LEFT JOIN tc_subscription_plans sp
+  ON s.plan_id = sp.plan_id;
+
+-- View: Subscription revenue analytics, one row per plan and currency.
+-- monthly_revenue is in the row's currency; yearly subscriptions count as 1/12.
+-- Rows without a unit_amount (from before this migration) fall back to the plan's list price.
+CREATE OR REPLACE VIEW v_subscription_analytics AS
+SELECT
+  sp.plan_id,
+  sp.name as plan_name,
+  COALESCE(s.currency, sp.currency) as currency,
+  COUNT(s.id) as active_subscriptions,
+  ROUND(COALESCE(SUM(CASE
+    WHEN s.unit_amount IS NOT NULL AND s.billing_interval = 'year' THEN s.unit_amount / 1200
+    WHEN s.unit_amount IS NOT NULL THEN s.unit_amount / 100
+    WHEN s.currency = sp.currency THEN sp.price
+  END), 0), 2) as monthly_revenue,
+  AVG(DATEDIFF(NOW(), s.start_date)) as avg_subscription_age_days,
+  SUM(CASE WHEN s.cancel_at_period_end THEN 1 ELSE 0 END) as pending_cancellations,
+
+  -- Device usage stats
+  AVG((SELECT COUNT(*)
+       FROM tc_device_ownership do
+       WHERE do.ownerid = s.userid)) as avg_devices_per_user,
+
+  SUM(CASE
+    WHEN (SELECT COUNT(*)
+          FROM tc_device_ownership do
+          WHERE do.ownerid = s.userid) >= sp.device_limit
+    THEN 1 ELSE 0
+  END) as users_at_limit
+
+FROM tc_subscription_plans sp
+LEFT JOIN tc_user_subscriptions s
+  ON sp.plan_id = s.plan_id
+  AND s.status IN ('active', 'trialing')
+GROUP BY sp.plan_id, sp.name, COALESCE(s.currency, sp.currency);
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+SELECT currency, SUM(active_subscriptions) AS subscriptions, SUM(monthly_revenue) AS monthly_revenue
+FROM v_subscription_analytics
+GROUP BY currency;
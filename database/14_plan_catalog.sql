@@ -0,0 +1,91 @@
+-- ============================================================================
+-- Traczi Subscription System - Plan Catalog
+-- Makes tc_subscription_plans the source of truth for plans: adds trial length,
+-- display order and archiving, and a price per billing interval and currency
+-- with its Stripe price ID.
+-- ============================================================================
+
+ALTER TABLE tc_subscription_plans
+  ADD COLUMN trial_days INT NOT NULL DEFAULT 0 AFTER device_limit,
+  ADD COLUMN sort_order INT NOT NULL DEFAULT 0 AFTER trial_days,
+  ADD COLUMN archived_at TIMESTAMP NULL AFTER active;
+
+-- Plan prices. Stripe prices cannot change amount, so a new amount is a new
+-- row; the replaced row stays (inactive) so subscriptions on its Stripe price
+-- still resolve to the plan.
+CREATE TABLE IF NOT EXISTS tc_plan_prices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id VARCHAR(50) NOT NULL,
+  billing_interval VARCHAR(10) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  stripe_price_id VARCHAR(100) NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_stripe_price (stripe_price_id),
+  INDEX idx_plan_price (plan_id, billing_interval, currency, active),
+
+  CONSTRAINT fk_plan_prices_plan
+    FOREIGN KEY (plan_id) REFERENCES tc_subscription_plans(plan_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Plan prices per billing interval and currency';
+
+-- Bring the built-in plans in line with config/plans.js
+INSERT INTO tc_subscription_plans
+  (plan_id, name, description, price, currency, device_limit, trial_days, sort_order, features)
+VALUES
+('test', 'Test Plan', 'Perfect for testing with up to 5 devices', 5.00, 'USD', 5, 0, 1,
+ JSON_ARRAY('Up to 5 devices', 'Real-time tracking', 'Basic reports', 'Email support')),
+('basic', 'Basic Plan', 'Ideal for small fleets with up to 30 devices', 20.00, 'USD', 30, 14, 2,
+ JSON_ARRAY('Up to 30 devices', 'Real-time tracking', 'Basic reports', 'Email support')),
+('moderate', 'Moderate Plan', 'Great for growing businesses with up to 80 devices', 40.00, 'USD', 80, 14, 3,
+ JSON_ARRAY('Up to 80 devices', 'Real-time tracking', 'Advanced reports', 'Geofencing', 'Priority email support')),
+('advance', 'Advance Plan', 'Enterprise solution with up to 350 devices', 100.00, 'USD', 350, 14, 4,
+ JSON_ARRAY('Up to 350 devices', 'Real-time tracking', 'All reports', 'Advanced geofencing', 'API access', '24/7 priority support'))
+ON DUPLICATE KEY UPDATE
+  name = VALUES(name),
+  description = VALUES(description),
+  price = VALUES(price),
+  currency = VALUES(currency),
+  device_limit = VALUES(device_limit),
+  trial_days = VALUES(trial_days),
+  sort_order = VALUES(sort_order),
+  features = VALUES(features);
+
+-- Built-in prices. Stripe price IDs are left empty: until they are set, the
+-- STRIPE_PRICE_* environment variables are used for these amounts.
+INSERT INTO tc_plan_prices (plan_id, billing_interval, currency, amount) VALUES
+('test', 'month', 'USD', 5.00),
+('test', 'month', 'EUR', 5.00),
+('test', 'month', 'INR', 399.00),
+('test', 'year', 'USD', 50.00),
+('test', 'year', 'EUR', 50.00),
+('test', 'year', 'INR', 3990.00),
+('basic', 'month', 'USD', 20.00),
+('basic', 'month', 'EUR', 19.00),
+('basic', 'month', 'INR', 1499.00),
+('basic', 'year', 'USD', 200.00),
+('basic', 'year', 'EUR', 190.00),
+('basic', 'year', 'INR', 14990.00),
+('moderate', 'month', 'USD', 40.00),
+('moderate', 'month', 'EUR', 37.00),
+('moderate', 'month', 'INR', 2999.00),
+('moderate', 'year', 'USD', 400.00),
+('moderate', 'year', 'EUR', 370.00),
+('moderate', 'year', 'INR', 29990.00),
+('advance', 'month', 'USD', 100.00),
+('advance', 'month', 'EUR', 92.00),
+('advance', 'month', 'INR', 7499.00),
+('advance', 'year', 'USD', 1000.00),
+('advance', 'year', 'EUR', 920.00),
+('advance', 'year', 'INR', 74990.00);
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+SELECT sp.plan_id, sp.device_limit, sp.trial_days, pp.billing_interval, pp.currency, pp.amount, pp.stripe_price_id
+FROM tc_subscription_plans sp
+LEFT JOIN tc_plan_prices pp ON pp.plan_id = sp.plan_id AND pp.active = TRUE
+ORDER BY sp.sort_order, pp.billing_interval, pp.currency;
@@ -0,0 +1,33 @@
+-- ============================================================================
+-- Traczi Subscription System - Plan Entitlements
+-- Adds the machine-readable entitlements (geofences, commands, device editing,
+-- report types, sub-users, read-only) that are pushed to the Traccar user.
+-- Plans without entitlements fall back to config/plans.js.
+-- ============================================================================
+
+ALTER TABLE tc_subscription_plans
+  ADD COLUMN entitlements JSON NULL AFTER features;
+
+-- Built-in plans, as in config/plans.js
+UPDATE tc_subscription_plans SET entitlements = JSON_OBJECT(
+  'geofences', 0, 'commands', FALSE, 'deviceEditing', TRUE,
+  'reports', JSON_ARRAY('route', 'events', 'summary'), 'subUsers', 0, 'readonly', FALSE
+) WHERE plan_id IN ('test', 'basic');
+
+UPDATE tc_subscription_plans SET entitlements = JSON_OBJECT(
+  'geofences', 50, 'commands', TRUE, 'deviceEditing', TRUE,
+  'reports', JSON_ARRAY('route', 'events', 'trips', 'stops', 'summary', 'chart'), 'subUsers', 5, 'readonly', FALSE
+) WHERE plan_id = 'moderate';
+
+UPDATE tc_subscription_plans SET entitlements = JSON_OBJECT(
+  'geofences', -1, 'commands', TRUE, 'deviceEditing', TRUE,
+  'reports', JSON_ARRAY('route', 'events', 'trips', 'stops', 'summary', 'chart', 'combined'), 'subUsers', -1, 'readonly', FALSE
+) WHERE plan_id = 'advance';
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+SELECT plan_id, entitlements
+FROM tc_subscription_plans
+ORDER BY sort_order;
@@ -0,0 +1,144 @@
+-- ============================================================================
+-- Traczi Subscription System - Per-Device Billing
+-- Lets a plan be billed per device owned instead of at a flat tier price. The
+-- subscription's quantity follows the user's devices in tc_device_ownership;
+-- a changed count is held as pending until it has been stable long enough.
+-- ============================================================================
+
+ALTER TABLE tc_subscription_plans
+  ADD COLUMN billing_mode VARCHAR(20) NOT NULL DEFAULT 'tier' AFTER device_limit,
+  ADD COLUMN min_quantity INT NOT NULL DEFAULT 1 AFTER billing_mode;
+
+ALTER TABLE tc_user_subscriptions
+  ADD COLUMN quantity INT NOT NULL DEFAULT 1 AFTER unit_amount,
+  ADD COLUMN pending_quantity INT NULL
+    COMMENT 'Device count waiting to be billed'
+    AFTER quantity,
+  ADD COLUMN pending_quantity_since TIMESTAMP NULL AFTER pending_quantity;
+
+-- Built-in per-device plan, as in config/plans.js
+INSERT INTO tc_subscription_plans
+  (plan_id, name, description, price, currency, device_limit, billing_mode, min_quantity, trial_days, sort_order, features, entitlements)
+VALUES
+('flex', 'Flex Plan', 'Pay only for the devices you track, from 5 devices', 1.00, 'USD', 1000, 'per_device', 5, 14, 5,
+ JSON_ARRAY('Billed per device, minimum 5 devices', 'Up to 1000 devices', 'Real-time tracking', 'Advanced reports', 'Geofencing', 'Priority email support'),
+ JSON_OBJECT(
+   'geofences', 50, 'commands', TRUE, 'deviceEditing', TRUE,
+   'reports', JSON_ARRAY('route', 'events', 'trips', 'stops', 'summary', 'chart'), 'subUsers', 5, 'readonly', FALSE
+ ))
+ON DUPLICATE KEY UPDATE
+  billing_mode = VALUES(billing_mode),
+  min_quantity = VALUES(min_quantity);
+
+-- tc_plan_prices has no unique key per plan, interval and currency (replaced prices stay),
+-- so prices that already exist are skipped to keep the script re-runnable
+INSERT INTO tc_plan_prices (plan_id, billing_interval, currency, amount)
+SELECT p.plan_id, p.billing_interval, p.currency, p.amount
+FROM (
+  SELECT 'flex' AS plan_id, 'month' AS billing_interval, 'USD' AS currency, 1.00 AS amount
+  UNION ALL SELECT 'flex', 'month', 'EUR', 0.95
+  UNION ALL SELECT 'flex', 'month', 'INR', 79.00
+  UNION ALL SELECT 'flex', 'year', 'USD', 10.00
+  UNION ALL SELECT 'flex', 'year', 'EUR', 9.50
+  UNION ALL SELECT 'flex', 'year', 'INR', 790.00
+) p
+WHERE NOT EXISTS (
+  SELECT 1 FROM tc_plan_prices pp
+  WHERE pp.plan_id = p.plan_id AND pp.billing_interval = p.billing_interval AND pp.currency = p.currency
+);
+
+
+-- View: Active subscriptions with device counts (now with quantity)
+CREATE OR REPLACE VIEW v_user_subscription_status AS
+SELECT
+  u.id as userid,
+  u.name,
+  u.email,
+  u.devicelimit as traccar_device_limit,
+  s.plan_id,
+  sp.name as plan_name,
+  s.status as subscription_status,
+  s.device_limit as subscription_device_limit,
+  s.current_period_end,
+  s.billing_interval,
+  s.currency,
+  s.unit_amount,
+  s.quantity,
+  s.pending_quantity,
+  s.cancel_at_period_end,
+
+  -- Count owned devices
+  (SELECT COUNT(*)
+   FROM tc_device_ownership do
+   WHERE do.ownerid = u.id) as owned_devices,
+
+  -- Count accessible devices (including shared)
+  (SELECT COUNT(*)
+   FROM tc_user_device ud
+   WHERE ud.userid = u.id) as accessible_devices,
+
+  -- Calculate remaining slots
+  s.device_limit - (SELECT COUNT(*)
+                    FROM tc_device_ownership do
+                    WHERE do.ownerid = u.id) as remaining_devices,
+
+  -- Subscription status flags
+  CASE
+    WHEN s.status = 'active' AND s.current_period_end < NOW() THEN 'expired'
+    WHEN s.status = 'past_due' THEN 'payment_required'
+    WHEN s.status = 'trialing' AND s.trial_end < NOW() THEN 'trial_expired'
+    WHEN (SELECT COUNT(*) FROM tc_device_ownership do WHERE do.ownerid = u.id) >= s.device_limit THEN 'limit_reached'
+    ELSE s.status
+  END as effective_status,
+
+  DATEDIFF(s.current_period_end, NOW()) as days_until_renewal,
+  s.stripe_customer_id,
+  s.stripe_subscription_id
+
+FROM tc_users u
+LEFT JOIN tc_user_subscriptions s
+  ON u.id = s.userid
+  AND s.status IN ('active', 'trialing', 'past_due')
+LEFT JOIN tc_subscription_plans sp
+  ON s.plan_id = sp.plan_id;
+
+-- View: Subscription analytics, counting per-device subscriptions at their quantity
+CREATE OR REPLACE VIEW v_subscription_analytics AS
+SELECT
+  sp.plan_id,
+  sp.name as plan_name,
+  COALESCE(s.currency, sp.currency) as currency,
+  COUNT(s.id) as active_subscriptions,
+  ROUND(COALESCE(SUM(s.quantity * CASE
+    WHEN s.unit_amount IS NOT NULL AND s.billing_interval = 'year' THEN s.unit_amount / 1200
+    WHEN s.unit_amount IS NOT NULL THEN s.unit_amount / 100
+    WHEN s.currency = sp.currency THEN sp.price
+  END), 0), 2) as monthly_revenue,
+  AVG(DATEDIFF(NOW(), s.start_date)) as avg_subscription_age_days,
+  SUM(CASE WHEN s.cancel_at_period_end THEN 1 ELSE 0 END) as pending_cancellations,
+
+  -- Device usage stats
+  AVG((SELECT COUNT(*)
+       FROM tc_device_ownership do
+       WHERE do.ownerid = s.userid)) as avg_devices_per_user,
+
+  SUM(CASE
+    WHEN (SELECT COUNT(*)
+          FROM tc_device_ownership do
+          WHERE do.ownerid = s.userid) >= sp.device_limit
+    THEN 1 ELSE 0
+  END) as users_at_limit
+
+FROM tc_subscription_plans sp
+LEFT JOIN tc_user_subscriptions s
+  ON sp.plan_id = s.plan_id
+  AND s.status IN ('active', 'trialing')
+GROUP BY sp.plan_id, sp.name, COALESCE(s.currency, sp.currency);
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+SELECT plan_id, billing_mode, min_quantity, device_limit
+FROM tc_subscription_plans
+ORDER BY sort_order;
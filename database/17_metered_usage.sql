@@ -0,0 +1,106 @@
+-- ============================================================================
+-- Traczi Subscription System - Metered Usage
+-- Bills metered plans on active device-days: one row per user and day with the
+-- number of owned devices that reported that day, and whether it has been
+-- reported to Stripe as a usage record.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS tc_device_usage (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  userid INT NOT NULL,
+  usage_date DATE NOT NULL COMMENT 'UTC day',
+  active_devices INT NOT NULL DEFAULT 0,
+  plan_id VARCHAR(50) NOT NULL,
+  stripe_subscription_id VARCHAR(100) NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'snapshot' COMMENT 'snapshot (tc_devices) or backfill (tc_positions)',
+  reported_at TIMESTAMP NULL,
+  stripe_usage_record_id VARCHAR(100) NULL,
+  report_attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_user_day (userid, usage_date),
+  INDEX idx_unreported (reported_at, usage_date),
+
+  FOREIGN KEY (userid) REFERENCES tc_users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Active devices per user and day for metered plans';
+
+-- Built-in metered plan, as in config/plans.js (monthly only)
+INSERT INTO tc_subscription_plans
+  (plan_id, name, description, price, currency, device_limit, billing_mode, min_quantity, trial_days, sort_order, features, entitlements)
+VALUES
+('rental', 'Rental Fleet Plan', 'Billed for each day a device reports, for fleets that change every day', 0.05, 'USD', 1000, 'metered', 1, 0, 6,
+ JSON_ARRAY('Billed per active device-day', 'Up to 1000 devices', 'Real-time tracking', 'Advanced reports', 'Geofencing', 'Priority email support'),
+ JSON_OBJECT(
+   'geofences', 50, 'commands', TRUE, 'deviceEditing', TRUE,
+   'reports', JSON_ARRAY('route', 'events', 'trips', 'stops', 'summary', 'chart'), 'subUsers', 5, 'readonly', FALSE
+ ))
+ON DUPLICATE KEY UPDATE
+  billing_mode = VALUES(billing_mode);
+
+-- Prices that already exist are skipped to keep the script re-runnable
+INSERT INTO tc_plan_prices (plan_id, billing_interval, currency, amount)
+SELECT p.plan_id, p.billing_interval, p.currency, p.amount
+FROM (
+  SELECT 'rental' AS plan_id, 'month' AS billing_interval, 'USD' AS currency, 0.05 AS amount
+  UNION ALL SELECT 'rental', 'month', 'EUR', 0.05
+  UNION ALL SELECT 'rental', 'month', 'INR', 4.00
+) p
+WHERE NOT EXISTS (
+  SELECT 1 FROM tc_plan_prices pp
+  WHERE pp.plan_id = p.plan_id AND pp.billing_interval = p.billing_interval AND pp.currency = p.currency
+);
+
+-- View: Subscription analytics. Per-device subscriptions count at their quantity;
+-- metered ones at their usage over the last 30 days.
+CREATE OR REPLACE VIEW v_subscription_analytics AS
+SELECT
+  sp.plan_id,
+  sp.name as plan_name,
+  COALESCE(s.currency, sp.currency) as currency,
+  COUNT(s.id) as active_subscriptions,
+  ROUND(COALESCE(SUM(CASE
+    WHEN sp.billing_mode = 'metered' THEN (
+      SELECT COALESCE(SUM(du.active_devices), 0)
+      FROM tc_device_usage du
+      WHERE du.userid = s.userid
+        AND du.usage_date >= CURDATE() - INTERVAL 30 DAY
+    )
+    ELSE s.quantity
+  END * CASE
+    WHEN s.unit_amount IS NOT NULL AND s.billing_interval = 'year' THEN s.unit_amount / 1200
+    WHEN s.unit_amount IS NOT NULL THEN s.unit_amount / 100
+    WHEN s.currency = sp.currency THEN sp.price
+  END), 0), 2) as monthly_revenue,
+  AVG(DATEDIFF(NOW(), s.start_date)) as avg_subscription_age_days,
+  SUM(CASE WHEN s.cancel_at_period_end THEN 1 ELSE 0 END) as pending_cancellations,
+
+  -- Device usage stats
+  AVG((SELECT COUNT(*)
+       FROM tc_device_ownership do
+       WHERE do.ownerid = s.userid)) as avg_devices_per_user,
+
+  SUM(CASE
+    WHEN (SELECT COUNT(*)
+          FROM tc_device_ownership do
+          WHERE do.ownerid = s.userid) >= sp.device_limit
+    THEN 1 ELSE 0
+  END) as users_at_limit
+
+FROM tc_subscription_plans sp
+LEFT JOIN tc_user_subscriptions s
+  ON sp.plan_id = s.plan_id
+  AND s.status IN ('active', 'trialing')
+GROUP BY sp.plan_id, sp.name, COALESCE(s.currency, sp.currency);
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+SELECT usage_date, COUNT(*) AS customers, SUM(active_devices) AS device_days,
+  SUM(reported_at IS NULL) AS unreported
+FROM tc_device_usage
+GROUP BY usage_date
+ORDER BY usage_date DESC
+LIMIT 14;
@@ -0,0 +1,76 @@
+-- ============================================================================
+-- Traczi Subscription System - Per-Customer Overrides
+-- Negotiated terms for enterprise customers: a device limit, user limit,
+-- entitlements and Stripe price of their own, taking precedence over the plan's.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS tc_customer_overrides (
+  userid INT PRIMARY KEY,
+  device_limit INT NULL COMMENT 'Replaces the plan device limit',
+  user_limit INT NULL COMMENT 'Replaces the plan sub-user limit',
+  entitlements JSON NULL COMMENT 'Merged over the plan entitlements',
+  plan_id VARCHAR(50) NULL COMMENT 'Plan the custom price belongs to',
+  stripe_price_id VARCHAR(100) NULL COMMENT 'Custom price used for checkout',
+  notes TEXT NULL,
+  created_by VARCHAR(100) NOT NULL,
+  updated_by VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_override_price (stripe_price_id),
+
+  CONSTRAINT fk_customer_overrides_user
+    FOREIGN KEY (userid) REFERENCES tc_users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_customer_overrides_plan
+    FOREIGN KEY (plan_id) REFERENCES tc_subscription_plans(plan_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Per-customer limits, entitlements and prices';
+
+-- ============================================================================
+-- PROCEDURES
+-- ============================================================================
+
+DROP PROCEDURE IF EXISTS sp_sync_subscription_to_user;
+
+DELIMITER //
+
+-- Procedure: Sync subscription to Traccar user fields (overrides win over the plan)
+CREATE PROCEDURE sp_sync_subscription_to_user(
+  IN p_userid INT
+)
+BEGIN
+  DECLARE v_device_limit INT;
+  DECLARE v_user_limit INT;
+  DECLARE v_expiration TIMESTAMP;
+
+  -- Get subscription info; without an override the user limit is the plan's subUsers entitlement
+  SELECT
+    COALESCE(o.device_limit, s.device_limit),
+    COALESCE(o.user_limit, CAST(JSON_UNQUOTE(JSON_EXTRACT(p.entitlements, '$.subUsers')) AS SIGNED)),
+    s.current_period_end
+  INTO v_device_limit, v_user_limit, v_expiration
+  FROM tc_user_subscriptions s
+  LEFT JOIN tc_customer_overrides o ON o.userid = s.userid
+  LEFT JOIN tc_subscription_plans p ON p.plan_id = s.plan_id
+  WHERE s.userid = p_userid
+    AND s.status IN ('active', 'trialing')
+  LIMIT 1;
+
+  -- Update tc_users fields to keep Traccar in sync
+  UPDATE tc_users
+  SET
+    devicelimit = COALESCE(v_device_limit, -1),
+    userlimit = COALESCE(v_user_limit, userlimit),
+    expirationtime = v_expiration
+  WHERE id = p_userid;
+END//
+
+DELIMITER ;
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+SELECT o.userid, u.email, o.device_limit, u.devicelimit, o.user_limit, u.userlimit,
+  o.plan_id, o.stripe_price_id, o.updated_by, o.updated_at
+FROM tc_customer_overrides o
+JOIN tc_users u ON u.id = o.userid;
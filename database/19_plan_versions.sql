@@ -0,0 +1,120 @@
+-- ============================================================================
+-- Traczi Subscription System - Plan Versions
+-- A plan's terms (device limit, minimum quantity, entitlements and prices) are
+-- versioned. Each Stripe price belongs to one version, so subscribers on an old
+-- price keep that version's terms until they are migrated to a newer one.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS tc_plan_versions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id VARCHAR(50) NOT NULL,
+  version INT NOT NULL,
+  device_limit INT NOT NULL,
+  min_quantity INT NOT NULL DEFAULT 1,
+  entitlements JSON NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_plan_version (plan_id, version),
+
+  CONSTRAINT fk_plan_versions_plan
+    FOREIGN KEY (plan_id) REFERENCES tc_subscription_plans(plan_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Terms of each version of a plan';
+
+ALTER TABLE tc_subscription_plans
+  ADD COLUMN current_version INT NOT NULL DEFAULT 1 AFTER plan_id;
+
+ALTER TABLE tc_plan_prices
+  ADD COLUMN plan_version INT NOT NULL DEFAULT 1 AFTER plan_id,
+  DROP INDEX idx_plan_price,
+  ADD INDEX idx_plan_price (plan_id, plan_version, billing_interval, currency, active);
+
+ALTER TABLE tc_user_subscriptions
+  ADD COLUMN plan_version INT NULL
+    COMMENT 'Plan version of the subscribed price'
+    AFTER plan_id;
+
+-- Every existing plan and price becomes version 1
+INSERT INTO tc_plan_versions (plan_id, version, device_limit, min_quantity, entitlements)
+SELECT plan_id, 1, device_limit, min_quantity, entitlements
+FROM tc_subscription_plans
+ON DUPLICATE KEY UPDATE version = version;
+
+UPDATE tc_user_subscriptions SET plan_version = 1 WHERE plan_version IS NULL;
+
+-- Cohort migrations: move a plan's subscribers from older versions to a newer one on a date
+CREATE TABLE IF NOT EXISTS tc_plan_migrations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id VARCHAR(50) NOT NULL,
+  from_version INT NULL COMMENT 'NULL for every older version',
+  to_version INT NOT NULL,
+  run_at TIMESTAMP NOT NULL,
+  proration_behavior VARCHAR(20) NOT NULL DEFAULT 'none',
+  status ENUM('scheduled', 'running', 'completed', 'failed', 'canceled') NOT NULL DEFAULT 'scheduled',
+  migrated INT NOT NULL DEFAULT 0,
+  failed INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL,
+  created_by VARCHAR(100) NOT NULL,
+  started_at TIMESTAMP NULL,
+  completed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_due (status, run_at),
+
+  CONSTRAINT fk_plan_migrations_plan
+    FOREIGN KEY (plan_id) REFERENCES tc_subscription_plans(plan_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Scheduled moves of subscribers between plan versions';
+
+-- ============================================================================
+-- PROCEDURES
+-- ============================================================================
+
+DROP PROCEDURE IF EXISTS sp_sync_subscription_to_user;
+
+DELIMITER //
+
+-- Procedure: Sync subscription to Traccar user fields (overrides win over the
+-- terms of the subscription's plan version)
+CREATE PROCEDURE sp_sync_subscription_to_user(
+  IN p_userid INT
+)
+BEGIN
+  DECLARE v_device_limit INT;
+  DECLARE v_user_limit INT;
+  DECLARE v_expiration TIMESTAMP;
+
+  -- Get subscription info; without an override the user limit is the version's subUsers entitlement
+  SELECT
+    COALESCE(o.device_limit, s.device_limit),
+    COALESCE(o.user_limit, CAST(JSON_UNQUOTE(JSON_EXTRACT(COALESCE(v.entitlements, p.entitlements), '$.subUsers')) AS SIGNED)),
+    s.current_period_end
+  INTO v_device_limit, v_user_limit, v_expiration
+  FROM tc_user_subscriptions s
+  LEFT JOIN tc_customer_overrides o ON o.userid = s.userid
+  LEFT JOIN tc_subscription_plans p ON p.plan_id = s.plan_id
+  LEFT JOIN tc_plan_versions v ON v.plan_id = s.plan_id AND v.version = s.plan_version
+  WHERE s.userid = p_userid
+    AND s.status IN ('active', 'trialing')
+  LIMIT 1;
+
+  -- Update tc_users fields to keep Traccar in sync
+  UPDATE tc_users
+  SET
+    devicelimit = COALESCE(v_device_limit, -1),
+    userlimit = COALESCE(v_user_limit, userlimit),
+    expirationtime = v_expiration
+  WHERE id = p_userid;
+END//
+
+DELIMITER ;
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+SELECT sp.plan_id, sp.current_version, COUNT(DISTINCT pv.version) AS versions,
+  (SELECT COUNT(*) FROM tc_user_subscriptions s
+   WHERE s.plan_id = sp.plan_id AND s.plan_version < sp.current_version) AS on_older_versions
+FROM tc_subscription_plans sp
+LEFT JOIN tc_plan_versions pv ON pv.plan_id = sp.plan_id
+GROUP BY sp.plan_id, sp.current_version;
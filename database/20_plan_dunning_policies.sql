@@ -0,0 +1,29 @@
+-- ============================================================================
+-- Traczi Subscription System - Plan Dunning Policies
+-- Moves the per-plan dunning policies from config/dunning.js into the plan
+-- catalog. A policy is a JSON list of { day, stage } steps; plans without one
+-- use the default policy (warning on day 0, read-only on day 7, disabled on day 14).
+-- ============================================================================
+
+ALTER TABLE tc_subscription_plans
+  ADD COLUMN dunning_policy JSON NULL AFTER entitlements;
+
+-- Built-in plans, as in config/plans.js
+UPDATE tc_subscription_plans SET dunning_policy = JSON_ARRAY(
+  JSON_OBJECT('day', 0, 'stage', 'warning'),
+  JSON_OBJECT('day', 3, 'stage', 'disabled')
+) WHERE plan_id = 'test';
+
+UPDATE tc_subscription_plans SET dunning_policy = JSON_ARRAY(
+  JSON_OBJECT('day', 0, 'stage', 'warning'),
+  JSON_OBJECT('day', 14, 'stage', 'readonly'),
+  JSON_OBJECT('day', 30, 'stage', 'disabled')
+) WHERE plan_id = 'advance';
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+SELECT plan_id, dunning_policy
+FROM tc_subscription_plans
+ORDER BY sort_order;
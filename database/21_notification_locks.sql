@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Traczi Subscription System - Notification Delivery Locks
+-- The delivery job claims due notifications (status 'sending') before sending
+-- them, so overlapping runs and instances never send the same notice twice.
+-- Requires 09_notifications.sql
+-- ============================================================================
+
+ALTER TABLE tc_notifications
+  ADD COLUMN locked_by VARCHAR(100) NULL AFTER error_message,
+  ADD COLUMN locked_at TIMESTAMP NULL AFTER locked_by,
+  ADD INDEX idx_locked (locked_by);
+
+-- ============================================================================
+-- VERIFY
+-- ============================================================================
+
+-- Notifications currently held by a delivery run
+SELECT id, type, email, locked_by, locked_at
+FROM tc_notifications
+WHERE status = 'sending'
+ORDER BY locked_at;
@@ -6,7 +6,12 @@ import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { apiLimiter } from './middleware/rateLimiter.js';
 import billingRoutes from './routes/billing.js';
 import webhookRoutes from './routes/webhooks.js';
+import adminRoutes from './routes/admin.js';
 import database from './lib/database.js';
+import planCatalog from './lib/planCatalog.js';
+import webhookWorker from './lib/webhookWorker.js';
+import scheduler from './lib/scheduler.js';
+import { registerJobs } from './lib/jobs.js';
 import logger from './utils/logger.js';
 
 // Validate configuration on startup
@@ -65,6 +70,7 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/billing', billingRoutes);
 app.use('/webhooks', webhookRoutes);
+app.use('/admin', adminRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -83,12 +89,22 @@ async function startServer() {
       await database.initialize();
       logger.info('✓ Database connection pool initialized');
       logger.info(`Database: ${config.database.host}/${config.database.database}`);
+
+      const catalog = await planCatalog.refresh();
+      logger.info(`✓ Plan catalog loaded (${catalog.plans} plans from ${catalog.source})`);
     } catch (dbError) {
       logger.warn('⚠️  Database connection failed - server will run without database features');
       logger.warn(`Database error: ${dbError.message}`);
       logger.warn('Subscription management will use Traccar user attributes as fallback');
     }
 
+    // Process queued webhook events (idles until the database is available)
+    webhookWorker.start();
+
+    // Start scheduled sweeps (skipped while the database is unavailable)
+    registerJobs();
+    scheduler.start();
+
     // Start Express server (even if database failed)
     server = app.listen(PORT, () => {
       logger.info(`Traczi Billing Middleware started on port ${PORT}`);
@@ -113,6 +129,10 @@ async function gracefulShutdown(signal) {
     });
   }
 
+  // Let the webhook worker and scheduled jobs finish what they are doing
+  await webhookWorker.stop();
+  await scheduler.stop();
+
   // Close database connections
   try {
     await database.close();
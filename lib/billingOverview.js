@@ -0,0 +1,149 @@
+import { getIntervalPrice, DEFAULT_INTERVAL } from '../config/plans.js';
+import traccarClient from './traccarClient.js';
+import planCatalog from './planCatalog.js';
+import subscriptionService from './subscriptionService.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Billing Overview
+ * Builds a user's billing summary (plan, status, device usage, renewal) from
+ * v_user_subscription_status, or from the Traccar user when the database is unavailable
+ */
+class BillingOverview {
+  /**
+   * Get the billing summary for a Traccar user
+   */
+  async getForUser(user) {
+    let row = null;
+    try {
+      row = await subscriptionService.getUserSubscription(user.id);
+    } catch (dbError) {
+      logger.warn('Database not available for billing overview, using Traccar attributes');
+      return this.fromTraccar(user);
+    }
+
+    return this.fromDatabase(row, user);
+  }
+
+  /**
+   * Summary from a v_user_subscription_status row
+   */
+  fromDatabase(row, user) {
+    const deviceLimit = row?.subscription_device_limit ?? user.deviceLimit ?? 0;
+    const usedDevices = Number(row?.owned_devices ?? 0);
+
+    return this.build({
+      source: 'database',
+      planId: row?.plan_id,
+      interval: row?.billing_interval,
+      currency: row?.currency,
+      unitAmount: row?.unit_amount ?? null,
+      quantity: row?.quantity ?? null,
+      pendingQuantity: row?.pending_quantity ?? null,
+      status: row?.subscription_status || null,
+      effectiveStatus: row?.effective_status || null,
+      usedDevices,
+      deviceLimit,
+      currentPeriodEnd: row?.current_period_end || null,
+      daysUntilRenewal: row?.days_until_renewal ?? null,
+      cancelAtPeriodEnd: Boolean(row?.cancel_at_period_end),
+      customerId: row?.stripe_customer_id || user.attributes?.stripeCustomerId || null,
+      subscriptionId: row?.stripe_subscription_id || null,
+    });
+  }
+
+  /**
+   * Summary from the Traccar user's subscription attributes
+   */
+  async fromTraccar(user) {
+    const attributes = user.attributes || {};
+
+    let usedDevices = null;
+    try {
+      usedDevices = await traccarClient.getUserDeviceCount(user.id);
+    } catch (error) {
+      logger.warn(`Could not count devices for user ${user.id}: ${error.message}`);
+    }
+
+    const currentPeriodEnd = attributes.currentPeriodEnd ? new Date(attributes.currentPeriodEnd) : null;
+    const status = attributes.subscriptionStatus || null;
+    // A Stripe trial's current period ends when the trial does
+    const trialEnd = attributes.trialEnd ? new Date(attributes.trialEnd) : currentPeriodEnd;
+
+    return this.build({
+      source: 'traccar',
+      planId: attributes.subscriptionPlan,
+      interval: attributes.billingInterval,
+      currency: attributes.billingCurrency,
+      status,
+      effectiveStatus: this.getEffectiveStatus(status, { currentPeriodEnd, trialEnd }, usedDevices, user.deviceLimit),
+      usedDevices,
+      deviceLimit: user.deviceLimit ?? 0,
+      currentPeriodEnd,
+      daysUntilRenewal: currentPeriodEnd ? Math.ceil((currentPeriodEnd - Date.now()) / DAY_MS) : null,
+      cancelAtPeriodEnd: Boolean(attributes.cancelAtPeriodEnd),
+      customerId: attributes.stripeCustomerId || null,
+      subscriptionId: attributes.stripeSubscriptionId || null,
+    });
+  }
+
+  /**
+   * Same rules as the effective_status column of v_user_subscription_status
+   */
+  getEffectiveStatus(status, { currentPeriodEnd, trialEnd }, usedDevices, deviceLimit) {
+    if (status === 'active' && currentPeriodEnd && currentPeriodEnd < new Date()) {
+      return 'expired';
+    }
+    if (status === 'past_due' || status === 'payment_failed') {
+      return 'payment_required';
+    }
+    if (status === 'trialing' && trialEnd && trialEnd < new Date()) {
+      return 'trial_expired';
+    }
+    if (status && usedDevices !== null && deviceLimit !== undefined && usedDevices >= deviceLimit) {
+      return 'limit_reached';
+    }
+    return status;
+  }
+
+  build({ source, planId, interval, currency, unitAmount = null, quantity = null, pendingQuantity = null, usedDevices, deviceLimit, ...details }) {
+    const plan = planId ? planCatalog.getPlanById(planId) : null;
+    const planCurrency = currency || plan?.currency;
+
+    return {
+      source,
+      plan: plan
+        ? {
+          id: plan.id,
+          name: plan.name,
+          interval: interval || DEFAULT_INTERVAL,
+          // The billed price, which differs from the plan's for customers with a custom price
+          price: unitAmount !== null ? unitAmount / 100 : getIntervalPrice(plan, interval, planCurrency),
+          currency: planCurrency,
+          // Per-device plans: price is per device, billed for quantity devices
+          billingMode: plan.billingMode,
+          quantity,
+          pendingQuantity,
+          features: plan.features,
+        }
+        : null,
+      status: details.status,
+      effectiveStatus: details.effectiveStatus,
+      devices: {
+        used: usedDevices,
+        limit: deviceLimit,
+        remaining: usedDevices === null ? null : Math.max(deviceLimit - usedDevices, 0),
+      },
+      currentPeriodEnd: details.currentPeriodEnd,
+      daysUntilRenewal: details.daysUntilRenewal,
+      cancelAtPeriodEnd: details.cancelAtPeriodEnd,
+      stripeCustomerId: details.customerId,
+      stripeSubscriptionId: details.subscriptionId,
+    };
+  }
+}
+
+// Export singleton instance
+export default new BillingOverview();
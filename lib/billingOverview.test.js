@@ -0,0 +1,42 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import traccarClient from './traccarClient.js';
+import billingOverview from './billingOverview.js';
+
+const past = new Date(Date.now() - 60000);
+const future = new Date(Date.now() + 86400000);
+
+describe('billingOverview', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('getEffectiveStatus', () => {
+    const effective = (status, dates, used = 1, limit = 5) => billingOverview.getEffectiveStatus(status, dates, used, limit);
+
+    it('follows the effective_status rules of v_user_subscription_status', () => {
+      assert.equal(effective('active', { currentPeriodEnd: past }), 'expired');
+      assert.equal(effective('past_due', { currentPeriodEnd: future }), 'payment_required');
+      assert.equal(effective('trialing', { currentPeriodEnd: past, trialEnd: past }), 'trial_expired');
+      assert.equal(effective('active', { currentPeriodEnd: future }, 5, 5), 'limit_reached');
+      assert.equal(effective('trialing', { currentPeriodEnd: future, trialEnd: future }), 'trialing');
+    });
+
+    it('checks an expired trial before the device limit', () => {
+      assert.equal(effective('trialing', { trialEnd: past }, 5, 5), 'trial_expired');
+    });
+  });
+
+  describe('fromTraccar', () => {
+    it('reports a trial past its end as expired', async () => {
+      mock.method(traccarClient, 'getUserDeviceCount', async () => 2);
+
+      const overview = await billingOverview.fromTraccar({
+        id: 1,
+        deviceLimit: 30,
+        attributes: { subscriptionPlan: 'basic', subscriptionStatus: 'trialing', currentPeriodEnd: past.toISOString() },
+      });
+
+      assert.equal(overview.source, 'traccar');
+      assert.equal(overview.effectiveStatus, 'trial_expired');
+    });
+  });
+});
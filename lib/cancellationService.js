@@ -0,0 +1,115 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import traccarClient from './traccarClient.js';
+import subscriptionService from './subscriptionService.js';
+import { resolveStripeSubscription } from './userResolver.js';
+import { clientError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const stripe = new Stripe(config.stripe.secretKey);
+
+// Cancellation reasons, as accepted by Stripe's cancellation_details.feedback
+export const CANCELLATION_REASONS = [
+  'customer_service',
+  'low_quality',
+  'missing_features',
+  'other',
+  'switched_service',
+  'too_complex',
+  'too_expensive',
+  'unused',
+];
+
+/**
+ * Cancellation Service
+ * Cancels subscriptions at period end (recording why) and resumes them before they end
+ */
+class CancellationService {
+  /**
+   * Cancel the user's subscription at the end of the current period
+   */
+  async cancel(user, { reason, feedback } = {}) {
+    const subscription = await this.getLiveSubscription(user);
+    if (subscription.cancel_at_period_end) {
+      throw clientError('Subscription is already set to cancel at period end', 409);
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      cancel_at_period_end: true,
+      cancellation_details: {
+        ...(reason ? { feedback: reason } : {}),
+        ...(feedback ? { comment: feedback } : {}),
+      },
+    });
+
+    await this.applyLocally(user.id, updated, {
+      ...(reason ? { reason } : {}),
+      ...(feedback ? { feedback } : {}),
+      stripe_subscription_id: updated.id,
+      cancel_at: updated.current_period_end,
+    });
+
+    logger.info(`Subscription ${updated.id} for user ${user.id} will cancel at period end (reason: ${reason || 'none'})`);
+    return this.toResult(updated);
+  }
+
+  /**
+   * Undo a pending cancellation
+   */
+  async resume(user) {
+    const subscription = await this.getLiveSubscription(user);
+    if (!subscription.cancel_at_period_end) {
+      throw clientError('Subscription is not set to cancel', 409);
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      cancel_at_period_end: false,
+    });
+
+    await this.applyLocally(user.id, updated, { stripe_subscription_id: updated.id });
+
+    logger.info(`Subscription ${updated.id} for user ${user.id} resumed`);
+    return this.toResult(updated);
+  }
+
+  /**
+   * Get the user's subscription if it has not ended yet
+   */
+  async getLiveSubscription(user) {
+    const subscription = await resolveStripeSubscription(user);
+    if (!subscription) {
+      throw clientError('No subscription found for this user', 404);
+    }
+    if (['canceled', 'incomplete_expired'].includes(subscription.status)) {
+      throw clientError(`Subscription is already ${subscription.status}`, 409);
+    }
+    return subscription;
+  }
+
+  /**
+   * Record the change in tc_user_subscriptions, its history and the Traccar user
+   */
+  async applyLocally(userId, subscription, details) {
+    try {
+      await subscriptionService.cancelSubscription(userId, subscription.cancel_at_period_end, details);
+    } catch (dbError) {
+      logger.warn('Database not available for subscription cancellation');
+    }
+
+    await traccarClient.updateUserAttributes(userId, {
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+    });
+  }
+
+  toResult(subscription) {
+    return {
+      subscriptionId: subscription.id,
+      status: subscription.status,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      currentPeriodEnd: subscription.current_period_end,
+    };
+  }
+}
+
+// Export singleton instance
+export default new CancellationService();
@@ -0,0 +1,91 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import traccarClient from './traccarClient.js';
+import subscriptionService from './subscriptionService.js';
+import cancellationService from './cancellationService.js';
+
+const user = { id: 1, attributes: {} };
+
+describe('cancellationService', () => {
+  let stripeSubscription;
+  let update;
+  let cancelLocally;
+  let updateAttributes;
+
+  beforeEach(() => {
+    stripeSubscription = { id: 'sub_1', customer: 'cus_1', status: 'active', cancel_at_period_end: false, current_period_end: 1702592000 };
+    mock.method(subscriptionService, 'getSubscriptionByUserId', async () => ({
+      stripe_customer_id: 'cus_1', stripe_subscription_id: 'sub_1',
+    }));
+    mock.method(Stripe.resources.Subscriptions.prototype, 'retrieve', async () => stripeSubscription);
+    update = mock.method(Stripe.resources.Subscriptions.prototype, 'update', async (id, params) => ({
+      ...stripeSubscription, ...params,
+    }));
+    cancelLocally = mock.method(subscriptionService, 'cancelSubscription', async () => {});
+    updateAttributes = mock.method(traccarClient, 'updateUserAttributes', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('cancel', () => {
+    it('cancels at period end and records the reason', async () => {
+      const result = await cancellationService.cancel(user, { reason: 'too_expensive', feedback: 'Over budget' });
+
+      assert.deepEqual(update.mock.calls[0].arguments, ['sub_1', {
+        cancel_at_period_end: true,
+        cancellation_details: { feedback: 'too_expensive', comment: 'Over budget' },
+      }]);
+      assert.deepEqual(cancelLocally.mock.calls[0].arguments, [1, true, {
+        reason: 'too_expensive',
+        feedback: 'Over budget',
+        stripe_subscription_id: 'sub_1',
+        cancel_at: 1702592000,
+      }]);
+      assert.deepEqual(updateAttributes.mock.calls[0].arguments, [1, { cancelAtPeriodEnd: true }]);
+      assert.equal(result.cancelAtPeriodEnd, true);
+    });
+
+    it('refuses a subscription already set to cancel', async () => {
+      stripeSubscription.cancel_at_period_end = true;
+
+      await assert.rejects(cancellationService.cancel(user), { statusCode: 409 });
+      assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('refuses a subscription that has ended', async () => {
+      stripeSubscription.status = 'canceled';
+
+      await assert.rejects(cancellationService.cancel(user), { statusCode: 409 });
+    });
+
+    it('still updates Traccar when the database is unavailable', async () => {
+      cancelLocally.mock.mockImplementation(async () => { throw new Error('ECONNREFUSED'); });
+
+      await cancellationService.cancel(user);
+      assert.equal(updateAttributes.mock.callCount(), 1);
+    });
+  });
+
+  describe('resume', () => {
+    it('undoes a pending cancellation', async () => {
+      stripeSubscription.cancel_at_period_end = true;
+
+      const result = await cancellationService.resume(user);
+
+      assert.deepEqual(update.mock.calls[0].arguments, ['sub_1', { cancel_at_period_end: false }]);
+      assert.deepEqual(cancelLocally.mock.calls[0].arguments, [1, false, { stripe_subscription_id: 'sub_1' }]);
+      assert.equal(result.cancelAtPeriodEnd, false);
+    });
+
+    it('refuses a subscription that is not set to cancel', async () => {
+      await assert.rejects(cancellationService.resume(user), { statusCode: 409 });
+    });
+
+    it('returns a 404 for a user without a subscription', async () => {
+      mock.method(subscriptionService, 'getSubscriptionByUserId', async () => null);
+
+      await assert.rejects(cancellationService.resume(user), { statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { config } from '../config/index.js';
+import { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } from '../config/plans.js';
+
+// Euro area member states
+const EURO_COUNTRIES = [
+  'AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR',
+  'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK',
+];
+
+/**
+ * Currency for an ISO country code, or null if it has no supported currency
+ */
+export function getCountryCurrency(country) {
+  const code = country?.toUpperCase();
+  if (code === 'IN') {
+    return 'INR';
+  }
+  if (EURO_COUNTRIES.includes(code)) {
+    return 'EUR';
+  }
+  if (code === 'US') {
+    return 'USD';
+  }
+  return null;
+}
+
+/**
+ * Pick the currency for a request.
+ * Tries, in order: the currency the caller asked for, the country header set by
+ * the CDN or proxy, the regions in Accept-Language (e.g. en-IN), and finally the default.
+ */
+export function resolveCurrency(req, requested) {
+  const currency = requested?.toUpperCase();
+  if (SUPPORTED_CURRENCIES.includes(currency)) {
+    return currency;
+  }
+
+  const countryCurrency = getCountryCurrency(req.get(config.currency.countryHeader));
+  if (countryCurrency) {
+    return countryCurrency;
+  }
+
+  for (const language of req.acceptsLanguages()) {
+    const region = language.split('-')[1];
+    const languageCurrency = region && getCountryCurrency(region);
+    if (languageCurrency) {
+      return languageCurrency;
+    }
+  }
+
+  return DEFAULT_CURRENCY;
+}
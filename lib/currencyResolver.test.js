@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCountryCurrency, resolveCurrency } from './currencyResolver.js';
+
+// The parts of an Express request resolveCurrency reads
+const request = ({ country, languages = [] } = {}) => ({
+  get: name => (name === 'cf-ipcountry' ? country : undefined),
+  acceptsLanguages: () => languages,
+});
+
+describe('currencyResolver', () => {
+  it('maps countries to their supported currency', () => {
+    assert.deepEqual(['in', 'DE', 'US', 'GB', undefined].map(getCountryCurrency), ['INR', 'EUR', 'USD', null, null]);
+  });
+
+  it('prefers a supported currency the caller asked for', () => {
+    assert.equal(resolveCurrency(request({ country: 'IN' }), 'eur'), 'EUR');
+  });
+
+  it('ignores an unsupported currency and uses the country header', () => {
+    assert.equal(resolveCurrency(request({ country: 'IN', languages: ['de-DE'] }), 'GBP'), 'INR');
+  });
+
+  it('falls back to the first Accept-Language region with a currency', () => {
+    assert.equal(resolveCurrency(request({ country: 'XX', languages: ['en', 'en-GB', 'fr-FR'] })), 'EUR');
+  });
+
+  it('uses the default currency when nothing matches', () => {
+    assert.equal(resolveCurrency(request({ languages: ['en-GB'] })), 'USD');
+  });
+});
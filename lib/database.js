@@ -43,6 +43,13 @@ class Database {
     }
   }
 
+  /**
+   * Whether the connection pool has been initialized
+   */
+  isInitialized() {
+    return this.pool !== null;
+  }
+
   /**
    * Get a connection from the pool
    */
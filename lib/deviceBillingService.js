@@ -0,0 +1,206 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import { isPerDevicePlan, isMeteredPlan } from '../config/plans.js';
+import database from './database.js';
+import traccarClient from './traccarClient.js';
+import planCatalog from './planCatalog.js';
+import subscriptionService from './subscriptionService.js';
+import logger from '../utils/logger.js';
+
+const stripe = new Stripe(config.stripe.secretKey);
+
+// Subscriptions whose quantity is kept in step with the device count
+const BILLABLE_STATUSES = ['active', 'trialing', 'past_due'];
+
+/**
+ * Device Billing Service
+ * Bills per-device plans for the devices each user owns in tc_device_ownership.
+ * A sweep compares the device count with the subscription quantity; a new count is
+ * held as pending and only sent to Stripe once it has been stable for the debounce period.
+ */
+class DeviceBillingService {
+  /**
+   * Number of devices a user owns
+   */
+  async countDevices(userId) {
+    const row = await database.queryOne(
+      'SELECT COUNT(*) as devices FROM tc_device_ownership WHERE ownerid = ?',
+      [userId]
+    );
+    return Number(row?.devices || 0);
+  }
+
+  /**
+   * Quantity to bill for a device count: 1 for tier plans, at least minQuantity for per-device plans.
+   * Metered prices take no quantity (null); their usage is reported by usageService.
+   */
+  getBillableQuantity(plan, deviceCount) {
+    if (isMeteredPlan(plan)) {
+      return null;
+    }
+    if (!isPerDevicePlan(plan)) {
+      return 1;
+    }
+    return Math.max(deviceCount, plan.minQuantity || 1, 1);
+  }
+
+  /**
+   * Quantity for a user moving onto a plan, from the devices they already own
+   */
+  async getUserQuantity(plan, userId) {
+    if (!isPerDevicePlan(plan)) {
+      return this.getBillableQuantity(plan, 0);
+    }
+
+    try {
+      return this.getBillableQuantity(plan, userId ? await this.countDevices(userId) : 0);
+    } catch (dbError) {
+      logger.warn('Database not available for device count, billing the minimum quantity');
+      return this.getBillableQuantity(plan, 0);
+    }
+  }
+
+  /**
+   * Quantity for a checkout: existing users are billed for the devices they already own
+   */
+  async getCheckoutQuantity(plan, email) {
+    if (!isPerDevicePlan(plan)) {
+      return this.getBillableQuantity(plan, 0);
+    }
+
+    let user = null;
+    try {
+      user = await traccarClient.getUserByEmail(email);
+    } catch (error) {
+      logger.warn(`Could not look up ${email} for device count: ${error.message}`);
+    }
+    return this.getUserQuantity(plan, user?.id);
+  }
+
+  /**
+   * Compare every per-device subscription's quantity with its device count.
+   * With force, changed counts are billed straight away instead of after the debounce period.
+   */
+  async runSync({ force = false } = {}) {
+    const planIds = planCatalog.getAllPlans({ includeArchived: true })
+      .filter(isPerDevicePlan)
+      .map(plan => plan.id);
+    const report = { checked: 0, pending: 0, updated: 0, errors: [] };
+    if (planIds.length === 0) {
+      return report;
+    }
+
+    const subscriptions = await database.query(`
+      SELECT
+        s.userid,
+        s.plan_id,
+        s.plan_version,
+        s.stripe_subscription_id,
+        s.quantity,
+        s.pending_quantity,
+        TIMESTAMPDIFF(MINUTE, s.pending_quantity_since, NOW()) as pending_minutes,
+        (SELECT COUNT(*) FROM tc_device_ownership do WHERE do.ownerid = s.userid) as device_count
+      FROM tc_user_subscriptions s
+      WHERE s.plan_id IN (${planIds.map(() => '?').join(', ')})
+        AND s.status IN (${BILLABLE_STATUSES.map(() => '?').join(', ')})
+        AND s.stripe_subscription_id IS NOT NULL
+    `, [...planIds, ...BILLABLE_STATUSES]);
+
+    for (const subscription of subscriptions) {
+      report.checked++;
+      try {
+        const result = await this.syncSubscription(subscription, force);
+        if (result === 'pending') {
+          report.pending++;
+        } else if (result === 'updated') {
+          report.updated++;
+        }
+      } catch (error) {
+        logger.error(`Device quantity sync failed for user ${subscription.userid}: ${error.message}`);
+        report.errors.push({ userId: subscription.userid, error: error.message });
+      }
+    }
+
+    logger.info(`Device quantity sync: ${report.checked} subscription(s), ${report.pending} pending, ${report.updated} updated`);
+    return report;
+  }
+
+  /**
+   * Debounce and apply one subscription's device count.
+   * Returns 'unchanged', 'pending' or 'updated'.
+   */
+  async syncSubscription(subscription, force) {
+    // Grandfathered subscriptions keep their version's minimum quantity
+    const plan = planCatalog.getPlanVersion(subscription.plan_id, subscription.plan_version);
+    const target = this.getBillableQuantity(plan, Number(subscription.device_count));
+
+    if (target === subscription.quantity) {
+      if (subscription.pending_quantity !== null) {
+        await this.setPending(subscription.userid, null);
+      }
+      return 'unchanged';
+    }
+
+    // A different count restarts the wait
+    if (!force && target !== subscription.pending_quantity) {
+      await this.setPending(subscription.userid, target);
+      return 'pending';
+    }
+    if (!force && subscription.pending_minutes < config.deviceBilling.debounceMinutes) {
+      return 'pending';
+    }
+
+    await this.applyQuantity(subscription, target);
+    return 'updated';
+  }
+
+  /**
+   * Set the subscription item's quantity in Stripe and record it
+   */
+  async applyQuantity(subscription, quantity) {
+    const { prorationBehavior } = config.deviceBilling;
+    const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripe_subscription_id);
+    const item = stripeSubscription.items.data[0];
+
+    if (item.quantity !== quantity) {
+      await stripe.subscriptions.update(stripeSubscription.id, {
+        items: [{ id: item.id, quantity }],
+        proration_behavior: prorationBehavior,
+      });
+    }
+
+    await database.query(`
+      UPDATE tc_user_subscriptions
+      SET quantity = ?, pending_quantity = NULL, pending_quantity_since = NULL
+      WHERE userid = ?
+    `, [quantity, subscription.userid]);
+
+    await subscriptionService.addSubscriptionHistory(
+      subscription.userid,
+      'quantity_changed',
+      `Billed device quantity changed from ${item.quantity} to ${quantity}`,
+      {
+        previous_quantity: item.quantity,
+        quantity,
+        device_count: Number(subscription.device_count),
+        proration_behavior: prorationBehavior,
+      }
+    );
+
+    logger.info(`Subscription ${stripeSubscription.id} quantity changed from ${item.quantity} to ${quantity}`);
+  }
+
+  /**
+   * Hold a new quantity until it has been stable long enough, or clear it (null)
+   */
+  async setPending(userId, quantity) {
+    await database.query(`
+      UPDATE tc_user_subscriptions
+      SET pending_quantity = ?, pending_quantity_since = IF(? IS NULL, NULL, NOW())
+      WHERE userid = ?
+    `, [quantity, quantity, userId]);
+  }
+}
+
+// Export singleton instance
+export default new DeviceBillingService();
@@ -0,0 +1,111 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import database from './database.js';
+import subscriptionService from './subscriptionService.js';
+import deviceBillingService from './deviceBillingService.js';
+
+// flex is per device with a minimum of 5
+const subscription = (fields = {}) => ({
+  userid: 1,
+  plan_id: 'flex',
+  plan_version: 1,
+  stripe_subscription_id: 'sub_1',
+  quantity: 8,
+  pending_quantity: null,
+  pending_minutes: null,
+  device_count: 8,
+  ...fields,
+});
+
+describe('deviceBillingService', () => {
+  const settings = { ...config.deviceBilling };
+  let query;
+  let update;
+
+  beforeEach(() => {
+    Object.assign(config.deviceBilling, { debounceMinutes: 60, prorationBehavior: 'create_prorations' });
+    query = mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+    mock.method(Stripe.resources.Subscriptions.prototype, 'retrieve', async () => ({
+      id: 'sub_1',
+      items: { data: [{ id: 'si_1', quantity: 8 }] },
+    }));
+    update = mock.method(Stripe.resources.Subscriptions.prototype, 'update', async () => ({}));
+    mock.method(subscriptionService, 'addSubscriptionHistory', async () => {});
+  });
+
+  afterEach(() => {
+    Object.assign(config.deviceBilling, settings);
+    mock.restoreAll();
+  });
+
+  describe('getBillableQuantity', () => {
+    it('bills per-device plans for their devices, never below the minimum', () => {
+      const flex = { billingMode: 'per_device', minQuantity: 5 };
+      assert.deepEqual([0, 5, 12].map(count => deviceBillingService.getBillableQuantity(flex, count)), [5, 5, 12]);
+    });
+
+    it('bills tier plans once and metered plans without a quantity', () => {
+      assert.equal(deviceBillingService.getBillableQuantity({ billingMode: 'tier' }, 40), 1);
+      assert.equal(deviceBillingService.getBillableQuantity({ billingMode: 'metered' }, 40), null);
+    });
+  });
+
+  describe('syncSubscription', () => {
+    it('leaves a subscription billed for its devices alone', async () => {
+      assert.equal(await deviceBillingService.syncSubscription(subscription(), false), 'unchanged');
+      assert.equal(query.mock.callCount(), 0);
+    });
+
+    it('clears a pending quantity once the count is back to the billed one', async () => {
+      assert.equal(await deviceBillingService.syncSubscription(subscription({ pending_quantity: 10 }), false), 'unchanged');
+      assert.deepEqual(query.mock.calls[0].arguments[1], [null, null, 1]);
+    });
+
+    it('holds a new count as pending', async () => {
+      assert.equal(await deviceBillingService.syncSubscription(subscription({ device_count: 10 }), false), 'pending');
+      assert.deepEqual(query.mock.calls[0].arguments[1], [10, 10, 1]);
+      assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('restarts the wait when the count changes again', async () => {
+      const result = await deviceBillingService.syncSubscription(
+        subscription({ device_count: 11, pending_quantity: 10, pending_minutes: 90 }),
+        false
+      );
+
+      assert.equal(result, 'pending');
+      assert.deepEqual(query.mock.calls[0].arguments[1], [11, 11, 1]);
+    });
+
+    it('waits out the debounce period', async () => {
+      const result = await deviceBillingService.syncSubscription(
+        subscription({ device_count: 10, pending_quantity: 10, pending_minutes: 30 }),
+        false
+      );
+
+      assert.equal(result, 'pending');
+      assert.equal(query.mock.callCount(), 0);
+    });
+
+    it('bills a count that has been stable for the debounce period', async () => {
+      const result = await deviceBillingService.syncSubscription(
+        subscription({ device_count: 10, pending_quantity: 10, pending_minutes: 60 }),
+        false
+      );
+
+      assert.equal(result, 'updated');
+      assert.deepEqual(update.mock.calls[0].arguments, ['sub_1', {
+        items: [{ id: 'si_1', quantity: 10 }],
+        proration_behavior: 'create_prorations',
+      }]);
+      assert.deepEqual(query.mock.calls[0].arguments[1], [10, 1]);
+    });
+
+    it('bills a new count straight away with force', async () => {
+      assert.equal(await deviceBillingService.syncSubscription(subscription({ device_count: 2 }), true), 'updated');
+      assert.equal(update.mock.calls[0].arguments[1].items[0].quantity, 5);
+    });
+  });
+});
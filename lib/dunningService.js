@@ -0,0 +1,198 @@
+import database from './database.js';
+import traccarClient from './traccarClient.js';
+import subscriptionService from './subscriptionService.js';
+import planCatalog from './planCatalog.js';
+import overrideService from './overrideService.js';
+import { getDunningStage, compareDunningStages } from '../config/dunning.js';
+import logger from '../utils/logger.js';
+
+// Why an account is restored, for its history entry
+const RESTORE_REASONS = {
+  payment: 'after payment',
+  subscription_active: 'after the subscription became active',
+};
+
+/**
+ * Dunning Service
+ * Escalates past-due accounts through the plan's dunning policy
+ * (warning -> read-only -> disabled) and restores them once they are paid up
+ */
+class DunningService {
+  /**
+   * Start the grace period for a subscription that became past due, and apply day 0
+   */
+  async startDunning(userId) {
+    await database.query(`
+      UPDATE tc_user_subscriptions
+      SET past_due_since = COALESCE(past_due_since, NOW())
+      WHERE userid = ?
+        AND status IN ('past_due', 'unpaid')
+    `, [userId]);
+
+    const subscription = await this.getDunningSubscription(userId);
+    if (subscription) {
+      await this.evaluate(subscription);
+    }
+  }
+
+  /**
+   * Apply the dunning policy to every past-due subscription
+   */
+  async runSweep() {
+    const subscriptions = await database.query(`
+      SELECT
+        userid,
+        plan_id,
+        dunning_stage,
+        DATEDIFF(NOW(), past_due_since) as days_past_due
+      FROM tc_user_subscriptions
+      WHERE status IN ('past_due', 'unpaid')
+        AND past_due_since IS NOT NULL
+    `);
+
+    let escalated = 0;
+    for (const subscription of subscriptions) {
+      try {
+        if (await this.evaluate(subscription)) {
+          escalated++;
+        }
+      } catch (error) {
+        logger.error(`Dunning failed for user ${subscription.userid}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Dunning sweep: ${subscriptions.length} past-due subscription(s), ${escalated} escalated`);
+    return { checked: subscriptions.length, escalated };
+  }
+
+  /**
+   * Move a subscription to the stage its policy calls for. Stages only escalate here.
+   * Returns true if a new stage was applied.
+   */
+  async evaluate(subscription) {
+    const target = getDunningStage(planCatalog.getDunningPolicy(subscription.plan_id), subscription.days_past_due);
+
+    if (compareDunningStages(target, subscription.dunning_stage) <= 0) {
+      return false;
+    }
+
+    await this.applyStage(subscription.userid, target);
+    await this.setStage(subscription.userid, target);
+
+    await subscriptionService.addSubscriptionHistory(
+      subscription.userid,
+      `dunning_${target}`,
+      `Dunning stage changed from ${subscription.dunning_stage} to ${target} after ${subscription.days_past_due} day(s) past due`,
+      {
+        previous_stage: subscription.dunning_stage,
+        stage: target,
+        days_past_due: subscription.days_past_due,
+      }
+    );
+
+    logger.warn(`User ${subscription.userid} moved to dunning stage ${target}`);
+    return true;
+  }
+
+  /**
+   * Restore an account and clear its dunning state.
+   * reason is 'payment' or 'subscription_active' (see RESTORE_REASONS).
+   */
+  async restore(userId, reason = 'payment') {
+    const subscription = await database.queryOne(
+      'SELECT plan_id, plan_version, dunning_stage, past_due_since FROM tc_user_subscriptions WHERE userid = ? LIMIT 1',
+      [userId]
+    );
+
+    if (!subscription || (subscription.dunning_stage === 'none' && !subscription.past_due_since)) {
+      return false;
+    }
+
+    if (compareDunningStages(subscription.dunning_stage, 'readonly') >= 0) {
+      // Back to read-only access as the plan or the customer's override sets it
+      const plan = await overrideService.getEffectivePlan(
+        planCatalog.getPlanVersion(subscription.plan_id, subscription.plan_version),
+        userId
+      );
+      await traccarClient.setUserReadonly(userId, Boolean(plan?.entitlements.readonly));
+    }
+    // A dispute under review keeps the account disabled until it is decided
+    if (subscription.dunning_stage === 'disabled' && !traccarClient.isUnderDispute(await traccarClient.getUserById(userId))) {
+      await traccarClient.setUserStatus(userId, false);
+    }
+    await traccarClient.updateUserAttributes(userId, {
+      dunningStage: null,
+      billingAlert: null,
+    });
+
+    await database.query(`
+      UPDATE tc_user_subscriptions
+      SET
+        past_due_since = NULL,
+        dunning_stage = 'none',
+        dunning_updated_at = NOW()
+      WHERE userid = ?
+    `, [userId]);
+
+    await subscriptionService.addSubscriptionHistory(
+      userId,
+      'dunning_restored',
+      `Account restored from dunning stage ${subscription.dunning_stage} ${RESTORE_REASONS[reason]}`,
+      { previous_stage: subscription.dunning_stage, reason }
+    );
+
+    logger.info(`User ${userId} restored from dunning stage ${subscription.dunning_stage}`);
+    return true;
+  }
+
+  /**
+   * Apply a stage's restrictions to the Traccar account
+   */
+  async applyStage(userId, stage) {
+    await traccarClient.updateUserAttributes(userId, {
+      dunningStage: stage,
+      billingAlert: 'Your payment is past due. Please update your payment method to avoid service interruption.',
+    });
+
+    if (stage === 'readonly' || stage === 'disabled') {
+      await traccarClient.setUserReadonly(userId, true);
+    }
+    if (stage === 'disabled') {
+      await traccarClient.setUserStatus(userId, true);
+    }
+  }
+
+  /**
+   * Record the applied stage on the subscription
+   */
+  async setStage(userId, stage) {
+    await database.query(`
+      UPDATE tc_user_subscriptions
+      SET
+        dunning_stage = ?,
+        dunning_updated_at = NOW()
+      WHERE userid = ?
+    `, [stage, userId]);
+  }
+
+  /**
+   * Get a user's subscription if it is in its grace period
+   */
+  async getDunningSubscription(userId) {
+    return database.queryOne(`
+      SELECT
+        userid,
+        plan_id,
+        dunning_stage,
+        DATEDIFF(NOW(), past_due_since) as days_past_due
+      FROM tc_user_subscriptions
+      WHERE userid = ?
+        AND status IN ('past_due', 'unpaid')
+        AND past_due_since IS NOT NULL
+      LIMIT 1
+    `, [userId]);
+  }
+}
+
+// Export singleton instance
+export default new DunningService();
@@ -0,0 +1,133 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_DUNNING_POLICY, getDunningStage } from '../config/dunning.js';
+import database from './database.js';
+import traccarClient from './traccarClient.js';
+import planCatalog from './planCatalog.js';
+import overrideService from './overrideService.js';
+import subscriptionService from './subscriptionService.js';
+import dunningService from './dunningService.js';
+
+describe('getDunningStage', () => {
+  const stages = (planId, days) => days.map(day => getDunningStage(planCatalog.getDunningPolicy(planId), day));
+
+  it('follows the default policy for plans without one', () => {
+    assert.equal(planCatalog.getDunningPolicy('basic'), DEFAULT_DUNNING_POLICY);
+    assert.deepEqual(stages('basic', [0, 6, 7, 13, 14, 40]),
+      ['warning', 'warning', 'readonly', 'readonly', 'disabled', 'disabled']);
+  });
+
+  it('follows the plan\'s own policy from the catalog', () => {
+    assert.deepEqual(stages('test', [0, 2, 3]), ['warning', 'warning', 'disabled']);
+    assert.deepEqual(stages('advance', [13, 14, 29, 30]), ['warning', 'readonly', 'readonly', 'disabled']);
+  });
+
+  it('reads a plan\'s policy from its catalog row', () => {
+    const plan = planCatalog.fromRow({
+      plan_id: 'basic',
+      price: 20,
+      currency: 'USD',
+      device_limit: 30,
+      features: '[]',
+      entitlements: '{}',
+      active: 1,
+      dunning_policy: '[{"day": 0, "stage": "warning"}, {"day": 2, "stage": "disabled"}]',
+    }, []);
+
+    assert.deepEqual([1, 2].map(day => getDunningStage(plan.dunningPolicy, day)), ['warning', 'disabled']);
+  });
+
+  it('has no stage before the grace period starts', () => {
+    assert.equal(getDunningStage(DEFAULT_DUNNING_POLICY, -1), 'none');
+  });
+});
+
+describe('dunningService', () => {
+  let traccar;
+
+  beforeEach(() => {
+    traccar = {
+      updateUserAttributes: mock.method(traccarClient, 'updateUserAttributes', async () => {}),
+      setUserReadonly: mock.method(traccarClient, 'setUserReadonly', async () => {}),
+      setUserStatus: mock.method(traccarClient, 'setUserStatus', async () => {}),
+    };
+    mock.method(subscriptionService, 'addSubscriptionHistory', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('evaluate', () => {
+    it('escalates to the stage the policy calls for', async () => {
+      const query = mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+
+      const escalated = await dunningService.evaluate({ userid: 1, plan_id: 'basic', dunning_stage: 'warning', days_past_due: 14 });
+
+      assert.equal(escalated, true);
+      assert.deepEqual(query.mock.calls[0].arguments[1], ['disabled', 1]);
+      assert.deepEqual(traccar.setUserReadonly.mock.calls[0].arguments, [1, true]);
+      assert.deepEqual(traccar.setUserStatus.mock.calls[0].arguments, [1, true]);
+    });
+
+    it('never moves a subscription back to a milder stage', async () => {
+      const query = mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+
+      const escalated = await dunningService.evaluate({ userid: 1, plan_id: 'basic', dunning_stage: 'disabled', days_past_due: 7 });
+
+      assert.equal(escalated, false);
+      assert.equal(query.mock.callCount(), 0);
+      assert.equal(traccar.updateUserAttributes.mock.callCount(), 0);
+    });
+  });
+
+  describe('restore', () => {
+    const dunningRow = (stage) => mock.method(database, 'queryOne', async () => ({
+      plan_id: 'basic', plan_version: 1, dunning_stage: stage, past_due_since: new Date(),
+    }));
+
+    beforeEach(() => {
+      mock.method(overrideService, 'getOverride', async () => null);
+    });
+
+    it('lifts read-only access and enables a disabled account', async () => {
+      dunningRow('disabled');
+      mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+      mock.method(traccarClient, 'getUserById', async () => ({ id: 1, attributes: {} }));
+
+      assert.equal(await dunningService.restore(1), true);
+      assert.deepEqual(traccar.setUserReadonly.mock.calls[0].arguments, [1, false]);
+      assert.deepEqual(traccar.setUserStatus.mock.calls[0].arguments, [1, false]);
+    });
+
+    it('keeps an account read-only when its terms say so', async () => {
+      dunningRow('readonly');
+      mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+      mock.method(overrideService, 'getOverride', async () => ({ entitlements: { readonly: true } }));
+
+      await dunningService.restore(1);
+
+      assert.deepEqual(traccar.setUserReadonly.mock.calls[0].arguments, [1, true]);
+    });
+
+    it('records why the account was restored', async () => {
+      dunningRow('warning');
+      mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+
+      await dunningService.restore(1, 'subscription_active');
+
+      const [, eventType, description, metadata] = subscriptionService.addSubscriptionHistory.mock.calls[0].arguments;
+      assert.equal(eventType, 'dunning_restored');
+      assert.match(description, /warning after the subscription became active$/);
+      assert.equal(metadata.reason, 'subscription_active');
+      assert.equal(traccar.setUserReadonly.mock.callCount(), 0);
+    });
+
+    it('keeps an account under dispute disabled', async () => {
+      dunningRow('disabled');
+      mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+      mock.method(traccarClient, 'getUserById', async () => ({ id: 1, attributes: { disputeStatus: 'under_review' } }));
+
+      assert.equal(await dunningService.restore(1), true);
+      assert.equal(traccar.setUserStatus.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import subscriptionService from './subscriptionService.js';
+import webhookWorker from './webhookWorker.js';
+import logger from '../utils/logger.js';
+
+const stripe = new Stripe(config.stripe.secretKey);
+
+// Statuses listed when no status filter is given
+const DEFAULT_REPLAY_STATUSES = ['failed', 'dead', 'stuck'];
+
+/**
+ * Event Replay
+ * Lists failed or stuck Stripe events and re-runs them through the webhook handlers.
+ * Shared by the admin API and the replay-events command.
+ */
+class EventReplay {
+  /**
+   * List events that may need a replay
+   */
+  async listEvents(filters = {}) {
+    return subscriptionService.listStripeEvents({
+      ...filters,
+      statuses: filters.statuses?.length ? filters.statuses : DEFAULT_REPLAY_STATUSES,
+      stuckAfterSeconds: config.webhooks.lockTimeoutSeconds,
+    });
+  }
+
+  /**
+   * Replay one event.
+   * With refetch, the event is retrieved from Stripe once it is claimed, and its stored payload replaced.
+   */
+  async replayEvent(stripeEventId, { refetch = false } = {}) {
+    const existing = await subscriptionService.getStripeEvent(stripeEventId);
+    if (!existing) {
+      return { eventId: stripeEventId, status: 'not_found' };
+    }
+
+    const lockToken = webhookWorker.createLockToken();
+    let row = await subscriptionService.claimStripeEvent(
+      stripeEventId,
+      lockToken,
+      config.webhooks.lockTimeoutSeconds
+    );
+
+    if (!row) {
+      return {
+        eventId: stripeEventId,
+        status: 'skipped',
+        error: ['processed', 'stale'].includes(existing.status) ? `Event already ${existing.status}` : 'Event is being processed',
+      };
+    }
+
+    if (refetch) {
+      try {
+        const event = await stripe.events.retrieve(stripeEventId);
+        await subscriptionService.updateStripeEventPayload(stripeEventId, lockToken, event.data.object);
+        row = { ...row, payload: event.data.object };
+        logger.info(`Re-fetched Stripe event ${stripeEventId} from Stripe`);
+      } catch (error) {
+        // Counts as a failed attempt, so the claim is released like any other failure
+        const retryDelaySeconds = webhookWorker.getRetryDelay(row.attempts);
+        await subscriptionService.failStripeEvent(stripeEventId, lockToken, `Re-fetch failed: ${error.message}`, retryDelaySeconds);
+        return { eventId: stripeEventId, status: retryDelaySeconds === null ? 'dead' : 'failed', error: error.message };
+      }
+    }
+
+    logger.info(`Replaying Stripe event ${stripeEventId} (${row.event_type})`);
+    const result = await webhookWorker.processEvent(row, lockToken);
+
+    return { eventId: stripeEventId, ...result };
+  }
+
+  /**
+   * Replay several events one after another
+   */
+  async replayEvents(stripeEventIds, options = {}) {
+    const results = [];
+
+    for (const stripeEventId of stripeEventIds) {
+      try {
+        results.push(await this.replayEvent(stripeEventId, options));
+      } catch (error) {
+        logger.error(`Failed to replay Stripe event ${stripeEventId}: ${error.message}`);
+        results.push({ eventId: stripeEventId, status: 'error', error: error.message });
+      }
+    }
+
+    return results;
+  }
+}
+
+// Export singleton instance
+export default new EventReplay();
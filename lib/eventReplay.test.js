@@ -0,0 +1,56 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import subscriptionService from './subscriptionService.js';
+import webhookWorker from './webhookWorker.js';
+import eventReplay from './eventReplay.js';
+
+describe('eventReplay.replayEvent', () => {
+  let retrieve;
+  let updatePayload;
+  let processEvent;
+
+  beforeEach(() => {
+    mock.method(subscriptionService, 'getStripeEvent', async () => ({ stripe_event_id: 'evt_1', status: 'processed' }));
+    retrieve = mock.method(Stripe.resources.Events.prototype, 'retrieve', async () => ({ data: { object: { id: 'sub_1', status: 'active' } } }));
+    updatePayload = mock.method(subscriptionService, 'updateStripeEventPayload', async () => {});
+    processEvent = mock.method(webhookWorker, 'processEvent', async () => ({ status: 'processed' }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('leaves the stored payload alone when the event cannot be claimed', async () => {
+    mock.method(subscriptionService, 'claimStripeEvent', async () => null);
+
+    const result = await eventReplay.replayEvent('evt_1', { refetch: true });
+
+    assert.deepEqual(result, { eventId: 'evt_1', status: 'skipped', error: 'Event already processed' });
+    assert.equal(retrieve.mock.callCount(), 0);
+    assert.equal(updatePayload.mock.callCount(), 0);
+  });
+
+  it('replaces the payload of a claimed event and replays the new one', async () => {
+    const claim = mock.method(subscriptionService, 'claimStripeEvent', async () => ({
+      stripe_event_id: 'evt_1', event_type: 'customer.subscription.updated', attempts: 1, payload: '{"id":"sub_1","status":"past_due"}',
+    }));
+
+    const result = await eventReplay.replayEvent('evt_1', { refetch: true });
+
+    const lockToken = claim.mock.calls[0].arguments[1];
+    assert.deepEqual(updatePayload.mock.calls[0].arguments, ['evt_1', lockToken, { id: 'sub_1', status: 'active' }]);
+    assert.deepEqual(processEvent.mock.calls[0].arguments[0].payload, { id: 'sub_1', status: 'active' });
+    assert.deepEqual(result, { eventId: 'evt_1', status: 'processed' });
+  });
+
+  it('fails the claimed event when Stripe cannot be reached', async () => {
+    mock.method(subscriptionService, 'claimStripeEvent', async () => ({ stripe_event_id: 'evt_1', attempts: 1 }));
+    retrieve.mock.mockImplementation(async () => { throw new Error('connection refused'); });
+    const fail = mock.method(subscriptionService, 'failStripeEvent', async () => {});
+
+    const result = await eventReplay.replayEvent('evt_1', { refetch: true });
+
+    assert.equal(result.status, 'failed');
+    assert.match(fail.mock.calls[0].arguments[2], /Re-fetch failed: connection refused/);
+    assert.equal(processEvent.mock.callCount(), 0);
+  });
+});
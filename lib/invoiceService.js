@@ -0,0 +1,209 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import database from './database.js';
+import logger from '../utils/logger.js';
+
+const stripe = new Stripe(config.stripe.secretKey);
+
+const toDate = (timestamp) => (timestamp ? new Date(timestamp * 1000) : null);
+
+/**
+ * Invoice Service
+ * Keeps tc_invoices in step with Stripe invoice events and serves a customer's
+ * invoice history from it, falling back to the Stripe API
+ */
+class InvoiceService {
+  /**
+   * Insert or update the mirror of a Stripe invoice.
+   * Returns false if a newer event has already been applied.
+   */
+  async upsertInvoice(invoice, { userId = null, eventCreated = null } = {}) {
+    const values = [
+      invoice.customer,
+      invoice.subscription || null,
+      invoice.number || null,
+      invoice.status,
+      invoice.currency,
+      invoice.subtotal ?? 0,
+      invoice.tax ?? 0,
+      invoice.total ?? 0,
+      invoice.amount_due ?? 0,
+      invoice.amount_paid ?? 0,
+      invoice.hosted_invoice_url || null,
+      invoice.invoice_pdf || null,
+      toDate(invoice.period_start),
+      toDate(invoice.period_end),
+      toDate(invoice.status_transitions?.paid_at),
+      toDate(invoice.created),
+      eventCreated,
+    ];
+
+    const inserted = await database.query(`
+      INSERT IGNORE INTO tc_invoices (
+        stripe_customer_id, stripe_subscription_id, number, status, currency,
+        subtotal, tax, total, amount_due, amount_paid,
+        hosted_invoice_url, invoice_pdf, period_start, period_end, paid_at,
+        invoice_created, last_stripe_event_created, userid, stripe_invoice_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [...values, userId, invoice.id]);
+
+    if (inserted.affectedRows === 1) {
+      logger.info(`Mirrored invoice ${invoice.id} (${invoice.status})`);
+      return true;
+    }
+
+    const updated = await database.query(`
+      UPDATE tc_invoices
+      SET
+        stripe_customer_id = ?,
+        stripe_subscription_id = ?,
+        number = ?,
+        status = ?,
+        currency = ?,
+        subtotal = ?,
+        tax = ?,
+        total = ?,
+        amount_due = ?,
+        amount_paid = ?,
+        hosted_invoice_url = ?,
+        invoice_pdf = ?,
+        period_start = ?,
+        period_end = ?,
+        paid_at = ?,
+        invoice_created = ?,
+        last_stripe_event_created = COALESCE(?, last_stripe_event_created),
+        userid = COALESCE(?, userid)
+      WHERE stripe_invoice_id = ?
+        AND (? IS NULL OR last_stripe_event_created IS NULL OR last_stripe_event_created <= ?)
+    `, [...values, userId, invoice.id, eventCreated, eventCreated]);
+
+    if (updated.affectedRows === 0) {
+      logger.warn(`Ignoring stale data for invoice ${invoice.id} (event ${eventCreated})`);
+      return false;
+    }
+
+    logger.info(`Updated invoice ${invoice.id} (${invoice.status})`);
+    return true;
+  }
+
+  /**
+   * List a customer's invoices, newest first
+   */
+  async listInvoices(customerId, { limit = 20 } = {}) {
+    let mirrored = [];
+    try {
+      const rows = await database.query(`
+        SELECT * FROM tc_invoices
+        WHERE stripe_customer_id = ?
+        ORDER BY invoice_created DESC, id DESC
+        LIMIT ${parseInt(limit, 10)}
+      `, [customerId]);
+      mirrored = rows.map(row => this.fromRow(row));
+    } catch (dbError) {
+      logger.warn('Database not available for invoice history, using Stripe');
+    }
+
+    if (mirrored.length >= limit) {
+      return { source: 'database', invoices: mirrored };
+    }
+
+    // A short mirror may be missing invoices from before the invoice events were recorded,
+    // so merge in Stripe's, preferring the mirrored copy of each
+    const invoices = await stripe.invoices.list({ customer: customerId, limit });
+    const mirroredIds = new Set(mirrored.map(invoice => invoice.id));
+    const merged = [
+      ...mirrored,
+      ...invoices.data
+        .filter(invoice => invoice.status !== 'draft' && !mirroredIds.has(invoice.id))
+        .map(invoice => this.fromStripe(invoice)),
+    ].sort((a, b) => b.created - a.created);
+
+    return {
+      source: mirrored.length > 0 ? 'database+stripe' : 'stripe',
+      invoices: merged.slice(0, limit),
+    };
+  }
+
+  /**
+   * Get one of a customer's invoices, or null if it does not belong to them
+   */
+  async getInvoice(customerId, invoiceId) {
+    try {
+      const row = await database.queryOne(
+        'SELECT * FROM tc_invoices WHERE stripe_invoice_id = ? LIMIT 1',
+        [invoiceId]
+      );
+
+      if (row) {
+        return row.stripe_customer_id === customerId ? this.fromRow(row) : null;
+      }
+    } catch (dbError) {
+      logger.warn('Database not available for invoice lookup, using Stripe');
+    }
+
+    let invoice;
+    try {
+      invoice = await stripe.invoices.retrieve(invoiceId);
+    } catch (error) {
+      if (error.code === 'resource_missing') {
+        return null;
+      }
+      throw error;
+    }
+
+    return invoice.customer === customerId && invoice.status !== 'draft'
+      ? this.fromStripe(invoice)
+      : null;
+  }
+
+  /**
+   * API representation of a tc_invoices row
+   */
+  fromRow(row) {
+    return {
+      id: row.stripe_invoice_id,
+      number: row.number,
+      status: row.status,
+      currency: row.currency,
+      subtotal: row.subtotal,
+      tax: row.tax,
+      total: row.total,
+      amountDue: row.amount_due,
+      amountPaid: row.amount_paid,
+      hostedInvoiceUrl: row.hosted_invoice_url,
+      invoicePdf: row.invoice_pdf,
+      periodStart: row.period_start,
+      periodEnd: row.period_end,
+      paidAt: row.paid_at,
+      created: row.invoice_created,
+      subscriptionId: row.stripe_subscription_id,
+    };
+  }
+
+  /**
+   * API representation of a Stripe invoice, matching fromRow()
+   */
+  fromStripe(invoice) {
+    return {
+      id: invoice.id,
+      number: invoice.number,
+      status: invoice.status,
+      currency: invoice.currency,
+      subtotal: invoice.subtotal,
+      tax: invoice.tax ?? 0,
+      total: invoice.total,
+      amountDue: invoice.amount_due,
+      amountPaid: invoice.amount_paid,
+      hostedInvoiceUrl: invoice.hosted_invoice_url,
+      invoicePdf: invoice.invoice_pdf,
+      periodStart: toDate(invoice.period_start),
+      periodEnd: toDate(invoice.period_end),
+      paidAt: toDate(invoice.status_transitions?.paid_at),
+      created: toDate(invoice.created),
+      subscriptionId: invoice.subscription,
+    };
+  }
+}
+
+// Export singleton instance
+export default new InvoiceService();
@@ -0,0 +1,87 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import database from './database.js';
+import invoiceService from './invoiceService.js';
+
+const invoice = (fields = {}) => ({
+  id: 'in_1',
+  customer: 'cus_1',
+  subscription: 'sub_1',
+  number: 'TRZ-0001',
+  status: 'paid',
+  currency: 'usd',
+  subtotal: 2000,
+  total: 2000,
+  amount_due: 2000,
+  amount_paid: 2000,
+  period_start: 1700000000,
+  period_end: 1702592000,
+  status_transitions: { paid_at: 1700000100 },
+  created: 1700000000,
+  ...fields,
+});
+
+const row = (id, created) => ({ stripe_invoice_id: id, invoice_created: new Date(created * 1000) });
+
+describe('invoiceService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('upsertInvoice', () => {
+    it('inserts an invoice it has not mirrored yet', async () => {
+      const query = mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+
+      assert.equal(await invoiceService.upsertInvoice(invoice(), { userId: 7, eventCreated: 1700000200 }), true);
+
+      assert.equal(query.mock.callCount(), 1);
+      const params = query.mock.calls[0].arguments[1];
+      assert.deepEqual(params.slice(0, 5), ['cus_1', 'sub_1', 'TRZ-0001', 'paid', 'usd']);
+      assert.deepEqual(params.slice(5, 10), [2000, 0, 2000, 2000, 2000]);
+      assert.deepEqual(params[14], new Date(1700000100 * 1000));
+      assert.deepEqual(params.slice(-3), [1700000200, 7, 'in_1']);
+    });
+
+    it('updates a mirrored invoice from a newer event', async () => {
+      const query = mock.method(database, 'query', async (sql) => ({ affectedRows: sql.includes('INSERT') ? 0 : 1 }));
+
+      assert.equal(await invoiceService.upsertInvoice(invoice({ status: 'void' }), { eventCreated: 1700000300 }), true);
+
+      const [sql, params] = query.mock.calls[1].arguments;
+      assert.match(sql, /last_stripe_event_created <= \?/);
+      assert.equal(params[3], 'void');
+      assert.deepEqual(params.slice(-4), [null, 'in_1', 1700000300, 1700000300]);
+    });
+
+    it('ignores an event older than the one applied', async () => {
+      mock.method(database, 'query', async () => ({ affectedRows: 0 }));
+
+      assert.equal(await invoiceService.upsertInvoice(invoice(), { eventCreated: 1600000000 }), false);
+    });
+  });
+
+  describe('listInvoices', () => {
+    it('serves a full page from the mirror', async () => {
+      mock.method(database, 'query', async () => [row('in_2', 1700000200), row('in_1', 1700000100)]);
+      const list = mock.method(Stripe.resources.Invoices.prototype, 'list', async () => ({ data: [] }));
+
+      const result = await invoiceService.listInvoices('cus_1', { limit: 2 });
+
+      assert.equal(result.source, 'database');
+      assert.deepEqual(result.invoices.map(entry => entry.id), ['in_2', 'in_1']);
+      assert.equal(list.mock.callCount(), 0);
+    });
+
+    it('merges Stripe invoices into a short mirror without duplicates', async () => {
+      mock.method(database, 'query', async () => [row('in_3', 1700000300)]);
+      mock.method(Stripe.resources.Invoices.prototype, 'list', async () => ({
+        data: [invoice({ id: 'in_3', created: 1700000300 }), invoice({ id: 'in_2', created: 1700000200 }),
+          invoice({ id: 'in_draft', status: 'draft', created: 1700000400 }), invoice({ id: 'in_1', created: 1700000100 })],
+      }));
+
+      const result = await invoiceService.listInvoices('cus_1', { limit: 2 });
+
+      assert.equal(result.source, 'database+stripe');
+      assert.deepEqual(result.invoices.map(entry => entry.id), ['in_3', 'in_2']);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { config } from '../config/index.js';
+import database from './database.js';
+import scheduler from './scheduler.js';
+import dunningService from './dunningService.js';
+import reconciliationService from './reconciliationService.js';
+import notificationService from './notificationService.js';
+import trialService from './trialService.js';
+import planCatalog from './planCatalog.js';
+import deviceBillingService from './deviceBillingService.js';
+import usageService from './usageService.js';
+import planMigrationService from './planMigrationService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Wrap a job so it is skipped while the database is unavailable
+ */
+const requiresDatabase = (name, fn) => async () => {
+  if (!database.isInitialized()) {
+    logger.debug(`Skipping job ${name}: database not available`);
+    return null;
+  }
+  return fn();
+};
+
+/**
+ * Register the background jobs with the scheduler
+ */
+export const registerJobs = () => {
+  // Pick up plan changes made through another instance
+  scheduler.register(
+    'plan-catalog-refresh',
+    config.catalog.refreshIntervalSeconds * 1000,
+    requiresDatabase('plan-catalog-refresh', () => planCatalog.refresh())
+  );
+
+  if (config.dunning.enabled) {
+    scheduler.register(
+      'dunning-sweep',
+      config.dunning.sweepIntervalMinutes * 60 * 1000,
+      requiresDatabase('dunning-sweep', () => dunningService.runSweep())
+    );
+  }
+
+  if (config.reconciliation.enabled) {
+    scheduler.register(
+      'reconciliation',
+      config.reconciliation.intervalHours * 60 * 60 * 1000,
+      requiresDatabase('reconciliation', () => reconciliationService.run({ fix: config.reconciliation.fix }))
+    );
+  }
+
+  scheduler.register(
+    'trial-expiry-sweep',
+    config.trials.sweepIntervalMinutes * 60 * 1000,
+    requiresDatabase('trial-expiry-sweep', () => trialService.runExpirySweep())
+  );
+
+  scheduler.register(
+    'device-quantity-sync',
+    config.deviceBilling.syncIntervalMinutes * 60 * 1000,
+    requiresDatabase('device-quantity-sync', () => deviceBillingService.runSync())
+  );
+
+  scheduler.register(
+    'usage-snapshot',
+    config.usage.snapshotIntervalMinutes * 60 * 1000,
+    requiresDatabase('usage-snapshot', () => usageService.run())
+  );
+
+  scheduler.register(
+    'plan-migrations',
+    config.planMigrations.sweepIntervalMinutes * 60 * 1000,
+    requiresDatabase('plan-migrations', () => planMigrationService.runDue())
+  );
+
+  if (config.notifications.enabled) {
+    scheduler.register(
+      'notification-delivery',
+      config.notifications.deliveryIntervalSeconds * 1000,
+      requiresDatabase('notification-delivery', () => notificationService.deliverPending())
+    );
+    scheduler.register(
+      'notification-sweep',
+      config.notifications.sweepIntervalHours * 60 * 60 * 1000,
+      requiresDatabase('notification-sweep', () => notificationService.runRenewalSweep())
+    );
+  }
+};
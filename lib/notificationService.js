@@ -0,0 +1,219 @@
+import os from 'os';
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { getIntervalPrice, isMeteredPlan } from '../config/plans.js';
+import database from './database.js';
+import notifier from './notifier.js';
+import planCatalog from './planCatalog.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Notification Service
+ * Queues customer notifications in tc_notifications and delivers them.
+ * Stripe events queue them first; the renewal sweep is a fallback for missed events.
+ */
+class NotificationService {
+  /**
+   * Queue a notification. Returns false if notifications are disabled or one with the
+   * same dedupe key already exists.
+   */
+  async queue({ userId = null, email, type, dedupeKey, payload }) {
+    if (!config.notifications.enabled) {
+      return false;
+    }
+
+    const result = await database.query(`
+      INSERT IGNORE INTO tc_notifications (userid, email, type, dedupe_key, payload)
+      VALUES (?, ?, ?, ?, ?)
+    `, [userId, email, type, dedupeKey, JSON.stringify(payload)]);
+
+    const queued = result.affectedRows === 1;
+    if (queued) {
+      logger.info(`Queued ${type} notification for ${email}`);
+    }
+    return queued;
+  }
+
+  /**
+   * Queue a trial-ending notice
+   */
+  async queueTrialEnding({ userId, email, name, planId, subscriptionId, trialEnd }) {
+    return this.queue({
+      userId,
+      email,
+      type: 'trial_will_end',
+      // Card-less trials have no Stripe subscription yet
+      dedupeKey: `trial_will_end:${subscriptionId || `user-${userId}`}:${toDateKey(trialEnd)}`,
+      payload: {
+        name,
+        planName: planCatalog.getPlanById(planId)?.name || 'Traczi subscription',
+        trialEnd,
+        manageUrl: config.frontend.url,
+      },
+    });
+  }
+
+  /**
+   * Queue a renewal reminder. amount is display text, e.g. "20.00 USD".
+   */
+  async queueRenewalReminder({ userId, email, name, planId, subscriptionId, renewalDate, amount }) {
+    return this.queue({
+      userId,
+      email,
+      type: 'renewal_reminder',
+      dedupeKey: `renewal_reminder:${subscriptionId}:${toDateKey(renewalDate)}`,
+      payload: {
+        name,
+        planName: planCatalog.getPlanById(planId)?.name || 'Traczi subscription',
+        renewalDate,
+        amount,
+        manageUrl: config.frontend.url,
+      },
+    });
+  }
+
+  /**
+   * Fallback for missed Stripe events: queue notices for subscriptions whose
+   * trial ends or renewal falls within the configured number of days
+   */
+  async runRenewalSweep() {
+    const { trialReminderDays, renewalReminderDays } = config.notifications;
+
+    const subscriptions = await database.query(`
+      SELECT
+        userid, name, email, plan_id, subscription_status,
+        billing_interval, currency, unit_amount, quantity, current_period_end, days_until_renewal, stripe_subscription_id
+      FROM v_user_subscription_status
+      WHERE (stripe_subscription_id IS NOT NULL OR subscription_status = 'trialing')
+        AND cancel_at_period_end = FALSE
+        AND (
+          (subscription_status = 'trialing' AND days_until_renewal BETWEEN 0 AND ?)
+          OR (subscription_status = 'active' AND days_until_renewal BETWEEN 0 AND ?)
+        )
+    `, [trialReminderDays, renewalReminderDays]);
+
+    let queued = 0;
+    for (const subscription of subscriptions) {
+      const details = {
+        userId: subscription.userid,
+        email: subscription.email,
+        name: subscription.name,
+        planId: subscription.plan_id,
+        subscriptionId: subscription.stripe_subscription_id,
+      };
+
+      const plan = planCatalog.getPlanById(subscription.plan_id);
+
+      // A trialing subscription's current period ends when the trial does
+      const wasQueued = subscription.subscription_status === 'trialing'
+        ? await this.queueTrialEnding({ ...details, trialEnd: subscription.current_period_end })
+        : await this.queueRenewalReminder({
+          ...details,
+          renewalDate: subscription.current_period_end,
+          amount: this.formatRenewalAmount(plan, subscription),
+        });
+
+      if (wasQueued) {
+        queued++;
+      }
+    }
+
+    logger.info(`Notification sweep: ${subscriptions.length} upcoming renewal(s), ${queued} notification(s) queued`);
+    return { checked: subscriptions.length, queued };
+  }
+
+  /**
+   * Renewal amount as display text, from the billed price or else the plan's list price,
+   * times the quantity for per-device plans. Metered plans have no amount until the period ends.
+   */
+  formatRenewalAmount(plan, subscription) {
+    if (isMeteredPlan(plan)) {
+      return undefined;
+    }
+    const currency = subscription.currency || plan?.currency;
+    const price = subscription.unit_amount !== null && subscription.unit_amount !== undefined
+      ? subscription.unit_amount / 100
+      : plan && getIntervalPrice(plan, subscription.billing_interval, currency);
+
+    return typeof price === 'number' ? `${(price * (subscription.quantity || 1)).toFixed(2)} ${currency}` : undefined;
+  }
+
+  /**
+   * Send due notifications; failures are retried up to maxAttempts.
+   * Each batch is claimed first, so overlapping runs and instances never send the same notice.
+   */
+  async deliverPending() {
+    const { maxAttempts } = config.notifications;
+    const lockToken = `${os.hostname()}:${process.pid}:${crypto.randomBytes(6).toString('hex')}`;
+
+    const notifications = await this.claimDue(lockToken);
+
+    let sent = 0;
+    for (const notification of notifications) {
+      const payload = typeof notification.payload === 'string'
+        ? JSON.parse(notification.payload)
+        : notification.payload;
+
+      try {
+        await notifier.send({ to: notification.email, type: notification.type, payload });
+        await database.query(`
+          UPDATE tc_notifications
+          SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), error_message = NULL, locked_by = NULL
+          WHERE id = ? AND locked_by = ?
+        `, [notification.id, lockToken]);
+        sent++;
+      } catch (error) {
+        const attempts = notification.attempts + 1;
+        logger.error(`Failed to send notification ${notification.id} (attempt ${attempts}): ${error.message}`);
+
+        await database.query(`
+          UPDATE tc_notifications
+          SET
+            status = ?,
+            attempts = ?,
+            error_message = ?,
+            send_after = DATE_ADD(NOW(), INTERVAL ? MINUTE),
+            locked_by = NULL
+          WHERE id = ? AND locked_by = ?
+        `, [attempts >= maxAttempts ? 'failed' : 'pending', attempts, error.message, 5 * 2 ** attempts, notification.id, lockToken]);
+      }
+    }
+
+    return { sent, failed: notifications.length - sent };
+  }
+
+  /**
+   * Lock up to 50 due notifications for this run and return them.
+   * Notifications whose lock has outlived lockTimeoutSeconds (crashed instance) are claimed again.
+   */
+  async claimDue(lockToken) {
+    // Single-statement claim: only one run can win a given row
+    const result = await database.query(`
+      UPDATE tc_notifications
+      SET status = 'sending', locked_by = ?, locked_at = NOW()
+      WHERE (status = 'pending' AND send_after <= NOW())
+        OR (status = 'sending' AND locked_at < DATE_SUB(NOW(), INTERVAL ? SECOND))
+      ORDER BY id
+      LIMIT 50
+    `, [lockToken, config.notifications.lockTimeoutSeconds]);
+
+    if (result.affectedRows === 0) {
+      return [];
+    }
+
+    return database.query(
+      "SELECT * FROM tc_notifications WHERE locked_by = ? AND status = 'sending' ORDER BY id",
+      [lockToken]
+    );
+  }
+}
+
+/**
+ * Date part of a timestamp, used in dedupe keys
+ */
+function toDateKey(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+// Export singleton instance
+export default new NotificationService();
@@ -0,0 +1,65 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import database from './database.js';
+import notifier from './notifier.js';
+import notificationService from './notificationService.js';
+
+const notification = (fields = {}) => ({
+  id: 1,
+  email: 'fleet@example.com',
+  type: 'renewal_reminder',
+  payload: '{"planName":"Basic Plan"}',
+  attempts: 0,
+  ...fields,
+});
+
+describe('notificationService.deliverPending', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('claims due notifications before sending them', async () => {
+    const statements = [];
+    mock.method(database, 'query', async (sql, params) => {
+      statements.push({ sql, params });
+      if (sql.includes('SELECT')) {
+        return [notification()];
+      }
+      return { affectedRows: 1 };
+    });
+    const send = mock.method(notifier, 'send', async () => {});
+
+    const result = await notificationService.deliverPending();
+
+    assert.deepEqual(result, { sent: 1, failed: 0 });
+    const [claim, select, sent] = statements;
+    assert.match(claim.sql, /SET status = 'sending', locked_by = \?/);
+    const lockToken = claim.params[0];
+    assert.deepEqual(select.params, [lockToken]);
+    assert.equal(send.mock.calls[0].arguments[0].to, 'fleet@example.com');
+    assert.match(sent.sql, /status = 'sent'/);
+    assert.deepEqual(sent.params, [1, lockToken]);
+  });
+
+  it('sends nothing when another run holds every due notification', async () => {
+    const query = mock.method(database, 'query', async () => ({ affectedRows: 0 }));
+    const send = mock.method(notifier, 'send', async () => {});
+
+    assert.deepEqual(await notificationService.deliverPending(), { sent: 0, failed: 0 });
+    assert.equal(query.mock.callCount(), 1);
+    assert.equal(send.mock.callCount(), 0);
+  });
+
+  it('releases a failed notification for a later retry', async () => {
+    const statements = [];
+    mock.method(database, 'query', async (sql, params) => {
+      statements.push({ sql, params });
+      return sql.includes('SELECT') ? [notification({ attempts: 1 })] : { affectedRows: 1 };
+    });
+    mock.method(notifier, 'send', async () => { throw new Error('SMTP unavailable'); });
+
+    assert.deepEqual(await notificationService.deliverPending(), { sent: 0, failed: 1 });
+
+    const failed = statements[2];
+    assert.match(failed.sql, /locked_by = NULL/);
+    assert.deepEqual(failed.params.slice(0, 4), ['pending', 2, 'SMTP unavailable', 20]);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Notification Templates
+ * Subject and plain-text body for each notification type
+ */
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+});
+
+const TEMPLATES = {
+  trial_will_end: (payload) => ({
+    subject: `Your Traczi trial ends on ${formatDate(payload.trialEnd)}`,
+    text: [
+      `Hi ${payload.name || 'there'},`,
+      '',
+      `Your free trial of the ${payload.planName} ends on ${formatDate(payload.trialEnd)}.`,
+      'Add a payment method before then to keep tracking your devices without interruption.',
+      '',
+      payload.manageUrl ? `Manage your subscription: ${payload.manageUrl}` : '',
+      '',
+      'The Traczi team',
+    ].join('\n'),
+  }),
+
+  renewal_reminder: (payload) => ({
+    subject: `Your Traczi subscription renews on ${formatDate(payload.renewalDate)}`,
+    text: [
+      `Hi ${payload.name || 'there'},`,
+      '',
+      `Your ${payload.planName} renews on ${formatDate(payload.renewalDate)}`
+        + (payload.amount ? ` for ${payload.amount}.` : '.'),
+      'No action is needed if your payment details are up to date.',
+      '',
+      payload.manageUrl ? `Manage your subscription: ${payload.manageUrl}` : '',
+      '',
+      'The Traczi team',
+    ].join('\n'),
+  }),
+};
+
+/**
+ * Render a notification to { subject, text }
+ */
+export const renderNotification = (type, payload) => {
+  const template = TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+  return template(payload);
+};
@@ -0,0 +1,49 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import logger from '../utils/logger.js';
+
+/**
+ * Notification Transports
+ * A transport is an object with a name and an async send({ to, subject, text }) method.
+ */
+
+/**
+ * Send notifications by email over SMTP
+ */
+export const createSmtpTransport = ({ host, port, secure, user, password, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      await transporter.sendMail({ from, ...message });
+    },
+  };
+};
+
+/**
+ * Append notifications to a JSON-lines file (local development)
+ */
+export const createFileTransport = ({ filePath }) => ({
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify({ sentAt: new Date().toISOString(), ...message })}\n`);
+  },
+});
+
+/**
+ * Write notifications to the log (local development)
+ */
+export const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    logger.info(`[notification] To: ${message.to} | ${message.subject}\n${message.text}`);
+  },
+});
@@ -0,0 +1,61 @@
+import { config } from '../config/index.js';
+import { createSmtpTransport, createFileTransport, createConsoleTransport } from './notificationTransports.js';
+import { renderNotification } from './notificationTemplates.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Notifier
+ * Renders customer notifications and sends them through the configured transport
+ * (NOTIFY_TRANSPORT: smtp, file or console). Other transports can be plugged in with setTransport().
+ */
+class Notifier {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Replace the transport, e.g. with a custom provider
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Get the transport, creating it from configuration on first use
+   */
+  getTransport() {
+    if (!this.transport) {
+      const { transport, from, filePath, smtp } = config.notifications;
+
+      switch (transport) {
+        case 'smtp':
+          this.transport = createSmtpTransport({ ...smtp, from });
+          break;
+        case 'file':
+          this.transport = createFileTransport({ filePath });
+          break;
+        case 'console':
+          this.transport = createConsoleTransport();
+          break;
+        default:
+          throw new Error(`Unknown notification transport: ${transport}`);
+      }
+
+      logger.info(`Notifications will be sent via ${this.transport.name}`);
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Render and send one notification
+   */
+  async send({ to, type, payload }) {
+    const { subject, text } = renderNotification(type, payload);
+    await this.getTransport().send({ to, subject, text });
+    logger.info(`Sent ${type} notification to ${to}`);
+  }
+}
+
+// Export singleton instance
+export default new Notifier();
@@ -0,0 +1,283 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import database from './database.js';
+import traccarClient from './traccarClient.js';
+import planCatalog from './planCatalog.js';
+import subscriptionService from './subscriptionService.js';
+import { clientError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const stripe = new Stripe(config.stripe.secretKey);
+
+// Subscriptions that get the override's limits straight away
+const LIVE_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Subscriptions Stripe sends no more events for
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Customer Override Service
+ * Negotiated terms per user, stored in tc_customer_overrides: a device limit, user limit,
+ * entitlements and Stripe price that take precedence over the plan's. Every place that
+ * applies a plan's limits to a user goes through getEffectivePlan.
+ */
+class OverrideService {
+  /**
+   * A user's override, or null. Without the database, plans apply unchanged.
+   */
+  async getOverride(userId) {
+    try {
+      const row = await database.queryOne('SELECT * FROM tc_customer_overrides WHERE userid = ?', [userId]);
+      return row ? this.fromRow(row) : null;
+    } catch (dbError) {
+      logger.warn(`Database not available for customer overrides of user ${userId}`);
+      return null;
+    }
+  }
+
+  fromRow(row) {
+    return {
+      userId: row.userid,
+      deviceLimit: row.device_limit,
+      userLimit: row.user_limit,
+      entitlements: parseJson(row.entitlements),
+      planId: row.plan_id,
+      stripePriceId: row.stripe_price_id,
+      notes: row.notes,
+      createdBy: row.created_by,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  /**
+   * The plan with an override's limits and entitlements applied
+   */
+  applyOverride(plan, override) {
+    if (!plan || !override) {
+      return plan;
+    }
+
+    return {
+      ...plan,
+      deviceLimit: override.deviceLimit ?? plan.deviceLimit,
+      entitlements: {
+        ...plan.entitlements,
+        ...override.entitlements,
+        ...(override.userLimit !== null && override.userLimit !== undefined ? { subUsers: override.userLimit } : {}),
+      },
+      customized: true,
+    };
+  }
+
+  /**
+   * The plan as it applies to a user
+   */
+  async getEffectivePlan(plan, userId) {
+    return plan && userId ? this.applyOverride(plan, await this.getOverride(userId)) : plan;
+  }
+
+  /**
+   * The plan for a subscription's Stripe price: a catalog price, or a customer's custom price
+   */
+  async resolvePlan(price) {
+    const plan = planCatalog.getPlanByPriceId(price?.id);
+    if (plan || !price) {
+      return plan;
+    }
+
+    let row = null;
+    try {
+      row = await database.queryOne('SELECT plan_id FROM tc_customer_overrides WHERE stripe_price_id = ?', [price.id]);
+    } catch (dbError) {
+      logger.warn('Database not available for custom price lookup');
+    }
+    const basePlan = row && planCatalog.getPlanById(row.plan_id);
+    return basePlan
+      ? { ...basePlan, interval: price.recurring?.interval, currency: price.currency.toUpperCase() }
+      : null;
+  }
+
+  /**
+   * Price to check out with: the customer's custom price when it is for this plan.
+   * Custom prices are private, so they only apply to a signed-in user checking out with their own email.
+   */
+  async getCheckoutPriceId(plan, sessionUser, email, priceId) {
+    if (!sessionUser || sessionUser.email?.toLowerCase() !== email.toLowerCase()) {
+      return priceId;
+    }
+
+    const override = await this.getOverride(sessionUser.id);
+    return override?.stripePriceId && override.planId === plan.id ? override.stripePriceId : priceId;
+  }
+
+  /**
+   * Set a user's override, replacing any previous one, and apply it to their subscription.
+   * setBy names the admin responsible and is recorded in the history.
+   */
+  async setOverride(userId, fields, setBy) {
+    const override = {
+      deviceLimit: fields.deviceLimit ?? null,
+      userLimit: fields.userLimit ?? null,
+      entitlements: fields.entitlements ?? null,
+      planId: fields.planId ?? null,
+      stripePriceId: fields.stripePriceId ?? null,
+      notes: fields.notes ?? null,
+    };
+
+    if (override.planId && !planCatalog.getPlanById(override.planId)) {
+      throw clientError(`Plan ${override.planId} not found`, 400);
+    }
+    if (override.stripePriceId) {
+      await this.checkCustomPrice(override);
+    }
+
+    const previous = await this.getOverride(userId);
+    if (previous?.stripePriceId
+      && (previous.stripePriceId !== override.stripePriceId || previous.planId !== override.planId)) {
+      await this.checkPriceNotInUse(userId, previous.stripePriceId);
+    }
+
+    try {
+      await database.query(`
+        INSERT INTO tc_customer_overrides
+          (userid, device_limit, user_limit, entitlements, plan_id, stripe_price_id, notes, created_by, updated_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          device_limit = VALUES(device_limit),
+          user_limit = VALUES(user_limit),
+          entitlements = VALUES(entitlements),
+          plan_id = VALUES(plan_id),
+          stripe_price_id = VALUES(stripe_price_id),
+          notes = VALUES(notes),
+          updated_by = VALUES(updated_by)
+      `, [
+        userId,
+        override.deviceLimit,
+        override.userLimit,
+        override.entitlements ? JSON.stringify(override.entitlements) : null,
+        override.planId,
+        override.stripePriceId,
+        override.notes,
+        setBy,
+        setBy,
+      ]);
+    } catch (error) {
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        throw clientError(`User ${userId} not found`, 404);
+      }
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw clientError(`Price ${override.stripePriceId} is already another customer's custom price`, 409);
+      }
+      throw error;
+    }
+
+    await subscriptionService.addSubscriptionHistory(
+      userId,
+      'override_set',
+      `Customer override ${previous ? 'updated' : 'set'} by ${setBy}`,
+      { set_by: setBy, override, previous: previous && this.toHistory(previous) }
+    );
+    logger.info(`Customer override for user ${userId} set by ${setBy}`);
+
+    await this.applyToSubscription(userId);
+    return this.getOverride(userId);
+  }
+
+  /**
+   * Remove a user's override and put their subscription back on the plan's terms
+   */
+  async removeOverride(userId, removedBy) {
+    const previous = await this.getOverride(userId);
+    if (!previous) {
+      throw clientError(`No override found for user ${userId}`, 404);
+    }
+    if (previous.stripePriceId) {
+      await this.checkPriceNotInUse(userId, previous.stripePriceId);
+    }
+
+    await database.query('DELETE FROM tc_customer_overrides WHERE userid = ?', [userId]);
+
+    await subscriptionService.addSubscriptionHistory(
+      userId,
+      'override_removed',
+      `Customer override removed by ${removedBy}`,
+      { set_by: removedBy, previous: this.toHistory(previous) }
+    );
+    logger.info(`Customer override for user ${userId} removed by ${removedBy}`);
+
+    await this.applyToSubscription(userId);
+  }
+
+  /**
+   * The custom price must be a recurring Stripe price that is not already in the catalog
+   */
+  async checkCustomPrice(override) {
+    if (!override.planId) {
+      throw clientError('planId is required with stripePriceId', 400);
+    }
+    if (planCatalog.getPlanByPriceId(override.stripePriceId)) {
+      throw clientError(`Price ${override.stripePriceId} is a catalog price`, 400);
+    }
+
+    let price;
+    try {
+      price = await stripe.prices.retrieve(override.stripePriceId);
+    } catch (error) {
+      throw clientError(`Price ${override.stripePriceId} not found in Stripe`, 400);
+    }
+    if (!price.active || !price.recurring) {
+      throw clientError(`Price ${override.stripePriceId} is not an active recurring price`, 400);
+    }
+  }
+
+  /**
+   * The override row is what ties a custom price to its plan; without it, events for a
+   * subscription still billed at that price cannot be resolved. Refuse to drop or
+   * repoint the price until the subscription is on another price or has ended.
+   */
+  async checkPriceNotInUse(userId, priceId) {
+    const row = await subscriptionService.getSubscriptionByUserId(userId);
+    if (!row?.stripe_subscription_id || ENDED_STATUSES.includes(row.status)) {
+      return;
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(row.stripe_subscription_id);
+    if (!ENDED_STATUSES.includes(subscription.status)
+      && subscription.items.data.some(item => item.price.id === priceId)) {
+      throw clientError(`Subscription ${subscription.id} is still billed at custom price ${priceId}; move it to another price in Stripe first`, 409);
+    }
+  }
+
+  /**
+   * Apply the user's current terms to their live subscription and Traccar user now,
+   * instead of waiting for the next subscription event
+   */
+  async applyToSubscription(userId) {
+    const row = await subscriptionService.getSubscriptionByUserId(userId);
+    if (!row || !LIVE_STATUSES.includes(row.status)) {
+      return;
+    }
+
+    const plan = await this.getEffectivePlan(planCatalog.getPlanVersion(row.plan_id, row.plan_version), userId);
+    if (!plan) {
+      logger.warn(`Plan ${row.plan_id} of user ${userId} not found, override not applied`);
+      return;
+    }
+
+    // Updating the row syncs tc_users through sp_sync_subscription_to_user
+    await database.query('UPDATE tc_user_subscriptions SET device_limit = ? WHERE userid = ?', [plan.deviceLimit, userId]);
+    await traccarClient.updateUserLimits(userId, plan.deviceLimit, {}, plan.entitlements);
+  }
+
+  toHistory(override) {
+    const { deviceLimit, userLimit, entitlements, planId, stripePriceId, notes } = override;
+    return { deviceLimit, userLimit, entitlements, planId, stripePriceId, notes };
+  }
+}
+
+// Export singleton instance
+export default new OverrideService();
@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import database from './database.js';
+import subscriptionService from './subscriptionService.js';
+import overrideService from './overrideService.js';
+
+const plan = {
+  id: 'basic',
+  version: 1,
+  deviceLimit: 30,
+  entitlements: { subUsers: 3, geofences: 10, reports: true },
+};
+
+const override = (fields = {}) => ({
+  deviceLimit: null,
+  userLimit: null,
+  entitlements: null,
+  planId: null,
+  stripePriceId: null,
+  ...fields,
+});
+
+describe('overrideService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('applyOverride', () => {
+    it('returns the plan unchanged without an override', () => {
+      assert.equal(overrideService.applyOverride(plan, null), plan);
+      assert.equal(overrideService.applyOverride(null, override({ deviceLimit: 5 })), null);
+    });
+
+    it('replaces the device limit', () => {
+      const effective = overrideService.applyOverride(plan, override({ deviceLimit: 100 }));
+
+      assert.equal(effective.deviceLimit, 100);
+      assert.deepEqual(effective.entitlements, plan.entitlements);
+      assert.equal(effective.customized, true);
+      assert.equal(plan.deviceLimit, 30);
+    });
+
+    it('applies the user limit as the subUsers entitlement', () => {
+      const effective = overrideService.applyOverride(plan, override({ userLimit: 0 }));
+
+      assert.equal(effective.deviceLimit, 30);
+      assert.equal(effective.entitlements.subUsers, 0);
+    });
+
+    it('merges entitlements over the plan\'s', () => {
+      const effective = overrideService.applyOverride(plan, override({
+        userLimit: 8,
+        entitlements: { geofences: 50, subUsers: 99, api: true },
+      }));
+
+      assert.deepEqual(effective.entitlements, { subUsers: 8, geofences: 50, reports: true, api: true });
+    });
+  });
+
+  describe('getEffectivePlan', () => {
+    it('applies the user\'s stored override', async () => {
+      mock.method(database, 'queryOne', async () => ({ userid: 1, device_limit: 45, user_limit: null, entitlements: '{"geofences": 25}' }));
+
+      const effective = await overrideService.getEffectivePlan(plan, 1);
+
+      assert.deepEqual([effective.deviceLimit, effective.entitlements.geofences], [45, 25]);
+    });
+
+    it('applies the plan unchanged when the database is unavailable', async () => {
+      mock.method(database, 'queryOne', async () => { throw new Error('Database not initialized'); });
+
+      assert.equal(await overrideService.getEffectivePlan(plan, 1), plan);
+    });
+  });
+
+  describe('getCheckoutPriceId', () => {
+    const sessionUser = { id: 1, email: 'fleet@example.com' };
+
+    it('uses the custom price for the signed-in user\'s own email', async () => {
+      mock.method(database, 'queryOne', async () => ({ userid: 1, plan_id: 'basic', stripe_price_id: 'price_custom' }));
+
+      assert.equal(await overrideService.getCheckoutPriceId(plan, sessionUser, 'Fleet@Example.com', 'price_list'), 'price_custom');
+    });
+
+    it('uses the list price for anyone else', async () => {
+      const queryOne = mock.method(database, 'queryOne', async () => ({ userid: 1, plan_id: 'basic', stripe_price_id: 'price_custom' }));
+
+      assert.equal(await overrideService.getCheckoutPriceId(plan, null, 'fleet@example.com', 'price_list'), 'price_list');
+      assert.equal(await overrideService.getCheckoutPriceId(plan, sessionUser, 'other@example.com', 'price_list'), 'price_list');
+      assert.equal(queryOne.mock.callCount(), 0);
+    });
+
+    it('uses the list price when the custom price is for another plan', async () => {
+      mock.method(database, 'queryOne', async () => ({ userid: 1, plan_id: 'advance', stripe_price_id: 'price_custom' }));
+
+      assert.equal(await overrideService.getCheckoutPriceId(plan, sessionUser, 'fleet@example.com', 'price_list'), 'price_list');
+    });
+  });
+
+  describe('removeOverride', () => {
+    const stripeSubscription = (priceId, status = 'active') => ({ id: 'sub_1', status, items: { data: [{ price: { id: priceId } }] } });
+
+    beforeEach(() => {
+      mock.method(database, 'queryOne', async () => ({ userid: 1, plan_id: 'basic', stripe_price_id: 'price_custom' }));
+      mock.method(subscriptionService, 'getSubscriptionByUserId', async () => ({ status: 'active', stripe_subscription_id: 'sub_1' }));
+      mock.method(subscriptionService, 'addSubscriptionHistory', async () => {});
+      mock.method(overrideService, 'applyToSubscription', async () => {});
+    });
+
+    it('refuses while the subscription is billed at the custom price', async () => {
+      mock.method(Stripe.resources.Subscriptions.prototype, 'retrieve', async () => stripeSubscription('price_custom'));
+      const query = mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+
+      await assert.rejects(overrideService.removeOverride(1, 'admin'), { statusCode: 409 });
+      assert.equal(query.mock.callCount(), 0);
+    });
+
+    it('removes the override once the subscription is on another price', async () => {
+      mock.method(Stripe.resources.Subscriptions.prototype, 'retrieve', async () => stripeSubscription('price_list'));
+      const query = mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+
+      await overrideService.removeOverride(1, 'admin');
+      assert.match(query.mock.calls[0].arguments[0], /DELETE FROM tc_customer_overrides/);
+    });
+
+    it('removes the override of a canceled subscription', async () => {
+      mock.method(Stripe.resources.Subscriptions.prototype, 'retrieve', async () => stripeSubscription('price_custom', 'canceled'));
+      const query = mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+
+      await overrideService.removeOverride(1, 'admin');
+      assert.equal(query.mock.callCount(), 1);
+    });
+  });
+
+  describe('setOverride', () => {
+    it('refuses to replace a custom price the subscription is billed at', async () => {
+      mock.method(database, 'queryOne', async () => ({ userid: 1, plan_id: 'basic', stripe_price_id: 'price_custom' }));
+      mock.method(subscriptionService, 'getSubscriptionByUserId', async () => ({ status: 'past_due', stripe_subscription_id: 'sub_1' }));
+      mock.method(Stripe.resources.Subscriptions.prototype, 'retrieve', async () => ({
+        id: 'sub_1', status: 'past_due', items: { data: [{ price: { id: 'price_custom' } }] },
+      }));
+      const query = mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+
+      await assert.rejects(overrideService.setOverride(1, { deviceLimit: 50 }, 'admin'), /still billed at custom price price_custom/);
+      assert.equal(query.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,519 @@
+import { isDeepStrictEqual } from 'util';
+import { config } from '../config/index.js';
+import {
+  PLANS,
+  BILLING_INTERVALS,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_INTERVAL,
+  DEFAULT_CURRENCY,
+  NO_PLAN_ENTITLEMENTS,
+  getIntervalPrice,
+} from '../config/plans.js';
+import { DEFAULT_DUNNING_POLICY } from '../config/dunning.js';
+import database from './database.js';
+import { clientError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Plan Catalog
+ * Serves plans from tc_subscription_plans and tc_plan_prices, cached in memory so
+ * lookups stay synchronous. Falls back to the built-in plans in config/plans.js
+ * until the database has been read.
+ *
+ * A plan's terms are versioned in tc_plan_versions. Every Stripe price belongs to one
+ * version, so a subscription keeps the terms of the version it is subscribed to.
+ */
+class PlanCatalog {
+  constructor() {
+    this.setPlans(Object.values(PLANS).map((plan, index) => this.fromDefaults(plan, index)), 'defaults');
+  }
+
+  /**
+   * Reload the catalog from the database.
+   * Keeps the current plans if the database is unavailable or has no plans.
+   */
+  async refresh() {
+    let planRows;
+    let priceRows;
+    let versionRows;
+    try {
+      [planRows, priceRows, versionRows] = await Promise.all([
+        database.query('SELECT * FROM tc_subscription_plans ORDER BY sort_order, price'),
+        database.query('SELECT * FROM tc_plan_prices ORDER BY id'),
+        database.query('SELECT * FROM tc_plan_versions ORDER BY plan_id, version'),
+      ]);
+    } catch (dbError) {
+      logger.warn(`Database not available for plan catalog, keeping ${this.source} plans`);
+      return this.getSummary();
+    }
+
+    if (planRows.length === 0) {
+      logger.warn(`tc_subscription_plans is empty, keeping ${this.source} plans`);
+      return this.getSummary();
+    }
+
+    this.setPlans(
+      planRows.map(row => this.fromRow(
+        row,
+        priceRows.filter(price => price.plan_id === row.plan_id),
+        versionRows.filter(version => version.plan_id === row.plan_id)
+      )),
+      'database'
+    );
+    logger.debug(`Loaded ${this.plans.length} plan(s) from the database`);
+    return this.getSummary();
+  }
+
+  setPlans(plans, source) {
+    this.plans = plans;
+    this.source = source;
+    this.loadedAt = new Date();
+
+    // Every Stripe price a plan has ever had, so existing subscriptions still resolve to their version
+    this.priceIndex = new Map();
+    for (const plan of plans) {
+      for (const { priceId, interval, currency, version } of plan.knownPrices) {
+        this.priceIndex.set(priceId, { planId: plan.id, interval, currency, version });
+      }
+    }
+  }
+
+  getSummary() {
+    return { source: this.source, plans: this.plans.length, loadedAt: this.loadedAt };
+  }
+
+  /**
+   * Catalog entry for a built-in plan, with its Stripe prices from the environment
+   */
+  fromDefaults(plan, index) {
+    const stripePrices = config.stripe.prices[plan.id] || {};
+
+    const entry = {
+      billingMode: 'tier',
+      minQuantity: 1,
+      dunningPolicy: null,
+      ...plan,
+      version: 1,
+      sortOrder: index + 1,
+      active: true,
+      stripePrices,
+      knownPrices: BILLING_INTERVALS.flatMap(interval => SUPPORTED_CURRENCIES
+        .filter(currency => stripePrices[interval]?.[currency])
+        .map(currency => ({ priceId: stripePrices[interval][currency], interval, currency, version: 1, fromEnv: true }))),
+    };
+    return { ...entry, versions: { 1: this.getTerms(entry) } };
+  }
+
+  /**
+   * Catalog entry for a tc_subscription_plans row and its tc_plan_prices and tc_plan_versions rows
+   */
+  fromRow(row, priceRows, versionRows = []) {
+    const builtIn = Object.values(PLANS).find(plan => plan.id === row.plan_id);
+    // Entitlements left out of a row come from the built-in plan, then from NO_PLAN_ENTITLEMENTS
+    const toEntitlements = (value) => ({ ...NO_PLAN_ENTITLEMENTS, ...builtIn?.entitlements, ...parseJson(value) });
+    const intervals = {};
+    const stripePrices = {};
+    const knownPrices = [];
+
+    for (const price of priceRows) {
+      const interval = price.billing_interval;
+      const amount = Number(price.amount);
+      const version = price.plan_version ?? 1;
+
+      if (price.active) {
+        // Built-in plans at their built-in price can still take the price ID from STRIPE_PRICE_*,
+        // which are prices of the first version
+        const envPriceId = builtIn && version === 1 && getIntervalPrice(builtIn, interval, price.currency) === amount
+          ? config.stripe.prices[row.plan_id]?.[interval]?.[price.currency]
+          : null;
+        const priceId = price.stripe_price_id || envPriceId || null;
+
+        intervals[interval] = { ...intervals[interval], [price.currency]: amount };
+        stripePrices[interval] = { ...stripePrices[interval], [price.currency]: priceId };
+        if (envPriceId) {
+          knownPrices.push({ priceId: envPriceId, interval, currency: price.currency, version, fromEnv: true });
+        }
+      }
+      if (price.stripe_price_id) {
+        knownPrices.push({ priceId: price.stripe_price_id, interval, currency: price.currency, version });
+      }
+    }
+
+    const versions = {};
+    for (const version of versionRows) {
+      versions[version.version] = {
+        deviceLimit: version.device_limit,
+        minQuantity: version.min_quantity ?? 1,
+        entitlements: toEntitlements(version.entitlements),
+      };
+    }
+
+    const plan = {
+      id: row.plan_id,
+      name: row.name,
+      description: row.description,
+      price: Number(row.price),
+      currency: row.currency,
+      intervals,
+      trialDays: row.trial_days,
+      deviceLimit: row.device_limit,
+      billingMode: row.billing_mode || 'tier',
+      minQuantity: row.min_quantity ?? 1,
+      features: parseJson(row.features) || [],
+      entitlements: toEntitlements(row.entitlements),
+      // Until the dunning_policy column exists, built-in plans keep their policy from config/plans.js
+      dunningPolicy: row.dunning_policy === undefined ? builtIn?.dunningPolicy ?? null : parseJson(row.dunning_policy),
+      version: row.current_version ?? 1,
+      sortOrder: row.sort_order,
+      active: Boolean(row.active),
+      stripePrices,
+      knownPrices,
+    };
+    // The plan row holds the current version's terms
+    return { ...plan, versions: { ...versions, [plan.version]: this.getTerms(plan) } };
+  }
+
+  /**
+   * The versioned terms of a plan
+   */
+  getTerms(plan) {
+    return { deviceLimit: plan.deviceLimit, minQuantity: plan.minQuantity, entitlements: plan.entitlements };
+  }
+
+  /**
+   * Get plan by ID, including archived plans
+   */
+  getPlanById(planId) {
+    const normalizedId = planId?.toLowerCase();
+    return this.plans.find(plan => plan.id === normalizedId) || null;
+  }
+
+  /**
+   * Get the plans on offer (archived plans only with includeArchived)
+   */
+  getAllPlans({ includeArchived = false } = {}) {
+    return this.plans.filter(plan => includeArchived || plan.active);
+  }
+
+  /**
+   * IDs of the plans on offer
+   */
+  getPlanIds() {
+    return this.getAllPlans().map(plan => plan.id);
+  }
+
+  /**
+   * Whether a plan exists and is on offer
+   */
+  isValidPlan(planId) {
+    return Boolean(this.getPlanById(planId)?.active);
+  }
+
+  /**
+   * Get a plan with the terms of one of its versions (the current version when not given or unknown)
+   */
+  getPlanVersion(planId, version) {
+    const plan = this.getPlanById(planId);
+    const terms = plan?.versions[version];
+    if (!terms || version === plan.version) {
+      return plan;
+    }
+    return { ...plan, ...terms, version };
+  }
+
+  /**
+   * The dunning policy of a plan: its own, or the default
+   */
+  getDunningPolicy(planId) {
+    return this.getPlanById(planId)?.dunningPolicy || DEFAULT_DUNNING_POLICY;
+  }
+
+  /**
+   * Get plan by Stripe Price ID, with the billing interval and currency the price is for and
+   * the terms of the version it belongs to. Also finds archived plans and replaced prices,
+   * which existing subscriptions may still use.
+   */
+  getPlanByPriceId(priceId) {
+    const entry = priceId && this.priceIndex.get(priceId);
+    if (!entry) {
+      return null;
+    }
+    return { ...this.getPlanVersion(entry.planId, entry.version), interval: entry.interval, currency: entry.currency };
+  }
+
+  /**
+   * Get the Stripe Price ID for a plan's billing interval and currency
+   */
+  getPriceId(plan, interval, currency = plan.currency) {
+    return plan.stripePrices?.[interval || DEFAULT_INTERVAL]?.[currency] || null;
+  }
+
+  /**
+   * The Stripe Price ID of a plan version's interval and currency (its latest, if it had several)
+   */
+  getVersionPriceId(plan, version, interval, currency) {
+    if (version === plan.version) {
+      return this.getPriceId(plan, interval, currency);
+    }
+    const known = plan.knownPrices.filter(price => price.version === version
+      && price.interval === interval
+      && price.currency === currency);
+    return known[known.length - 1]?.priceId || null;
+  }
+
+  /**
+   * The Stripe Price ID saved in tc_plan_prices for a plan's interval and currency,
+   * or null if it has none or only one from STRIPE_PRICE_*
+   */
+  getSavedPriceId(plan, interval, currency) {
+    const priceId = this.getPriceId(plan, interval, currency);
+    return plan.knownPrices.some(known => known.priceId === priceId && !known.fromEnv) ? priceId : null;
+  }
+
+  /**
+   * Add a plan
+   */
+  async createPlan({
+    id, name, description, currency = DEFAULT_CURRENCY, deviceLimit, billingMode = 'tier', minQuantity = 1,
+    trialDays = 0, features = [], entitlements = {}, dunningPolicy = null, sortOrder = 0, prices, stripePriceIds,
+  }) {
+    this.requireDatabase();
+
+    const planId = id.toLowerCase();
+    if (this.getPlanById(planId)) {
+      throw clientError(`Plan ${planId} already exists`, 409);
+    }
+    if (typeof prices?.month?.[currency] !== 'number') {
+      throw clientError(`A monthly ${currency} price is required`, 400);
+    }
+
+    await this.inTransaction(async (connection) => {
+      await connection.execute(`
+        INSERT INTO tc_subscription_plans
+          (plan_id, name, description, price, currency, device_limit, billing_mode, min_quantity,
+           trial_days, sort_order, features, entitlements, dunning_policy)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        planId, name, description || null, prices.month[currency], currency, deviceLimit, billingMode, minQuantity,
+        trialDays, sortOrder, JSON.stringify(features), JSON.stringify({ ...NO_PLAN_ENTITLEMENTS, ...entitlements }),
+        dunningPolicy && JSON.stringify(dunningPolicy),
+      ]);
+      await connection.execute(`
+        INSERT INTO tc_plan_versions (plan_id, version, device_limit, min_quantity, entitlements)
+        VALUES (?, 1, ?, ?, ?)
+      `, [planId, deviceLimit, minQuantity, JSON.stringify({ ...NO_PLAN_ENTITLEMENTS, ...entitlements })]);
+
+      await this.savePrices(connection, planId, prices, stripePriceIds);
+    });
+
+    logger.info(`Created plan ${planId}`);
+    await this.refresh();
+    return this.getPlanById(planId);
+  }
+
+  /**
+   * Change a plan's details or prices. A new device limit, minimum quantity, entitlements or amount
+   * makes a new version of the plan: its prices are copied to the new version without Stripe price IDs,
+   * and subscribers on the old prices keep the old terms until they are migrated.
+   */
+  async updatePlan(planId, {
+    name, description, deviceLimit, minQuantity, trialDays, features, entitlements, dunningPolicy, sortOrder, prices,
+    stripePriceIds,
+  }) {
+    this.requireDatabase();
+
+    const plan = this.getPlanById(planId);
+    if (!plan) {
+      throw clientError('Plan not found', 404);
+    }
+
+    const terms = {
+      deviceLimit: deviceLimit ?? plan.deviceLimit,
+      minQuantity: minQuantity ?? plan.minQuantity,
+      entitlements: entitlements ? { ...plan.entitlements, ...entitlements } : plan.entitlements,
+    };
+    const newVersion = !isDeepStrictEqual(terms, this.getTerms(plan)) || this.hasNewAmounts(plan, prices)
+      ? plan.version + 1
+      : null;
+
+    const columns = Object.entries({
+      name,
+      description,
+      device_limit: deviceLimit,
+      min_quantity: minQuantity,
+      trial_days: trialDays,
+      sort_order: sortOrder,
+      features: features && JSON.stringify(features),
+      entitlements: entitlements && JSON.stringify(terms.entitlements),
+      // null puts the plan back on the default policy
+      dunning_policy: dunningPolicy && JSON.stringify(dunningPolicy),
+      current_version: newVersion ?? undefined,
+    }).filter(([, value]) => value !== undefined);
+
+    await this.inTransaction(async (connection) => {
+      if (columns.length > 0) {
+        await connection.execute(
+          `UPDATE tc_subscription_plans SET ${columns.map(([column]) => `${column} = ?`).join(', ')} WHERE plan_id = ?`,
+          [...columns.map(([, value]) => value), plan.id]
+        );
+      }
+      if (newVersion) {
+        await this.createVersion(connection, plan, newVersion, terms, prices);
+      }
+      await this.savePrices(connection, plan.id, prices, stripePriceIds, newVersion ?? plan.version);
+    });
+
+    logger.info(`Updated plan ${plan.id}${newVersion ? ` to version ${newVersion}` : ''}`);
+    await this.refresh();
+    return this.getPlanById(plan.id);
+  }
+
+  /**
+   * Take a plan off offer. Existing subscriptions keep it.
+   */
+  async archivePlan(planId) {
+    this.requireDatabase();
+
+    const plan = this.getPlanById(planId);
+    if (!plan) {
+      throw clientError('Plan not found', 404);
+    }
+    if (!plan.active) {
+      throw clientError(`Plan ${plan.id} is already archived`, 409);
+    }
+
+    await database.query(
+      'UPDATE tc_subscription_plans SET active = FALSE, archived_at = NOW() WHERE plan_id = ?',
+      [plan.id]
+    );
+
+    logger.info(`Archived plan ${plan.id}`);
+    await this.refresh();
+    return this.getPlanById(plan.id);
+  }
+
+  /**
+   * Whether prices ({ interval: { currency: amount } }) change any of the plan's amounts
+   */
+  hasNewAmounts(plan, prices = {}) {
+    return BILLING_INTERVALS.some(interval => SUPPORTED_CURRENCIES.some((currency) => {
+      const amount = prices?.[interval]?.[currency];
+      return amount !== undefined && amount !== (plan.intervals[interval]?.[currency] ?? null);
+    }));
+  }
+
+  /**
+   * Record a new version's terms and move the plan's prices to it, with the new amounts applied.
+   * The old versions' prices stay in tc_plan_prices so their subscriptions still resolve.
+   */
+  async createVersion(connection, plan, version, terms, prices = {}) {
+    await connection.execute(`
+      INSERT INTO tc_plan_versions (plan_id, version, device_limit, min_quantity, entitlements)
+      VALUES (?, ?, ?, ?, ?)
+    `, [plan.id, version, terms.deviceLimit, terms.minQuantity, JSON.stringify(terms.entitlements)]);
+
+    await connection.execute('UPDATE tc_plan_prices SET active = FALSE WHERE plan_id = ? AND active = TRUE', [plan.id]);
+
+    for (const interval of BILLING_INTERVALS) {
+      for (const currency of SUPPORTED_CURRENCIES) {
+        const amount = prices?.[interval]?.[currency] !== undefined
+          ? prices[interval][currency]
+          : plan.intervals[interval]?.[currency];
+        if (amount === undefined || amount === null) {
+          continue;
+        }
+        await connection.execute(`
+          INSERT INTO tc_plan_prices (plan_id, plan_version, billing_interval, currency, amount)
+          VALUES (?, ?, ?, ?, ?)
+        `, [plan.id, version, interval, currency, amount]);
+      }
+    }
+  }
+
+  /**
+   * Apply prices ({ interval: { currency: amount } }, null removes one) and Stripe price IDs
+   * ({ interval: { currency: priceId } }) to a plan's current prices
+   */
+  async savePrices(connection, planId, prices = {}, stripePriceIds = {}, version = 1) {
+    for (const interval of BILLING_INTERVALS) {
+      for (const currency of SUPPORTED_CURRENCIES) {
+        const amount = prices?.[interval]?.[currency];
+        const priceId = stripePriceIds?.[interval]?.[currency];
+        if (amount === undefined && priceId === undefined) {
+          continue;
+        }
+
+        const [[current]] = await connection.execute(`
+          SELECT id, amount FROM tc_plan_prices
+          WHERE plan_id = ? AND billing_interval = ? AND currency = ? AND active = TRUE
+          LIMIT 1 FOR UPDATE
+        `, [planId, interval, currency]);
+
+        if (current && (amount === undefined || Number(current.amount) === amount)) {
+          if (priceId !== undefined) {
+            await connection.execute('UPDATE tc_plan_prices SET stripe_price_id = ? WHERE id = ?', [priceId, current.id]);
+          }
+          continue;
+        }
+        if (amount === undefined) {
+          throw clientError(`Set a ${interval}ly ${currency} price before its Stripe price ID`, 400);
+        }
+
+        if (current) {
+          await connection.execute('UPDATE tc_plan_prices SET active = FALSE WHERE id = ?', [current.id]);
+        }
+        if (amount !== null) {
+          await connection.execute(`
+            INSERT INTO tc_plan_prices (plan_id, plan_version, billing_interval, currency, amount, stripe_price_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `, [planId, version, interval, currency, amount, priceId || null]);
+        }
+      }
+    }
+
+    // Keep the plan's own price (monthly, in its currency) in step for the analytics views
+    const [[plan]] = await connection.execute(`
+      SELECT sp.currency, pp.amount, pp.stripe_price_id
+      FROM tc_subscription_plans sp
+      LEFT JOIN tc_plan_prices pp
+        ON pp.plan_id = sp.plan_id
+        AND pp.billing_interval = 'month'
+        AND pp.currency = sp.currency
+        AND pp.active = TRUE
+      WHERE sp.plan_id = ?
+    `, [planId]);
+
+    if (plan.amount === null) {
+      throw clientError(`A monthly ${plan.currency} price is required`, 400);
+    }
+    await connection.execute(
+      'UPDATE tc_subscription_plans SET price = ?, stripe_price_id = ? WHERE plan_id = ?',
+      [plan.amount, plan.stripe_price_id, planId]
+    );
+  }
+
+  async inTransaction(fn) {
+    const connection = await database.getConnection();
+    try {
+      await connection.beginTransaction();
+      await fn(connection);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  requireDatabase() {
+    if (!database.isInitialized()) {
+      throw clientError('Plan catalog changes need the database', 503);
+    }
+  }
+}
+
+// Export singleton instance
+export default new PlanCatalog();
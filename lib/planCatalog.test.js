@@ -0,0 +1,164 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import database from './database.js';
+import planCatalog from './planCatalog.js';
+
+// A plan on version 2: the device limit went from 10 to 15 and the monthly price from 9 to 12
+const planRow = {
+  plan_id: 'fleet',
+  current_version: 2,
+  name: 'Fleet Plan',
+  description: null,
+  price: 12,
+  currency: 'USD',
+  device_limit: 15,
+  billing_mode: 'tier',
+  min_quantity: 1,
+  trial_days: 0,
+  features: '[]',
+  entitlements: '{"geofences": 20}',
+  sort_order: 1,
+  active: 1,
+};
+
+const priceRows = [
+  { plan_id: 'fleet', plan_version: 1, billing_interval: 'month', currency: 'USD', amount: '9.00', stripe_price_id: 'price_v1_month', active: 0 },
+  { plan_id: 'fleet', plan_version: 1, billing_interval: 'year', currency: 'USD', amount: '90.00', stripe_price_id: 'price_v1_year', active: 0 },
+  { plan_id: 'fleet', plan_version: 2, billing_interval: 'month', currency: 'USD', amount: '12.00', stripe_price_id: 'price_v2_month', active: 1 },
+  { plan_id: 'fleet', plan_version: 2, billing_interval: 'year', currency: 'USD', amount: '120.00', stripe_price_id: null, active: 1 },
+];
+
+const versionRows = [
+  { plan_id: 'fleet', version: 1, device_limit: 10, min_quantity: 1, entitlements: '{"geofences": 5}' },
+  { plan_id: 'fleet', version: 2, device_limit: 15, min_quantity: 1, entitlements: '{"geofences": 20}' },
+];
+
+describe('planCatalog', () => {
+  let original;
+
+  before(() => {
+    original = { plans: planCatalog.plans, source: planCatalog.source };
+    planCatalog.setPlans([planCatalog.fromRow(planRow, priceRows, versionRows)], 'database');
+  });
+
+  after(() => planCatalog.setPlans(original.plans, original.source));
+
+  describe('getPlanByPriceId', () => {
+    it('resolves a current price to the current terms', () => {
+      const plan = planCatalog.getPlanByPriceId('price_v2_month');
+
+      assert.equal(plan.id, 'fleet');
+      assert.equal(plan.version, 2);
+      assert.equal(plan.deviceLimit, 15);
+      assert.equal(plan.entitlements.geofences, 20);
+      assert.deepEqual([plan.interval, plan.currency], ['month', 'USD']);
+    });
+
+    it('resolves a replaced price to the terms of its version', () => {
+      const plan = planCatalog.getPlanByPriceId('price_v1_year');
+
+      assert.equal(plan.version, 1);
+      assert.equal(plan.deviceLimit, 10);
+      assert.equal(plan.entitlements.geofences, 5);
+      assert.deepEqual([plan.interval, plan.currency], ['year', 'USD']);
+    });
+
+    it('returns null for unknown or missing prices', () => {
+      assert.equal(planCatalog.getPlanByPriceId('price_unknown'), null);
+      assert.equal(planCatalog.getPlanByPriceId(null), null);
+    });
+  });
+
+  describe('getPlanVersion', () => {
+    it('applies the terms of an older version', () => {
+      const plan = planCatalog.getPlanVersion('fleet', 1);
+      assert.deepEqual([plan.version, plan.deviceLimit], [1, 10]);
+    });
+
+    it('falls back to the current version for an unknown or missing one', () => {
+      assert.equal(planCatalog.getPlanVersion('fleet', 9).version, 2);
+      assert.equal(planCatalog.getPlanVersion('fleet', null).deviceLimit, 15);
+    });
+  });
+
+  describe('getVersionPriceId', () => {
+    const plan = () => planCatalog.getPlanById('fleet');
+
+    it('finds the price of a version, interval and currency', () => {
+      assert.equal(planCatalog.getVersionPriceId(plan(), 1, 'month', 'USD'), 'price_v1_month');
+      assert.equal(planCatalog.getVersionPriceId(plan(), 2, 'month', 'USD'), 'price_v2_month');
+    });
+
+    it('returns null when the version has no Stripe price yet', () => {
+      assert.equal(planCatalog.getVersionPriceId(plan(), 2, 'year', 'USD'), null);
+      assert.equal(planCatalog.getVersionPriceId(plan(), 1, 'month', 'EUR'), null);
+    });
+  });
+
+  describe('plan administration', () => {
+    let statements;
+
+    beforeEach(() => {
+      statements = [];
+      mock.method(database, 'isInitialized', () => true);
+      mock.method(database, 'getConnection', async () => ({
+        beginTransaction: async () => {},
+        commit: async () => {},
+        rollback: async () => {},
+        release: () => {},
+        execute: async (sql, params) => {
+          statements.push({ sql: sql.trim().replace(/\s+/g, ' '), params });
+          if (sql.includes('FROM tc_subscription_plans sp')) {
+            return [[{ currency: 'USD', amount: '12.00', stripe_price_id: 'price_v2_month' }]];
+          }
+          return sql.trim().startsWith('SELECT') ? [[]] : [{ affectedRows: 1 }];
+        },
+      }));
+      // Keep the fixture catalog instead of reloading it from the database
+      mock.method(planCatalog, 'refresh', async () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('needs the database', async () => {
+      database.isInitialized.mock.mockImplementation(() => false);
+
+      await assert.rejects(planCatalog.archivePlan('fleet'), { statusCode: 503 });
+    });
+
+    it('refuses a duplicate plan or one without a monthly price', async () => {
+      await assert.rejects(planCatalog.createPlan({ id: 'FLEET', prices: { month: { USD: 5 } } }), { statusCode: 409 });
+      await assert.rejects(planCatalog.createPlan({ id: 'depot', prices: { year: { USD: 50 } } }), { statusCode: 400 });
+      assert.equal(statements.length, 0);
+    });
+
+    it('changes presentation details without a new version', async () => {
+      await planCatalog.updatePlan('fleet', { name: 'Fleet Plus' });
+
+      assert.equal(statements[0].sql, 'UPDATE tc_subscription_plans SET name = ? WHERE plan_id = ?');
+      assert.deepEqual(statements[0].params, ['Fleet Plus', 'fleet']);
+      assert.ok(!statements.some(({ sql }) => sql.includes('tc_plan_versions')));
+    });
+
+    it('makes a new version for new terms', async () => {
+      await planCatalog.updatePlan('fleet', { deviceLimit: 20 });
+
+      assert.equal(statements[0].sql, 'UPDATE tc_subscription_plans SET device_limit = ?, current_version = ? WHERE plan_id = ?');
+      assert.deepEqual(statements[0].params, [20, 3, 'fleet']);
+      const version = statements.find(({ sql }) => sql.startsWith('INSERT INTO tc_plan_versions'));
+      assert.deepEqual(version.params.slice(0, 4), ['fleet', 3, 20, 1]);
+    });
+
+    it('tells changed amounts from unchanged ones', () => {
+      const plan = planCatalog.getPlanById('fleet');
+
+      assert.equal(planCatalog.hasNewAmounts(plan, { month: { USD: 12 } }), false);
+      assert.equal(planCatalog.hasNewAmounts(plan, { month: { USD: 14 } }), true);
+      assert.equal(planCatalog.hasNewAmounts(plan, { year: { EUR: 110 } }), true);
+    });
+
+    it('returns a 404 for an unknown plan', async () => {
+      await assert.rejects(planCatalog.updatePlan('depot', { name: 'Depot' }), { statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import traccarClient from './traccarClient.js';
+import planCatalog from './planCatalog.js';
+import subscriptionService from './subscriptionService.js';
+import deviceBillingService from './deviceBillingService.js';
+import overrideService from './overrideService.js';
+import { resolveStripeSubscription } from './userResolver.js';
+import { clientError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const stripe = new Stripe(config.stripe.secretKey);
+
+// Subscriptions whose plan can be changed in-app
+const CHANGEABLE_STATUSES = ['active', 'trialing', 'past_due'];
+
+/**
+ * Plan Change Service
+ * Previews and applies in-app upgrades and downgrades by swapping the
+ * subscription item's price, then applies the new limits without waiting for the webhook
+ */
+class PlanChangeService {
+  /**
+   * Load the user's subscription and the target plan, and check the change is allowed.
+   * Without an interval, the subscription keeps its current billing interval.
+   * The currency never changes: Stripe bills a subscription's items in one currency.
+   * The returned plan has the customer's override applied.
+   */
+  async getChangeContext(user, planId, interval) {
+    const subscription = await resolveStripeSubscription(user);
+    if (!subscription) {
+      throw clientError('No subscription found for this user', 404);
+    }
+    if (!CHANGEABLE_STATUSES.includes(subscription.status)) {
+      throw clientError(`Subscription is ${subscription.status} and cannot be changed`, 409);
+    }
+
+    // Negotiated prices are changed by an admin, not in-app
+    const override = await overrideService.getOverride(user.id);
+    if (override?.stripePriceId) {
+      throw clientError('This subscription has a custom price and cannot be changed in-app', 409);
+    }
+
+    const item = subscription.items.data[0];
+    const currentPlan = planCatalog.getPlanByPriceId(item.price.id);
+    const targetInterval = interval || currentPlan?.interval;
+
+    const basePlan = planCatalog.getPlanById(planId);
+    const priceId = basePlan?.active && planCatalog.getPriceId(basePlan, targetInterval, currentPlan?.currency);
+    if (!priceId) {
+      throw clientError('Invalid plan ID or billing interval', 400);
+    }
+    const plan = overrideService.applyOverride(planCatalog.getPlanByPriceId(priceId), override);
+    // Per-device plans bill the devices the user owns; tier plans a single unit; metered plans none
+    const quantity = await deviceBillingService.getUserQuantity(plan, user.id);
+
+    if (item.price.id === priceId) {
+      throw clientError(`Subscription is already on the ${plan.name} (${plan.interval}ly)`, 409);
+    }
+
+    return { subscription, item, plan, priceId, quantity, currentPlan };
+  }
+
+  /**
+   * Preview the prorated invoice for a plan change
+   */
+  async previewChange(user, planId, { interval, prorationBehavior = 'create_prorations' } = {}) {
+    const { subscription, item, plan, priceId, quantity, currentPlan } = await this.getChangeContext(user, planId, interval);
+    const prorationDate = Math.floor(Date.now() / 1000);
+
+    const invoice = await stripe.invoices.retrieveUpcoming({
+      customer: subscription.customer,
+      subscription: subscription.id,
+      subscription_items: [{ id: item.id, price: priceId, ...(quantity ? { quantity } : {}) }],
+      subscription_proration_behavior: prorationBehavior,
+      subscription_proration_date: prorationDate,
+    });
+
+    const prorationLines = invoice.lines.data.filter(line => line.proration);
+
+    return {
+      currentPlan: currentPlan?.id || null,
+      currentInterval: currentPlan?.interval || null,
+      newPlan: plan.id,
+      newInterval: plan.interval,
+      newDeviceLimit: plan.deviceLimit,
+      newQuantity: quantity,
+      prorationBehavior,
+      // Pass back to /change to be charged exactly what was previewed
+      prorationDate,
+      currency: invoice.currency,
+      prorationAmount: prorationLines.reduce((sum, line) => sum + line.amount, 0),
+      amountDue: invoice.amount_due,
+      nextPaymentAttempt: invoice.next_payment_attempt,
+      lines: invoice.lines.data.map(line => ({
+        description: line.description,
+        amount: line.amount,
+        proration: line.proration,
+        periodStart: line.period.start,
+        periodEnd: line.period.end,
+      })),
+    };
+  }
+
+  /**
+   * Swap the subscription to a new plan and apply its device limit immediately
+   */
+  async changePlan(user, planId, { interval, prorationBehavior = 'create_prorations', prorationDate } = {}) {
+    const { subscription, item, plan, priceId, quantity, currentPlan } = await this.getChangeContext(user, planId, interval);
+
+    logger.info(`Changing subscription ${subscription.id} for user ${user.id} from ${currentPlan?.id || item.price.id} to ${plan.id}`);
+
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      items: [{ id: item.id, price: priceId, ...(quantity ? { quantity } : {}) }],
+      proration_behavior: prorationBehavior,
+      ...(prorationDate ? { proration_date: prorationDate } : {}),
+      metadata: {
+        ...subscription.metadata,
+        planId: plan.id,
+        interval: plan.interval,
+        deviceLimit: plan.deviceLimit.toString(),
+      },
+    });
+
+    // Apply the new limits now; the customer.subscription.updated webhook confirms them later
+    try {
+      await subscriptionService.upsertSubscription(user.id, {
+        plan_id: plan.id,
+        plan_version: plan.version,
+        billing_interval: plan.interval,
+        currency: plan.currency,
+        unit_amount: updated.items.data[0].price.unit_amount,
+        quantity: updated.items.data[0].quantity,
+        stripe_customer_id: updated.customer,
+        stripe_subscription_id: updated.id,
+        status: updated.status,
+        device_limit: plan.deviceLimit,
+        current_period_start: new Date(updated.current_period_start * 1000),
+        current_period_end: new Date(updated.current_period_end * 1000),
+        trial_start: updated.trial_start ? new Date(updated.trial_start * 1000) : null,
+        trial_end: updated.trial_end ? new Date(updated.trial_end * 1000) : null,
+        cancel_at_period_end: updated.cancel_at_period_end || false,
+        canceled_at: updated.canceled_at ? new Date(updated.canceled_at * 1000) : null,
+      });
+    } catch (dbError) {
+      logger.warn('Database not available for plan change');
+    }
+
+    await traccarClient.updateUserLimits(user.id, plan.deviceLimit, {
+      subscriptionPlan: plan.id,
+      billingInterval: plan.interval,
+      billingCurrency: plan.currency,
+      subscriptionStatus: updated.status,
+      currentPeriodEnd: new Date(updated.current_period_end * 1000).toISOString(),
+      cancelAtPeriodEnd: updated.cancel_at_period_end || false,
+    }, plan.entitlements);
+
+    await subscriptionService.addSubscriptionHistory(
+      user.id,
+      'plan_changed',
+      `Plan changed from ${currentPlan ? `${currentPlan.name} (${currentPlan.interval}ly)` : item.price.id} to ${plan.name} (${plan.interval}ly)`,
+      {
+        stripe_subscription_id: updated.id,
+        previous_plan: currentPlan?.id || null,
+        previous_interval: currentPlan?.interval || null,
+        plan: plan.id,
+        interval: plan.interval,
+        device_limit: plan.deviceLimit,
+        proration_behavior: prorationBehavior,
+      }
+    );
+
+    return {
+      subscriptionId: updated.id,
+      status: updated.status,
+      previousPlan: currentPlan?.id || null,
+      plan: plan.id,
+      interval: plan.interval,
+      deviceLimit: plan.deviceLimit,
+      currentPeriodEnd: updated.current_period_end,
+    };
+  }
+}
+
+// Export singleton instance
+export default new PlanChangeService();
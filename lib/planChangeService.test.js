@@ -0,0 +1,136 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import traccarClient from './traccarClient.js';
+import planCatalog from './planCatalog.js';
+import subscriptionService from './subscriptionService.js';
+import deviceBillingService from './deviceBillingService.js';
+import overrideService from './overrideService.js';
+import planChangeService from './planChangeService.js';
+
+const user = { id: 1, attributes: {} };
+
+const plans = {
+  price_basic: { id: 'basic', name: 'Basic Plan', version: 1, interval: 'month', currency: 'USD', deviceLimit: 30, entitlements: {} },
+  price_pro: { id: 'pro', name: 'Pro Plan', version: 1, interval: 'month', currency: 'USD', deviceLimit: 100, entitlements: {} },
+};
+
+describe('planChangeService', () => {
+  let stripeSubscription;
+  let catalogPlan;
+
+  beforeEach(() => {
+    stripeSubscription = {
+      id: 'sub_1',
+      customer: 'cus_1',
+      status: 'active',
+      metadata: { planId: 'basic' },
+      items: { data: [{ id: 'si_1', price: { id: 'price_basic' } }] },
+    };
+    catalogPlan = { active: true };
+    mock.method(subscriptionService, 'getSubscriptionByUserId', async () => ({
+      stripe_customer_id: 'cus_1', stripe_subscription_id: 'sub_1',
+    }));
+    mock.method(Stripe.resources.Subscriptions.prototype, 'retrieve', async () => stripeSubscription);
+    mock.method(overrideService, 'getOverride', async () => null);
+    mock.method(planCatalog, 'getPlanById', () => catalogPlan);
+    mock.method(planCatalog, 'getPriceId', (plan, interval, currency) => (interval === 'month' && currency === 'USD' ? 'price_pro' : null));
+    mock.method(planCatalog, 'getPlanByPriceId', priceId => plans[priceId] || null);
+    mock.method(deviceBillingService, 'getUserQuantity', async () => 1);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('getChangeContext', () => {
+    it('keeps the current interval and currency', async () => {
+      const context = await planChangeService.getChangeContext(user, 'pro');
+
+      assert.equal(context.priceId, 'price_pro');
+      assert.equal(context.currentPlan.id, 'basic');
+      assert.equal(context.plan.deviceLimit, 100);
+    });
+
+    it('applies the customer\'s override to the new plan', async () => {
+      overrideService.getOverride.mock.mockImplementation(async () => ({ deviceLimit: 250, entitlements: {} }));
+
+      const { plan } = await planChangeService.getChangeContext(user, 'pro');
+
+      assert.equal(plan.deviceLimit, 250);
+    });
+
+    it('refuses a subscription with a custom price', async () => {
+      overrideService.getOverride.mock.mockImplementation(async () => ({ stripePriceId: 'price_custom' }));
+
+      await assert.rejects(planChangeService.getChangeContext(user, 'pro'), { statusCode: 409 });
+    });
+
+    it('refuses a subscription that cannot be changed', async () => {
+      stripeSubscription.status = 'canceled';
+
+      await assert.rejects(planChangeService.getChangeContext(user, 'pro'), { statusCode: 409 });
+    });
+
+    it('refuses an inactive plan or an interval it does not offer', async () => {
+      await assert.rejects(planChangeService.getChangeContext(user, 'pro', 'year'), { statusCode: 400 });
+
+      catalogPlan = { active: false };
+      await assert.rejects(planChangeService.getChangeContext(user, 'pro'), { statusCode: 400 });
+    });
+
+    it('refuses a change to the current price', async () => {
+      stripeSubscription.items.data[0].price.id = 'price_pro';
+
+      await assert.rejects(planChangeService.getChangeContext(user, 'pro'), { statusCode: 409 });
+    });
+  });
+
+  describe('previewChange', () => {
+    it('sums the proration lines of the upcoming invoice', async () => {
+      const upcoming = mock.method(Stripe.resources.Invoices.prototype, 'retrieveUpcoming', async () => ({
+        currency: 'usd',
+        amount_due: 7000,
+        next_payment_attempt: 1702592000,
+        lines: {
+          data: [
+            { description: 'Unused time on Basic Plan', amount: -1000, proration: true, period: { start: 1, end: 2 } },
+            { description: 'Remaining time on Pro Plan', amount: 3000, proration: true, period: { start: 1, end: 2 } },
+            { description: 'Pro Plan', amount: 5000, proration: false, period: { start: 2, end: 3 } },
+          ],
+        },
+      }));
+
+      const preview = await planChangeService.previewChange(user, 'pro');
+
+      const params = upcoming.mock.calls[0].arguments[0];
+      assert.deepEqual(params.subscription_items, [{ id: 'si_1', price: 'price_pro', quantity: 1 }]);
+      assert.equal(params.subscription_proration_date, preview.prorationDate);
+      assert.equal(preview.prorationAmount, 2000);
+      assert.equal(preview.amountDue, 7000);
+      assert.equal(preview.lines.length, 3);
+    });
+  });
+
+  describe('changePlan', () => {
+    it('swaps the price, charges the previewed proration and applies the new limits', async () => {
+      const update = mock.method(Stripe.resources.Subscriptions.prototype, 'update', async (id, params) => ({
+        ...stripeSubscription,
+        items: { data: [{ id: 'si_1', price: { id: 'price_pro', unit_amount: 5000 }, quantity: 1 }] },
+        current_period_start: 1700000000,
+        current_period_end: 1702592000,
+        metadata: params.metadata,
+      }));
+      const upsert = mock.method(subscriptionService, 'upsertSubscription', async () => {});
+      const updateLimits = mock.method(traccarClient, 'updateUserLimits', async () => {});
+      mock.method(subscriptionService, 'addSubscriptionHistory', async () => {});
+
+      const result = await planChangeService.changePlan(user, 'pro', { prorationDate: 1700001000 });
+
+      const params = update.mock.calls[0].arguments[1];
+      assert.equal(params.proration_date, 1700001000);
+      assert.deepEqual(params.metadata, { planId: 'pro', interval: 'month', deviceLimit: '100' });
+      assert.equal(upsert.mock.calls[0].arguments[1].device_limit, 100);
+      assert.equal(updateLimits.mock.calls[0].arguments[1], 100);
+      assert.equal(result.previousPlan, 'basic');
+    });
+  });
+});
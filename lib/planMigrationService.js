@@ -0,0 +1,291 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import database from './database.js';
+import traccarClient from './traccarClient.js';
+import planCatalog from './planCatalog.js';
+import subscriptionService from './subscriptionService.js';
+import overrideService from './overrideService.js';
+import { clientError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const stripe = new Stripe(config.stripe.secretKey);
+
+// Subscriptions that are moved by a migration
+const MIGRATABLE_STATUSES = ['active', 'trialing', 'past_due'];
+
+export const PRORATION_BEHAVIORS = ['none', 'create_prorations', 'always_invoice'];
+
+/**
+ * Plan Migration Service
+ * Moves cohorts of a plan's subscribers from older versions to a newer one. A migration is
+ * scheduled for a date in tc_plan_migrations and run by the plan-migrations job (or on demand):
+ * each subscription is switched to the new version's Stripe price and gets its terms.
+ */
+class PlanMigrationService {
+  /**
+   * A plan's versions with their terms and how many live subscriptions are on each
+   */
+  async getVersionSummary(planId) {
+    const plan = planCatalog.getPlanById(planId);
+    if (!plan) {
+      throw clientError('Plan not found', 404);
+    }
+
+    const rows = await database.query(`
+      SELECT plan_version, COUNT(*) as subscribers
+      FROM tc_user_subscriptions
+      WHERE plan_id = ?
+        AND status IN (${MIGRATABLE_STATUSES.map(() => '?').join(', ')})
+      GROUP BY plan_version
+    `, [plan.id, ...MIGRATABLE_STATUSES]);
+
+    return Object.entries(plan.versions).map(([version, terms]) => ({
+      version: Number(version),
+      current: Number(version) === plan.version,
+      ...terms,
+      subscribers: Number(rows.find(row => row.plan_version === Number(version))?.subscribers || 0),
+    }));
+  }
+
+  /**
+   * Schedule a migration. Without toVersion it targets the plan's current version;
+   * without fromVersion it moves subscribers on every older version.
+   */
+  async schedule({ planId, fromVersion = null, toVersion, runAt = new Date(), prorationBehavior = 'none' }, createdBy) {
+    const plan = planCatalog.getPlanById(planId);
+    if (!plan) {
+      throw clientError('Plan not found', 404);
+    }
+
+    const targetVersion = toVersion ?? plan.version;
+    if (!plan.versions[targetVersion]) {
+      throw clientError(`Plan ${plan.id} has no version ${targetVersion}`, 400);
+    }
+    if (fromVersion !== null && fromVersion >= targetVersion) {
+      throw clientError('Subscribers can only be migrated to a newer version', 400);
+    }
+    if (!PRORATION_BEHAVIORS.includes(prorationBehavior)) {
+      throw clientError(`Proration behavior must be one of: ${PRORATION_BEHAVIORS.join(', ')}`, 400);
+    }
+
+    const result = await database.query(`
+      INSERT INTO tc_plan_migrations (plan_id, from_version, to_version, run_at, proration_behavior, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [plan.id, fromVersion, targetVersion, new Date(runAt), prorationBehavior, createdBy]);
+
+    logger.info(`Plan migration ${result.insertId} scheduled by ${createdBy}: ${plan.id} v${fromVersion ?? '*'} -> v${targetVersion} on ${new Date(runAt).toISOString()}`);
+    return this.getMigration(result.insertId);
+  }
+
+  async getMigration(migrationId) {
+    return database.queryOne('SELECT * FROM tc_plan_migrations WHERE id = ?', [migrationId]);
+  }
+
+  /**
+   * List migrations, newest first
+   */
+  async listMigrations({ status } = {}) {
+    return database.query(`
+      SELECT * FROM tc_plan_migrations
+      WHERE (? IS NULL OR status = ?)
+      ORDER BY run_at DESC, id DESC
+      LIMIT 100
+    `, [status || null, status || null]);
+  }
+
+  /**
+   * Cancel a migration that has not run yet
+   */
+  async cancel(migrationId) {
+    const result = await database.query(
+      "UPDATE tc_plan_migrations SET status = 'canceled' WHERE id = ? AND status = 'scheduled'",
+      [migrationId]
+    );
+    if (result.affectedRows === 0) {
+      throw clientError(`Migration ${migrationId} not found or no longer scheduled`, 409);
+    }
+    logger.info(`Plan migration ${migrationId} canceled`);
+    return this.getMigration(migrationId);
+  }
+
+  /**
+   * Run the scheduled migrations whose date has come
+   */
+  async runDue() {
+    const due = await database.query(
+      "SELECT id FROM tc_plan_migrations WHERE status = 'scheduled' AND run_at <= NOW() ORDER BY run_at, id"
+    );
+
+    const results = [];
+    for (const { id } of due) {
+      try {
+        results.push(await this.run(id));
+      } catch (error) {
+        results.push({ migrationId: id, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Run a migration now. A completed or failed migration can be run again to retry the
+   * subscriptions that failed; subscriptions already moved are not in the cohort any more.
+   */
+  async run(migrationId) {
+    const claimed = await database.query(`
+      UPDATE tc_plan_migrations
+      SET status = 'running', started_at = NOW()
+      WHERE id = ? AND status IN ('scheduled', 'completed', 'failed')
+    `, [migrationId]);
+    if (claimed.affectedRows === 0) {
+      throw clientError(`Migration ${migrationId} not found, running or canceled`, 409);
+    }
+
+    try {
+      return await this.runClaimed(migrationId);
+    } catch (error) {
+      // Leave the migration where it can be run again instead of stuck in running
+      logger.error(`Plan migration ${migrationId} failed: ${error.message}`);
+      await database.query(
+        "UPDATE tc_plan_migrations SET status = 'failed', last_error = ?, completed_at = NOW() WHERE id = ?",
+        [error.message, migrationId]
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Move the cohort of a migration this instance has claimed
+   */
+  async runClaimed(migrationId) {
+    const migration = await this.getMigration(migrationId);
+    const plan = planCatalog.getPlanById(migration.plan_id);
+    if (!plan) {
+      throw new Error(`Plan ${migration.plan_id} not found`);
+    }
+    const cohort = await this.getCohort(migration);
+
+    logger.info(`Running plan migration ${migration.id}: ${cohort.length} subscription(s) of ${migration.plan_id} to v${migration.to_version}`);
+
+    let migrated = 0;
+    const failures = [];
+    for (const row of cohort) {
+      try {
+        await this.migrateSubscription(row, plan, migration);
+        migrated++;
+      } catch (error) {
+        logger.error(`Plan migration ${migration.id} failed for user ${row.userid}: ${error.message}`);
+        failures.push({ userId: row.userid, error: error.message });
+      }
+    }
+
+    await database.query(`
+      UPDATE tc_plan_migrations
+      SET status = 'completed', migrated = migrated + ?, failed = ?, last_error = ?, completed_at = NOW()
+      WHERE id = ?
+    `, [migrated, failures.length, failures[failures.length - 1]?.error || null, migration.id]);
+
+    logger.info(`Plan migration ${migration.id} finished: ${migrated} migrated, ${failures.length} failed`);
+    return { migrationId: migration.id, cohort: cohort.length, migrated, failures };
+  }
+
+  /**
+   * Live subscriptions the migration still has to move. Customers with a negotiated
+   * price of their own are left on it.
+   */
+  async getCohort(migration) {
+    return database.query(`
+      SELECT s.userid, s.plan_version, s.stripe_subscription_id
+      FROM tc_user_subscriptions s
+      WHERE s.plan_id = ?
+        AND s.plan_version < ?
+        AND (? IS NULL OR s.plan_version = ?)
+        AND s.status IN (${MIGRATABLE_STATUSES.map(() => '?').join(', ')})
+        AND s.stripe_subscription_id IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM tc_customer_overrides o
+          WHERE o.userid = s.userid AND o.stripe_price_id IS NOT NULL
+        )
+    `, [
+      migration.plan_id,
+      migration.to_version,
+      migration.from_version, migration.from_version,
+      ...MIGRATABLE_STATUSES,
+    ]);
+  }
+
+  /**
+   * Switch one subscription to the target version's price in the same interval and currency,
+   * then apply the version's terms to the database and Traccar
+   */
+  async migrateSubscription(row, plan, migration) {
+    let subscription = await stripe.subscriptions.retrieve(row.stripe_subscription_id);
+    const item = subscription.items.data[0];
+    const current = planCatalog.getPlanByPriceId(item.price.id);
+    if (current?.id !== plan.id) {
+      throw new Error(`Subscription ${subscription.id} is not on a ${plan.id} catalog price`);
+    }
+
+    const priceId = planCatalog.getVersionPriceId(plan, migration.to_version, current.interval, current.currency);
+    if (!priceId) {
+      throw new Error(`Version ${migration.to_version} of ${plan.id} has no ${current.currency}/${current.interval} Stripe price; run npm run sync:stripe`);
+    }
+    const target = planCatalog.getPlanByPriceId(priceId);
+
+    // A subscription moved in Stripe by an earlier, interrupted run only needs its local copies updated
+    if (current.version < target.version) {
+      subscription = await stripe.subscriptions.update(subscription.id, {
+        items: [{ id: item.id, price: priceId, ...(item.quantity !== undefined ? { quantity: item.quantity } : {}) }],
+        proration_behavior: migration.proration_behavior,
+        metadata: {
+          ...subscription.metadata,
+          planVersion: String(target.version),
+          deviceLimit: target.deviceLimit.toString(),
+        },
+      });
+    }
+
+    const limits = await overrideService.getEffectivePlan(target, row.userid);
+    await subscriptionService.upsertSubscription(row.userid, {
+      plan_id: target.id,
+      plan_version: target.version,
+      billing_interval: target.interval,
+      currency: target.currency,
+      unit_amount: subscription.items.data[0].price.unit_amount,
+      quantity: subscription.items.data[0].quantity,
+      stripe_customer_id: subscription.customer,
+      stripe_subscription_id: subscription.id,
+      status: subscription.status,
+      device_limit: limits.deviceLimit,
+      current_period_start: new Date(subscription.current_period_start * 1000),
+      current_period_end: new Date(subscription.current_period_end * 1000),
+      trial_start: subscription.trial_start ? new Date(subscription.trial_start * 1000) : null,
+      trial_end: subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
+      cancel_at_period_end: subscription.cancel_at_period_end || false,
+      canceled_at: subscription.canceled_at ? new Date(subscription.canceled_at * 1000) : null,
+    });
+
+    await traccarClient.updateUserLimits(row.userid, limits.deviceLimit, {
+      subscriptionPlan: target.id,
+      subscriptionStatus: subscription.status,
+    }, limits.entitlements);
+
+    await subscriptionService.addSubscriptionHistory(
+      row.userid,
+      'plan_version_migrated',
+      `Moved from version ${row.plan_version} to version ${target.version} of the ${target.name}`,
+      {
+        migration_id: migration.id,
+        stripe_subscription_id: subscription.id,
+        from_version: row.plan_version,
+        to_version: target.version,
+        previous_price: item.price.id,
+        price: priceId,
+        proration_behavior: migration.proration_behavior,
+      }
+    );
+  }
+}
+
+// Export singleton instance
+export default new PlanMigrationService();
@@ -0,0 +1,69 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import database from './database.js';
+import planMigrationService from './planMigrationService.js';
+
+const migration = (fields = {}) => ({
+  id: 3,
+  plan_id: 'basic',
+  from_version: null,
+  to_version: 3,
+  proration_behavior: 'none',
+  ...fields,
+});
+
+describe('planMigrationService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('getCohort', () => {
+    it('selects live subscriptions on older versions of the plan', async () => {
+      const query = mock.method(database, 'query', async () => []);
+
+      await planMigrationService.getCohort(migration());
+
+      const [sql, params] = query.mock.calls[0].arguments;
+      assert.match(sql, /s\.plan_id = \?/);
+      assert.match(sql, /s\.plan_version < \?/);
+      assert.match(sql, /\(\? IS NULL OR s\.plan_version = \?\)/);
+      assert.match(sql, /s\.status IN \(\?, \?, \?\)/);
+      assert.match(sql, /s\.stripe_subscription_id IS NOT NULL/);
+      assert.deepEqual(params, ['basic', 3, null, null, 'active', 'trialing', 'past_due']);
+    });
+
+    it('limits the cohort to the version migrated from', async () => {
+      const query = mock.method(database, 'query', async () => []);
+
+      await planMigrationService.getCohort(migration({ from_version: 1 }));
+
+      assert.deepEqual(query.mock.calls[0].arguments[1].slice(0, 4), ['basic', 3, 1, 1]);
+    });
+
+    it('leaves out customers on a custom price', async () => {
+      const query = mock.method(database, 'query', async () => []);
+
+      await planMigrationService.getCohort(migration());
+
+      assert.match(query.mock.calls[0].arguments[0],
+        /NOT EXISTS \(\s*SELECT 1 FROM tc_customer_overrides o\s*WHERE o\.userid = s\.userid AND o\.stripe_price_id IS NOT NULL\s*\)/);
+    });
+  });
+
+  describe('run', () => {
+    it('marks a migration that cannot run as failed so it can be run again', async () => {
+      const query = mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+      mock.method(database, 'queryOne', async () => migration({ plan_id: 'retired' }));
+
+      await assert.rejects(planMigrationService.run(3), /Plan retired not found/);
+
+      const [sql, params] = query.mock.calls[1].arguments;
+      assert.match(sql, /status = 'failed'/);
+      assert.deepEqual(params, ['Plan retired not found', 3]);
+    });
+
+    it('refuses a migration that is running or canceled', async () => {
+      mock.method(database, 'query', async () => ({ affectedRows: 0 }));
+
+      await assert.rejects(planMigrationService.run(3), { statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import { getIntervalPrice, DEFAULT_INTERVAL } from '../config/plans.js';
+import planCatalog from './planCatalog.js';
+import { clientError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const stripe = new Stripe(config.stripe.secretKey);
+
+/**
+ * Promo Service
+ * Looks up Stripe promotion codes and works out what they take off a plan's price
+ */
+class PromoService {
+  /**
+   * Check a promotion code against a plan's billing interval and currency.
+   * Resolves to { valid: true, promotionCode, pricing } or { valid: false, reason }.
+   */
+  async validate(code, plan, interval = DEFAULT_INTERVAL, currency = plan.currency) {
+    this.requirePrice(plan, interval, currency);
+
+    const { data } = await stripe.promotionCodes.list({
+      code,
+      active: true,
+      limit: 1,
+      expand: ['data.coupon.applies_to', 'data.coupon.currency_options'],
+    });
+
+    const promotionCode = data[0];
+    if (!promotionCode) {
+      return { valid: false, reason: 'Promotion code not found or inactive' };
+    }
+
+    const reason = await this.getRejectionReason(promotionCode, plan, interval, currency);
+    if (reason) {
+      logger.info(`Promotion code ${code} rejected for plan ${plan.id}: ${reason}`);
+      return { valid: false, reason };
+    }
+
+    const { coupon } = promotionCode;
+
+    return {
+      valid: true,
+      promotionCode: {
+        id: promotionCode.id,
+        code: promotionCode.code,
+        couponId: coupon.id,
+        name: coupon.name,
+        percentOff: coupon.percent_off,
+        amountOff: coupon.amount_off ? this.getAmountOff(coupon, currency) : null,
+        currency: coupon.amount_off ? currency.toLowerCase() : coupon.currency,
+        duration: coupon.duration,
+        durationInMonths: coupon.duration_in_months,
+      },
+      pricing: this.getDiscountedPrice(plan, interval, currency, coupon),
+    };
+  }
+
+  /**
+   * The plan's price for an interval and currency; a 400 if the plan has none
+   */
+  requirePrice(plan, interval, currency) {
+    const price = getIntervalPrice(plan, interval, currency);
+    if (price === null) {
+      throw clientError(`Plan ${plan.id} is not available for this interval/currency (${interval}, ${currency})`, 400);
+    }
+    return price;
+  }
+
+  /**
+   * Why a promotion code cannot be used for a plan, or null if it can
+   */
+  async getRejectionReason(promotionCode, plan, interval, currency) {
+    const { coupon, restrictions } = promotionCode;
+    const price = this.requirePrice(plan, interval, currency);
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!coupon.valid) {
+      return 'Coupon is no longer valid';
+    }
+    if (promotionCode.expires_at && promotionCode.expires_at < now) {
+      return 'Promotion code has expired';
+    }
+    if (promotionCode.max_redemptions && promotionCode.times_redeemed >= promotionCode.max_redemptions) {
+      return 'Promotion code has been fully redeemed';
+    }
+    // Checkout identifies new customers by email only, so customer-specific codes cannot be applied
+    if (promotionCode.customer) {
+      return 'Promotion code is restricted to another customer';
+    }
+    if (coupon.amount_off && this.getAmountOff(coupon, currency) === null) {
+      return `Coupon is for ${coupon.currency.toUpperCase()} prices`;
+    }
+    if (restrictions?.minimum_amount
+      && (restrictions.minimum_amount_currency?.toUpperCase() !== currency
+        || restrictions.minimum_amount > Math.round(price * 100))) {
+      return 'Plan price is below the promotion code minimum';
+    }
+
+    const products = coupon.applies_to?.products;
+    if (products?.length) {
+      // A price without a Stripe price yet (e.g. before sync:stripe) cannot be checked out either
+      const priceId = planCatalog.getPriceId(plan, interval, currency);
+      if (!priceId) {
+        throw clientError(`Plan ${plan.id} is not available for this interval/currency (${interval}, ${currency})`, 400);
+      }
+      const stripePrice = await stripe.prices.retrieve(priceId);
+      if (!products.includes(stripePrice.product)) {
+        return 'Promotion code does not apply to this plan';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * A fixed-amount coupon's discount in a currency (from its currency_options
+   * for other currencies), or null if it has none in that currency
+   */
+  getAmountOff(coupon, currency) {
+    if (coupon.currency?.toUpperCase() === currency) {
+      return coupon.amount_off;
+    }
+    return coupon.currency_options?.[currency.toLowerCase()]?.amount_off ?? null;
+  }
+
+  /**
+   * Plan price before and after the coupon, in major currency units
+   */
+  getDiscountedPrice(plan, interval, currency, coupon) {
+    const price = this.requirePrice(plan, interval, currency);
+    const discount = coupon.percent_off
+      ? price * (coupon.percent_off / 100)
+      : (this.getAmountOff(coupon, currency) || 0) / 100;
+    const discountedPrice = Math.max(price - discount, 0);
+
+    return {
+      planId: plan.id,
+      interval,
+      currency,
+      price,
+      discount: Math.round((price - discountedPrice) * 100) / 100,
+      discountedPrice: Math.round(discountedPrice * 100) / 100,
+    };
+  }
+}
+
+// Export singleton instance
+export default new PromoService();
@@ -0,0 +1,92 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import promoService from './promoService.js';
+
+const plan = {
+  id: 'basic',
+  currency: 'USD',
+  intervals: { month: { USD: 20, EUR: 19 } },
+  stripePrices: { month: { USD: 'price_basic', EUR: null } },
+};
+
+const promotionCode = (fields = {}, coupon = {}) => ({
+  id: 'promo_1',
+  code: 'SPRING',
+  customer: null,
+  expires_at: null,
+  max_redemptions: null,
+  times_redeemed: 0,
+  restrictions: {},
+  ...fields,
+  coupon: { id: 'co_1', valid: true, percent_off: 25, ...coupon },
+});
+
+describe('promoService.getRejectionReason', () => {
+  afterEach(() => mock.restoreAll());
+
+  const reject = (code, currency = 'USD') => promoService.getRejectionReason(code, plan, 'month', currency);
+
+  it('accepts a valid code', async () => {
+    assert.equal(await reject(promotionCode()), null);
+  });
+
+  it('rejects invalid, expired and fully redeemed codes', async () => {
+    assert.equal(await reject(promotionCode({}, { valid: false })), 'Coupon is no longer valid');
+    assert.equal(await reject(promotionCode({ expires_at: 1 })), 'Promotion code has expired');
+    assert.equal(
+      await reject(promotionCode({ max_redemptions: 3, times_redeemed: 3 })),
+      'Promotion code has been fully redeemed'
+    );
+  });
+
+  it('rejects a code restricted to a customer', async () => {
+    assert.equal(await reject(promotionCode({ customer: 'cus_1' })), 'Promotion code is restricted to another customer');
+  });
+
+  it('accepts a fixed amount only in a currency the coupon has', async () => {
+    const code = promotionCode({}, {
+      percent_off: null,
+      amount_off: 500,
+      currency: 'usd',
+      currency_options: { eur: { amount_off: 450 } },
+    });
+
+    assert.equal(await reject(code, 'EUR'), null);
+    delete code.coupon.currency_options;
+    assert.equal(await reject(code, 'EUR'), 'Coupon is for USD prices');
+  });
+
+  it('applies the minimum amount in its own currency', async () => {
+    const restrictions = { minimum_amount: 2000, minimum_amount_currency: 'usd' };
+
+    assert.equal(await reject(promotionCode({ restrictions })), null);
+    assert.equal(
+      await reject(promotionCode({ restrictions: { ...restrictions, minimum_amount: 2500 } })),
+      'Plan price is below the promotion code minimum'
+    );
+    assert.equal(await reject(promotionCode({ restrictions }), 'EUR'), 'Plan price is below the promotion code minimum');
+  });
+
+  it('checks product restrictions against the plan price', async () => {
+    const retrieve = mock.method(Stripe.resources.Prices.prototype, 'retrieve', async () => ({ product: 'prod_basic' }));
+
+    assert.equal(await reject(promotionCode({}, { applies_to: { products: ['prod_basic'] } })), null);
+    assert.equal(retrieve.mock.calls[0].arguments[0], 'price_basic');
+    assert.equal(
+      await reject(promotionCode({}, { applies_to: { products: ['prod_pro'] } })),
+      'Promotion code does not apply to this plan'
+    );
+  });
+
+  it('refuses a restricted code for a price not synced to Stripe', async () => {
+    await assert.rejects(
+      reject(promotionCode({}, { applies_to: { products: ['prod_basic'] } }), 'EUR'),
+      { statusCode: 400 }
+    );
+  });
+
+  it('refuses a plan without a price for the interval and currency', async () => {
+    await assert.rejects(reject(promotionCode(), 'INR'), { statusCode: 400 });
+  });
+});
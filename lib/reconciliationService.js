@@ -0,0 +1,273 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import { NO_PLAN_ENTITLEMENTS } from '../config/plans.js';
+import traccarClient from './traccarClient.js';
+import overrideService from './overrideService.js';
+import subscriptionService from './subscriptionService.js';
+import { resolveUser } from './userResolver.js';
+import logger from '../utils/logger.js';
+
+const stripe = new Stripe(config.stripe.secretKey);
+
+// Stripe statuses that no longer (or never did) grant access
+const ENDED_STATUSES = ['canceled', 'incomplete', 'incomplete_expired'];
+
+// Traccar user fields and attributes set from plan entitlements
+const ENTITLEMENT_FIELDS = ['limitCommands', 'deviceReadonly', 'readonly', 'userLimit'];
+const ENTITLEMENT_ATTRIBUTES = ['geofenceLimit', 'reportTypes'];
+
+/**
+ * Reconciliation Service
+ * Compares Stripe subscriptions with tc_user_subscriptions and the Traccar user
+ * (device limit, entitlements, disabled flag, subscription attributes), reports drift and
+ * optionally repairs it using Stripe as the source of truth
+ */
+class ReconciliationService {
+  constructor() {
+    this.currentRun = null;
+  }
+
+  /**
+   * Run a reconciliation. Concurrent calls with the same fix flag share the run in progress;
+   * a call with the other flag waits for it to finish and then starts its own.
+   */
+  async run({ fix = false } = {}) {
+    while (this.currentRun && this.currentRun.fix !== fix) {
+      await this.currentRun.promise.catch(() => {});
+    }
+    if (!this.currentRun) {
+      this.currentRun = {
+        fix,
+        promise: this.reconcileAll(fix).finally(() => {
+          this.currentRun = null;
+        }),
+      };
+    }
+    return this.currentRun.promise;
+  }
+
+  /**
+   * Page through all Stripe subscriptions and reconcile each one
+   */
+  async reconcileAll(fix) {
+    const report = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      fix,
+      checked: 0,
+      drift: [],
+      fixed: 0,
+      errors: [],
+    };
+
+    logger.info(`Starting reconciliation${fix ? ' (fix mode)' : ''}`);
+
+    for await (const subscription of stripe.subscriptions.list({ status: 'all', limit: 100 })) {
+      report.checked++;
+
+      try {
+        const drift = await this.reconcileSubscription(subscription);
+        if (drift.length === 0) {
+          continue;
+        }
+
+        report.drift.push(...drift);
+
+        if (fix && drift.some(item => item.fixable) && await this.repair(subscription, drift)) {
+          report.fixed += drift.filter(item => item.fixable).length;
+        }
+      } catch (error) {
+        logger.error(`Reconciliation failed for ${subscription.id}: ${error.message}`);
+        report.errors.push({ subscriptionId: subscription.id, error: error.message });
+      }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    logger.info(`Reconciliation finished: ${report.checked} checked, ${report.drift.length} discrepancies, ${report.fixed} fixed, ${report.errors.length} errors`);
+
+    return report;
+  }
+
+  /**
+   * Compare one Stripe subscription with the database and Traccar.
+   * Returns the list of discrepancies.
+   */
+  async reconcileSubscription(subscription) {
+    const ended = ENDED_STATUSES.includes(subscription.status);
+    let row = await subscriptionService.getSubscriptionByStripeId(subscription.id);
+
+    // Ended subscriptions without a row are old history, e.g. before a resubscribe
+    if (!row && ended) {
+      return [];
+    }
+
+    const user = row
+      ? await traccarClient.getUserById(row.userid)
+      : await resolveUser({ customerId: subscription.customer, email: subscription.metadata?.userEmail });
+
+    const base = {
+      subscriptionId: subscription.id,
+      customerId: subscription.customer,
+      userId: user?.id || row?.userid || null,
+    };
+    const drift = [];
+    const compare = (source, field, expected, actual, fixable = true) => {
+      if (expected !== actual) {
+        drift.push({ ...base, source, field, expected, actual, fixable });
+      }
+    };
+
+    if (!user) {
+      compare('traccar', 'user', 'present', 'missing', false);
+      return drift;
+    }
+
+    // The plan's terms as they apply to this customer
+    const plan = await overrideService.getEffectivePlan(
+      await overrideService.resolvePlan(subscription.items.data[0]?.price),
+      user.id
+    );
+    if (!plan) {
+      compare('stripe', 'price', 'known price', subscription.items.data[0]?.price.id, false);
+    }
+
+    // Database copy
+    if (!row) {
+      row = await subscriptionService.getSubscriptionByUserId(user.id);
+      compare('database', 'stripe_subscription_id', subscription.id, row?.stripe_subscription_id || null);
+    } else {
+      compare('database', 'status', subscription.status, row.status);
+      if (plan) {
+        compare('database', 'plan_id', plan.id, row.plan_id);
+        compare('database', 'plan_version', plan.version, row.plan_version);
+        compare('database', 'billing_interval', plan.interval, row.billing_interval);
+        compare('database', 'currency', plan.currency, row.currency);
+        compare('database', 'device_limit', plan.deviceLimit, row.device_limit);
+        // Metered items have no quantity
+        if (subscription.items.data[0].quantity !== undefined) {
+          compare('database', 'quantity', subscription.items.data[0].quantity, row.quantity);
+        }
+      }
+    }
+
+    // Traccar copy
+    const expectedLimit = ended ? 0 : plan?.deviceLimit;
+    if (expectedLimit !== undefined) {
+      compare('traccar', 'deviceLimit', expectedLimit, user.deviceLimit);
+    }
+    if (plan && !ended) {
+      compare('traccar', 'subscriptionPlan', plan.id, user.attributes?.subscriptionPlan);
+    }
+    const expectedEntitlements = ended ? NO_PLAN_ENTITLEMENTS : plan?.entitlements;
+    if (expectedEntitlements) {
+      const fields = traccarClient.getEntitlementFields(expectedEntitlements, user);
+      ENTITLEMENT_FIELDS.forEach(field => compare('traccar', field, fields[field], user[field]));
+      ENTITLEMENT_ATTRIBUTES.forEach(field => compare('traccar', field, fields.attributes[field], user.attributes?.[field]));
+    }
+
+    const expectedDisabled = this.getExpectedDisabled(subscription.status, row, user);
+    if (expectedDisabled !== null) {
+      compare('traccar', 'disabled', expectedDisabled, Boolean(user.disabled));
+    }
+
+    return drift;
+  }
+
+  /**
+   * Whether the Traccar account should be disabled, or null if it depends on
+   * state this job does not own (past-due accounts without a dunning record).
+   * Accounts stay disabled while a payment dispute is under review.
+   */
+  getExpectedDisabled(status, row, user) {
+    if (ENDED_STATUSES.includes(status) || traccarClient.isUnderDispute(user)) {
+      return true;
+    }
+    if (status === 'active' || status === 'trialing') {
+      return false;
+    }
+    if (row?.dunning_stage) {
+      return row.dunning_stage === 'disabled';
+    }
+    return null;
+  }
+
+  /**
+   * Repair the database and Traccar from the Stripe subscription.
+   * Returns false when the subscription was skipped.
+   */
+  async repair(subscription, drift) {
+    const { userId } = drift[0];
+    const ended = ENDED_STATUSES.includes(subscription.status);
+
+    // A second subscription of the same customer must not overwrite the one the user is on
+    const current = await subscriptionService.getSubscriptionByUserId(userId);
+    if (current?.stripe_subscription_id
+      && current.stripe_subscription_id !== subscription.id
+      && !ENDED_STATUSES.includes(current.status)) {
+      logger.warn(`Not repairing user ${userId} from ${subscription.id}: their subscription is ${current.stripe_subscription_id}`);
+      return false;
+    }
+    const plan = await overrideService.getEffectivePlan(
+      await overrideService.resolvePlan(subscription.items.data[0]?.price),
+      userId
+    );
+
+    if (drift.some(item => item.fixable && item.source === 'database')) {
+      if (ended) {
+        await subscriptionService.endSubscription(userId);
+      } else if (plan) {
+        await subscriptionService.upsertSubscription(userId, {
+          plan_id: plan.id,
+          plan_version: plan.version,
+          billing_interval: plan.interval,
+          currency: plan.currency,
+          unit_amount: subscription.items.data[0].price.unit_amount,
+          quantity: subscription.items.data[0].quantity,
+          stripe_customer_id: subscription.customer,
+          stripe_subscription_id: subscription.id,
+          status: subscription.status,
+          device_limit: plan.deviceLimit,
+          current_period_start: new Date(subscription.current_period_start * 1000),
+          current_period_end: new Date(subscription.current_period_end * 1000),
+          trial_start: subscription.trial_start ? new Date(subscription.trial_start * 1000) : null,
+          trial_end: subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
+          cancel_at_period_end: subscription.cancel_at_period_end || false,
+          canceled_at: subscription.canceled_at ? new Date(subscription.canceled_at * 1000) : null,
+        });
+      }
+    }
+
+    const traccarDrift = drift.filter(item => item.fixable && item.source === 'traccar');
+    const limitFields = ['deviceLimit', 'subscriptionPlan', ...ENTITLEMENT_FIELDS, ...ENTITLEMENT_ATTRIBUTES];
+    const limitDrift = traccarDrift.find(item => limitFields.includes(item.field));
+    if (limitDrift) {
+      await traccarClient.updateUserLimits(userId, ended ? 0 : plan.deviceLimit, {
+        ...(plan && !ended ? { subscriptionPlan: plan.id } : {}),
+        subscriptionStatus: subscription.status,
+      }, ended ? NO_PLAN_ENTITLEMENTS : plan.entitlements);
+    }
+
+    const disabledDrift = traccarDrift.find(item => item.field === 'disabled');
+    if (disabledDrift) {
+      await traccarClient.setUserStatus(userId, disabledDrift.expected);
+    }
+
+    await subscriptionService.addSubscriptionHistory(
+      userId,
+      'reconciliation_fix',
+      `Reconciled ${drift.filter(item => item.fixable).length} discrepancy(ies) with Stripe subscription ${subscription.id}`,
+      {
+        stripe_subscription_id: subscription.id,
+        drift: drift
+          .filter(item => item.fixable)
+          .map(({ source, field, expected, actual }) => ({ source, field, expected, actual })),
+      }
+    );
+
+    logger.info(`Repaired drift for user ${userId} (${subscription.id})`);
+    return true;
+  }
+}
+
+// Export singleton instance
+export default new ReconciliationService();
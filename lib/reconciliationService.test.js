@@ -0,0 +1,70 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import traccarClient from './traccarClient.js';
+import overrideService from './overrideService.js';
+import subscriptionService from './subscriptionService.js';
+import reconciliationService from './reconciliationService.js';
+
+const user = { id: 1, attributes: {} };
+
+describe('reconciliationService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('getExpectedDisabled', () => {
+    const expected = (status, row = null, account = user) => reconciliationService.getExpectedDisabled(status, row, account);
+
+    it('disables ended subscriptions and enables live ones', () => {
+      assert.equal(expected('canceled'), true);
+      assert.equal(expected('incomplete_expired'), true);
+      assert.equal(expected('active'), false);
+      assert.equal(expected('trialing'), false);
+    });
+
+    it('keeps an account under dispute disabled', () => {
+      assert.equal(expected('active', null, { id: 1, attributes: { disputeStatus: 'under_review' } }), true);
+    });
+
+    it('follows the dunning stage of a past-due subscription', () => {
+      assert.equal(expected('past_due', { dunning_stage: 'disabled' }), true);
+      assert.equal(expected('past_due', { dunning_stage: 'warning' }), false);
+      assert.equal(expected('past_due', { dunning_stage: null }), null);
+    });
+  });
+
+  describe('repair', () => {
+    const subscription = { id: 'sub_1', customer: 'cus_1', status: 'active', items: { data: [{ price: { id: 'price_basic' } }] } };
+    const drift = [{ userId: 1, source: 'traccar', field: 'disabled', expected: false, actual: true, fixable: true }];
+    let setUserStatus;
+    let addHistory;
+
+    beforeEach(() => {
+      mock.method(overrideService, 'resolvePlan', async () => ({ id: 'basic' }));
+      mock.method(overrideService, 'getEffectivePlan', async (plan) => plan);
+      setUserStatus = mock.method(traccarClient, 'setUserStatus', async () => {});
+      addHistory = mock.method(subscriptionService, 'addSubscriptionHistory', async () => {});
+    });
+
+    it('repairs the Traccar account from Stripe', async () => {
+      mock.method(subscriptionService, 'getSubscriptionByUserId', async () => ({ stripe_subscription_id: 'sub_1', status: 'active' }));
+
+      assert.equal(await reconciliationService.repair(subscription, drift), true);
+      assert.deepEqual(setUserStatus.mock.calls[0].arguments, [1, false]);
+      assert.equal(addHistory.mock.calls[0].arguments[1], 'reconciliation_fix');
+    });
+
+    it('skips a subscription the user is not on', async () => {
+      mock.method(subscriptionService, 'getSubscriptionByUserId', async () => ({ stripe_subscription_id: 'sub_2', status: 'active' }));
+
+      assert.equal(await reconciliationService.repair(subscription, drift), false);
+      assert.equal(setUserStatus.mock.callCount(), 0);
+      assert.equal(addHistory.mock.callCount(), 0);
+    });
+
+    it('repairs from a new subscription once the old one has ended', async () => {
+      mock.method(subscriptionService, 'getSubscriptionByUserId', async () => ({ stripe_subscription_id: 'sub_0', status: 'canceled' }));
+
+      assert.equal(await reconciliationService.repair(subscription, drift), true);
+      assert.equal(setUserStatus.mock.callCount(), 1);
+    });
+  });
+});
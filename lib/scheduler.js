@@ -0,0 +1,107 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Job Scheduler
+ * Runs background jobs (sweeps, syncs) on fixed intervals.
+ * A job never overlaps with itself; failures are logged and retried on the next run.
+ */
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Register a job. Jobs registered after start() begin immediately.
+   */
+  register(name, intervalMs, fn) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    const job = { name, intervalMs, fn, timer: null, currentRun: null };
+    this.jobs.set(name, job);
+
+    if (this.started) {
+      this.schedule(job);
+    }
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    this.started = true;
+    for (const job of this.jobs.values()) {
+      this.schedule(job);
+    }
+    logger.info(`Scheduler started with ${this.jobs.size} job(s)`);
+  }
+
+  /**
+   * Stop all jobs and wait for running ones to finish
+   */
+  async stop() {
+    this.started = false;
+
+    const running = [];
+    for (const job of this.jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+      if (job.currentRun) {
+        running.push(job.currentRun);
+      }
+    }
+
+    await Promise.allSettled(running);
+    logger.info('Scheduler stopped');
+  }
+
+  /**
+   * Run a job now, outside its schedule. Resolves with the job's result.
+   */
+  async runNow(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.currentRun) {
+      return job.currentRun;
+    }
+
+    return this.run(job);
+  }
+
+  schedule(job) {
+    job.timer = setTimeout(async () => {
+      await this.run(job).catch(() => {});
+      if (this.started) {
+        this.schedule(job);
+      }
+    }, job.intervalMs);
+  }
+
+  async run(job) {
+    const startedAt = Date.now();
+    job.currentRun = Promise.resolve().then(() => job.fn());
+
+    try {
+      const result = await job.currentRun;
+      logger.debug(`Job ${job.name} finished in ${Date.now() - startedAt}ms`);
+      return result;
+    } catch (error) {
+      logger.error(`Job ${job.name} failed: ${error.message}`);
+      throw error;
+    } finally {
+      job.currentRun = null;
+    }
+  }
+}
+
+// Export singleton instance
+export default new Scheduler();
@@ -0,0 +1,222 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import { BILLING_INTERVALS, SUPPORTED_CURRENCIES, getPriceEnvName, isMeteredPlan } from '../config/plans.js';
+import planCatalog from './planCatalog.js';
+import logger from '../utils/logger.js';
+
+const apiBase = config.stripe.apiBase && new URL(config.stripe.apiBase);
+const stripe = new Stripe(config.stripe.secretKey, apiBase ? {
+  host: apiBase.hostname,
+  port: apiBase.port,
+  protocol: apiBase.protocol.replace(':', ''),
+} : {});
+
+/**
+ * Lookup key that identifies the Stripe price for a plan's interval and currency
+ */
+export const getLookupKey = (planId, interval, currency) => `traczi_${planId}_${interval}_${currency}`.toLowerCase();
+
+const formatPrice = (price) => `${price.unit_amount / 100} ${price.currency.toUpperCase()}/${price.recurring.interval}`;
+
+/**
+ * Stripe Catalog Sync
+ * Brings Stripe products and prices in line with the plan catalog: one product per plan
+ * (found by its planId metadata) and one active price per interval and currency (found
+ * by lookup key). Missing ones are created, prices whose amount no longer matches are
+ * archived, and the resulting price IDs are saved back to tc_plan_prices.
+ * Re-running it with nothing changed makes no changes.
+ */
+class StripeCatalogSync {
+  /**
+   * Sync every plan in the catalog, archived ones included.
+   * With dryRun the report lists the changes without making them.
+   */
+  async run({ dryRun = false } = {}) {
+    const catalog = await planCatalog.refresh();
+    const report = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      dryRun,
+      source: catalog.source,
+      plans: 0,
+      changes: [],
+      env: {},
+      errors: [],
+    };
+
+    logger.info(`Starting Stripe catalog sync${dryRun ? ' (dry run)' : ''}`);
+
+    const products = await this.listProducts();
+
+    for (const plan of planCatalog.getAllPlans({ includeArchived: true })) {
+      report.plans++;
+
+      try {
+        const changes = [];
+        const product = await this.syncProduct(plan, products.get(plan.id), changes, dryRun);
+        const priceIds = await this.syncPrices(plan, product, changes, dryRun);
+        await this.savePriceIds(plan, priceIds, report, changes, dryRun);
+        report.changes.push(...changes.map(change => ({ planId: plan.id, ...change })));
+      } catch (error) {
+        logger.error(`Stripe catalog sync failed for plan ${plan.id}:`, error);
+        report.errors.push({ planId: plan.id, error: error.message });
+      }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    logger.info(`Stripe catalog sync ${dryRun ? 'found' : 'made'} ${report.changes.length} change(s) for ${report.plans} plan(s)`);
+    return report;
+  }
+
+  /**
+   * Stripe products by their planId metadata, preferring active ones
+   */
+  async listProducts() {
+    const products = new Map();
+    for await (const product of stripe.products.list({ limit: 100 })) {
+      const planId = product.metadata?.planId;
+      if (planId && (!products.has(planId) || (product.active && !products.get(planId).active))) {
+        products.set(planId, product);
+      }
+    }
+    return products;
+  }
+
+  /**
+   * Create the plan's product, or update its name, description, device limit and active flag
+   */
+  async syncProduct(plan, product, changes, dryRun) {
+    const fields = {
+      name: plan.name,
+      description: plan.description || undefined,
+      active: plan.active,
+      metadata: { planId: plan.id, deviceLimit: String(plan.deviceLimit) },
+    };
+
+    if (!product) {
+      changes.push({ action: 'create_product', detail: plan.name });
+      return dryRun ? null : stripe.products.create(fields);
+    }
+
+    const changed = ['name', 'description', 'active'].filter(field => fields[field] !== undefined && product[field] !== fields[field]);
+    if (product.metadata?.deviceLimit !== fields.metadata.deviceLimit) {
+      changed.push('deviceLimit');
+    }
+    if (changed.length === 0) {
+      return product;
+    }
+
+    changes.push({ action: 'update_product', productId: product.id, detail: changed.join(', ') });
+    return dryRun ? product : stripe.products.update(product.id, fields);
+  }
+
+  /**
+   * Make sure each of the plan's prices has exactly one active Stripe price with its amount,
+   * and archive the rest. Returns the price ID per interval and currency.
+   */
+  async syncPrices(plan, product, changes, dryRun) {
+    const existing = [];
+    if (product) {
+      for await (const price of stripe.prices.list({ product: product.id, type: 'recurring', limit: 100 })) {
+        existing.push(price);
+      }
+    }
+
+    // Metered plans bill summed usage records instead of a licensed quantity
+    const usageType = isMeteredPlan(plan) ? 'metered' : 'licensed';
+    const priceIds = {};
+    for (const interval of BILLING_INTERVALS) {
+      for (const currency of SUPPORTED_CURRENCIES) {
+        const amount = plan.intervals[interval]?.[currency];
+        const lookupKey = getLookupKey(plan.id, interval, currency);
+        const active = existing.filter(price => price.active
+          && price.currency === currency.toLowerCase()
+          && price.recurring?.interval === interval
+          && price.recurring.interval_count === 1);
+
+        let current = null;
+        // Intervals and currencies without an amount get no price, and any they had is archived
+        if (amount != null) {
+          const unitAmount = Math.round(amount * 100); // Convert to the smallest currency unit
+          // Prices of older plan versions are never reused, even at the same amount
+          const matching = active.filter(price => price.unit_amount === unitAmount
+            && (price.recurring.usage_type || 'licensed') === usageType
+            && (Number(price.metadata?.planVersion) || 1) === plan.version);
+          current = matching.find(price => price.lookup_key === lookupKey)
+            || matching.find(price => price.id === planCatalog.getPriceId(plan, interval, currency))
+            || matching[0]
+            || null;
+
+          if (!current) {
+            changes.push({ action: 'create_price', interval, currency, detail: `${amount} ${currency}/${interval} (${lookupKey})` });
+            if (!dryRun) {
+              current = await stripe.prices.create({
+                product: product.id,
+                unit_amount: unitAmount,
+                currency: currency.toLowerCase(),
+                recurring: usageType === 'metered'
+                  ? { interval, usage_type: 'metered', aggregate_usage: 'sum' }
+                  : { interval },
+                lookup_key: lookupKey,
+                transfer_lookup_key: true,
+                metadata: { planId: plan.id, planVersion: String(plan.version), interval, deviceLimit: String(plan.deviceLimit) },
+              });
+            }
+          } else if (current.lookup_key !== lookupKey) {
+            changes.push({ action: 'tag_price', interval, currency, priceId: current.id, detail: lookupKey });
+            if (!dryRun) {
+              await stripe.prices.update(current.id, { lookup_key: lookupKey, transfer_lookup_key: true });
+            }
+          }
+        }
+
+        // Subscriptions already on an archived price keep it; it just can't be used for new ones
+        for (const stale of active.filter(price => price !== current)) {
+          changes.push({ action: 'archive_price', interval, currency, priceId: stale.id, detail: formatPrice(stale) });
+          if (!dryRun) {
+            await stripe.prices.update(stale.id, { active: false });
+          }
+        }
+
+        if (current) {
+          priceIds[interval] = { ...priceIds[interval], [currency]: current.id };
+        }
+      }
+    }
+    return priceIds;
+  }
+
+  /**
+   * Save price IDs that tc_plan_prices doesn't have yet. Without the database, list the
+   * STRIPE_PRICE_* variables to set instead.
+   */
+  async savePriceIds(plan, priceIds, report, changes, dryRun) {
+    const fromDatabase = report.source === 'database';
+    const missing = {};
+
+    for (const [interval, currencies] of Object.entries(priceIds)) {
+      for (const [currency, priceId] of Object.entries(currencies)) {
+        const saved = fromDatabase
+          ? planCatalog.getSavedPriceId(plan, interval, currency)
+          : planCatalog.getPriceId(plan, interval, currency);
+        if (saved === priceId) {
+          continue;
+        }
+
+        missing[interval] = { ...missing[interval], [currency]: priceId };
+        if (fromDatabase) {
+          changes.push({ action: 'save_price_id', interval, currency, priceId, detail: saved ? `replaces ${saved}` : 'tc_plan_prices' });
+        } else {
+          report.env[getPriceEnvName(plan.id, interval, currency)] = priceId;
+        }
+      }
+    }
+
+    if (fromDatabase && !dryRun && Object.keys(missing).length > 0) {
+      await planCatalog.updatePlan(plan.id, { stripePriceIds: missing });
+    }
+  }
+}
+
+// Export singleton instance
+export default new StripeCatalogSync();
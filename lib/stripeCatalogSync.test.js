@@ -0,0 +1,160 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// A minimal Stripe stand-in for the price endpoints the sync uses, reached through STRIPE_API_BASE
+let prices = [];
+let requests = [];
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = Object.fromEntries(new URLSearchParams(req.method === 'GET' ? url.search : body));
+    requests.push({ method: req.method, path: url.pathname, params });
+
+    let result;
+    if (req.method === 'GET' && url.pathname === '/v1/prices') {
+      result = { object: 'list', url: '/v1/prices', has_more: false, data: prices.filter(price => price.product === params.product) };
+    } else if (req.method === 'POST' && url.pathname === '/v1/prices') {
+      result = {
+        id: `price_new${prices.length}`,
+        object: 'price',
+        active: true,
+        product: params.product,
+        currency: params.currency,
+        unit_amount: Number(params.unit_amount),
+        lookup_key: params.lookup_key,
+        recurring: { interval: params['recurring[interval]'], interval_count: 1, usage_type: params['recurring[usage_type]'] || 'licensed' },
+        metadata: { planVersion: params['metadata[planVersion]'] },
+      };
+      prices.push(result);
+    } else if (req.method === 'POST' && url.pathname.startsWith('/v1/prices/')) {
+      result = prices.find(price => price.id === url.pathname.split('/').pop());
+      if (params.active) {
+        result.active = params.active === 'true';
+      }
+      if (params.lookup_key) {
+        result.lookup_key = params.lookup_key;
+      }
+    }
+
+    res.writeHead(result ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result || { error: { type: 'invalid_request_error', message: 'Not found' } }));
+  });
+});
+
+const price = (id, fields = {}) => ({
+  id,
+  object: 'price',
+  active: true,
+  product: 'prod_basic',
+  currency: 'usd',
+  unit_amount: 2000,
+  lookup_key: null,
+  recurring: { interval: 'month', interval_count: 1, usage_type: 'licensed' },
+  metadata: {},
+  ...fields,
+});
+
+const plan = (fields = {}) => ({
+  id: 'basic',
+  billingMode: 'tier',
+  deviceLimit: 30,
+  version: 1,
+  intervals: { month: { USD: 20 } },
+  stripePrices: {},
+  ...fields,
+});
+
+const writes = () => requests.filter(request => request.method === 'POST');
+
+let stripeCatalogSync;
+
+describe('stripeCatalogSync.syncPrices', () => {
+  before(async () => {
+    await new Promise(resolve => server.listen(0, resolve));
+    process.env.STRIPE_API_BASE = `http://localhost:${server.address().port}`;
+    process.env.STRIPE_SECRET_KEY ||= 'sk_test_catalog_sync';
+    ({ default: stripeCatalogSync } = await import('./stripeCatalogSync.js'));
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    prices = [];
+    requests = [];
+  });
+
+  it('creates a missing price and skips intervals without an amount', async () => {
+    const changes = [];
+    const priceIds = await stripeCatalogSync.syncPrices(
+      plan({ intervals: { month: { USD: 20, EUR: null }, year: { USD: null } } }),
+      { id: 'prod_basic' },
+      changes,
+      false
+    );
+
+    const created = writes();
+    assert.equal(created.length, 1);
+    assert.equal(created[0].path, '/v1/prices');
+    assert.equal(created[0].params.unit_amount, '2000');
+    assert.equal(created[0].params.currency, 'usd');
+    assert.equal(created[0].params.lookup_key, 'traczi_basic_month_usd');
+    assert.equal(created[0].params['metadata[planVersion]'], '1');
+    assert.deepEqual(priceIds, { month: { USD: 'price_new0' } });
+    assert.deepEqual(changes.map(change => change.action), ['create_price']);
+  });
+
+  it('keeps the matching price and archives the rest', async () => {
+    prices = [
+      price('price_old', { unit_amount: 1500, lookup_key: 'traczi_basic_month_usd' }),
+      price('price_current'),
+      price('price_eur', { currency: 'eur', unit_amount: 1900 }),
+    ];
+
+    const priceIds = await stripeCatalogSync.syncPrices(
+      plan({ intervals: { month: { USD: 20, EUR: null } } }),
+      { id: 'prod_basic' },
+      [],
+      false
+    );
+
+    assert.deepEqual(priceIds, { month: { USD: 'price_current' } });
+    assert.deepEqual(
+      writes().map(({ path, params }) => [path, params]),
+      [
+        ['/v1/prices/price_current', { lookup_key: 'traczi_basic_month_usd', transfer_lookup_key: 'true' }],
+        ['/v1/prices/price_old', { active: 'false' }],
+        ['/v1/prices/price_eur', { active: 'false' }],
+      ]
+    );
+  });
+
+  it('does not reuse a price of an older plan version at the same amount', async () => {
+    prices = [price('price_v1', { lookup_key: 'traczi_basic_month_usd', metadata: { planVersion: '1' } })];
+
+    const priceIds = await stripeCatalogSync.syncPrices(plan({ version: 2 }), { id: 'prod_basic' }, [], false);
+
+    const [create, archive] = writes();
+    assert.equal(create.path, '/v1/prices');
+    assert.equal(create.params['metadata[planVersion]'], '2');
+    assert.deepEqual([archive.path, archive.params], ['/v1/prices/price_v1', { active: 'false' }]);
+    assert.deepEqual(priceIds, { month: { USD: 'price_new1' } });
+  });
+
+  it('only reports changes in a dry run', async () => {
+    prices = [price('price_old', { unit_amount: 1500 })];
+    const changes = [];
+
+    const priceIds = await stripeCatalogSync.syncPrices(plan(), { id: 'prod_basic' }, changes, true);
+
+    assert.equal(writes().length, 0);
+    assert.deepEqual(changes.map(change => [change.action, change.priceId]), [
+      ['create_price', undefined],
+      ['archive_price', 'price_old'],
+    ]);
+    assert.deepEqual(priceIds, {});
+  });
+});
@@ -24,22 +24,85 @@ class SubscriptionService {
   }
 
   /**
-   * Create or update user subscription
+   * Get the subscription row linked to a Stripe customer
+   */
+  async getSubscriptionByCustomerId(customerId) {
+    try {
+      const sql = `
+        SELECT * FROM tc_user_subscriptions
+        WHERE stripe_customer_id = ?
+        ORDER BY updated_at DESC
+        LIMIT 1
+      `;
+      return await database.queryOne(sql, [customerId]);
+    } catch (error) {
+      logger.error(`Failed to get subscription for customer ${customerId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the subscription row for a Stripe subscription ID
+   */
+  async getSubscriptionByStripeId(stripeSubscriptionId) {
+    try {
+      return await database.queryOne(
+        'SELECT * FROM tc_user_subscriptions WHERE stripe_subscription_id = ? LIMIT 1',
+        [stripeSubscriptionId]
+      );
+    } catch (error) {
+      logger.error(`Failed to get subscription ${stripeSubscriptionId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the subscription row for a user
+   */
+  async getSubscriptionByUserId(userId) {
+    try {
+      return await database.queryOne(
+        'SELECT * FROM tc_user_subscriptions WHERE userid = ? LIMIT 1',
+        [userId]
+      );
+    } catch (error) {
+      logger.error(`Failed to get subscription row for user ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update user subscription.
+   * A customer override's device limit is stored instead of the plan's.
+   * When subscriptionData.event_created (Stripe event `created`) is older than the
+   * last event applied to the row, nothing is written and null is returned.
    */
   async upsertSubscription(userId, subscriptionData) {
     const connection = await database.getConnection();
+    const eventCreated = subscriptionData.event_created || null;
+    // Coupon columns are only written by callers that know the subscription's discount
+    const hasDiscount = 'coupon_id' in subscriptionData;
+    const couponId = subscriptionData.coupon_id || null;
+    const promotionCodeId = subscriptionData.promotion_code_id || null;
 
     try {
       await connection.beginTransaction();
 
-      // Check if subscription exists
+      // Check if subscription exists (locked so concurrent events are applied in turn)
       const [existing] = await connection.execute(
-        'SELECT id FROM tc_user_subscriptions WHERE userid = ? LIMIT 1',
+        'SELECT id, last_stripe_event_created, coupon_id FROM tc_user_subscriptions WHERE userid = ? LIMIT 1 FOR UPDATE',
         [userId]
       );
 
       let subscriptionId;
 
+      if (existing.length > 0 && eventCreated
+        && existing[0].last_stripe_event_created > eventCreated) {
+        await connection.rollback();
+        logger.warn(`Ignoring stale subscription data for user ${userId} (event ${eventCreated} < ${existing[0].last_stripe_event_created})`);
+        return null;
+      }
+
       if (existing.length > 0) {
         // Update existing subscription
         subscriptionId = existing[0].id;
@@ -47,27 +110,41 @@ class SubscriptionService {
           UPDATE tc_user_subscriptions
           SET
             plan_id = ?,
+            plan_version = COALESCE(?, plan_version),
+            billing_interval = COALESCE(?, billing_interval),
+            currency = COALESCE(?, currency),
+            unit_amount = COALESCE(?, unit_amount),
+            quantity = COALESCE(?, quantity),
             stripe_customer_id = ?,
             stripe_subscription_id = ?,
             stripe_payment_method_id = ?,
             status = ?,
-            device_limit = ?,
+            device_limit = COALESCE((SELECT o.device_limit FROM tc_customer_overrides o WHERE o.userid = ?), ?),
             current_period_start = ?,
             current_period_end = ?,
             trial_start = ?,
             trial_end = ?,
             canceled_at = ?,
             cancel_at_period_end = ?,
+            coupon_id = CASE WHEN ? THEN ? ELSE coupon_id END,
+            promotion_code_id = CASE WHEN ? THEN ? ELSE promotion_code_id END,
+            last_stripe_event_created = COALESCE(?, last_stripe_event_created),
             updated_at = CURRENT_TIMESTAMP
           WHERE id = ?
         `;
 
         await connection.execute(sql, [
           subscriptionData.plan_id,
+          subscriptionData.plan_version ?? null,
+          subscriptionData.billing_interval || null,
+          subscriptionData.currency || null,
+          subscriptionData.unit_amount ?? null,
+          subscriptionData.quantity ?? null,
           subscriptionData.stripe_customer_id,
           subscriptionData.stripe_subscription_id,
           subscriptionData.stripe_payment_method_id || null,
           subscriptionData.status,
+          userId,
           subscriptionData.device_limit,
           subscriptionData.current_period_start || null,
           subscriptionData.current_period_end || null,
@@ -75,6 +152,11 @@ class SubscriptionService {
           subscriptionData.trial_end || null,
           subscriptionData.canceled_at || null,
           subscriptionData.cancel_at_period_end || false,
+          hasDiscount,
+          couponId,
+          hasDiscount,
+          promotionCodeId,
+          eventCreated,
           subscriptionId,
         ]);
 
@@ -83,26 +165,41 @@ class SubscriptionService {
         // Insert new subscription
         const sql = `
           INSERT INTO tc_user_subscriptions (
-            userid, plan_id, stripe_customer_id, stripe_subscription_id,
+            userid, plan_id, plan_version, billing_interval, currency, unit_amount, quantity,
+            stripe_customer_id, stripe_subscription_id,
             stripe_payment_method_id, status, device_limit,
             current_period_start, current_period_end,
-            trial_start, trial_end, cancel_at_period_end
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            trial_start, trial_end, cancel_at_period_end, coupon_id,
+            promotion_code_id, last_stripe_event_created
+          ) VALUES (
+            ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+            COALESCE((SELECT o.device_limit FROM tc_customer_overrides o WHERE o.userid = ?), ?),
+            ?, ?, ?, ?, ?, ?, ?, ?
+          )
         `;
 
         const [result] = await connection.execute(sql, [
           userId,
           subscriptionData.plan_id,
+          subscriptionData.plan_version ?? 1,
+          subscriptionData.billing_interval || 'month',
+          subscriptionData.currency || 'USD',
+          subscriptionData.unit_amount ?? null,
+          subscriptionData.quantity ?? 1,
           subscriptionData.stripe_customer_id,
           subscriptionData.stripe_subscription_id,
           subscriptionData.stripe_payment_method_id || null,
           subscriptionData.status,
+          userId,
           subscriptionData.device_limit,
           subscriptionData.current_period_start || null,
           subscriptionData.current_period_end || null,
           subscriptionData.trial_start || null,
           subscriptionData.trial_end || null,
           subscriptionData.cancel_at_period_end || false,
+          couponId,
+          promotionCodeId,
+          eventCreated,
         ]);
 
         subscriptionId = result.insertId;
@@ -113,6 +210,17 @@ class SubscriptionService {
       await connection.execute('CALL sp_sync_subscription_to_user(?)', [userId]);
 
       await connection.commit();
+
+      const previousCouponId = existing[0]?.coupon_id || null;
+      if (hasDiscount && couponId !== previousCouponId) {
+        await this.addSubscriptionHistory(
+          userId,
+          couponId ? 'coupon_applied' : 'coupon_removed',
+          couponId ? `Coupon ${couponId} applied` : `Coupon ${previousCouponId} removed`,
+          { coupon_id: couponId, promotion_code_id: promotionCodeId, previous_coupon_id: previousCouponId }
+        );
+      }
+
       return subscriptionId;
     } catch (error) {
       await connection.rollback();
@@ -124,26 +232,30 @@ class SubscriptionService {
   }
 
   /**
-   * Cancel subscription at period end
+   * Cancel subscription at period end, or undo a pending cancellation.
+   * details (e.g. reason, feedback) are stored in the history metadata.
    */
-  async cancelSubscription(userId, cancelAtPeriodEnd = true) {
+  async cancelSubscription(userId, cancelAtPeriodEnd = true, details = {}) {
     try {
       const sql = `
         UPDATE tc_user_subscriptions
         SET
           cancel_at_period_end = ?,
-          canceled_at = CASE WHEN ? = TRUE THEN NOW() ELSE canceled_at END,
+          canceled_at = CASE WHEN ? = TRUE THEN NOW() ELSE NULL END,
           updated_at = CURRENT_TIMESTAMP
         WHERE userid = ?
-          AND status IN ('active', 'trialing')
+          AND status IN ('active', 'trialing', 'past_due')
       `;
 
       await database.query(sql, [cancelAtPeriodEnd, cancelAtPeriodEnd, userId]);
       logger.info(`Set cancel_at_period_end=${cancelAtPeriodEnd} for user ${userId}`);
 
       // Add history entry
-      await this.addSubscriptionHistory(userId, 'subscription_canceled',
-        cancelAtPeriodEnd ? 'Subscription will cancel at period end' : 'Subscription cancellation undone'
+      await this.addSubscriptionHistory(
+        userId,
+        cancelAtPeriodEnd ? 'subscription_canceled' : 'subscription_resumed',
+        cancelAtPeriodEnd ? 'Subscription will cancel at period end' : 'Subscription cancellation undone',
+        Object.keys(details).length > 0 ? details : null
       );
     } catch (error) {
       logger.error(`Failed to cancel subscription for user ${userId}`, error);
@@ -153,20 +265,22 @@ class SubscriptionService {
 
   /**
    * End subscription immediately
+   * eventCreated is the Stripe event `created` time, so older events arriving later are ignored
    */
-  async endSubscription(userId) {
+  async endSubscription(userId, eventCreated = null) {
     try {
       const sql = `
         UPDATE tc_user_subscriptions
         SET
           status = 'canceled',
           ended_at = NOW(),
+          last_stripe_event_created = GREATEST(COALESCE(last_stripe_event_created, 0), COALESCE(?, 0)),
           updated_at = CURRENT_TIMESTAMP
         WHERE userid = ?
           AND status != 'canceled'
       `;
 
-      await database.query(sql, [userId]);
+      await database.query(sql, [eventCreated, userId]);
       logger.info(`Ended subscription for user ${userId}`);
 
       // Sync to tc_users (will set devicelimit to -1 or 0)
@@ -181,7 +295,7 @@ class SubscriptionService {
   }
 
   /**
-   * Add subscription history entry
+   * Add subscription history entry (also for users without a subscription yet)
    */
   async addSubscriptionHistory(userId, eventType, description, metadata = null) {
     try {
@@ -190,20 +304,21 @@ class SubscriptionService {
           userid, subscription_id, plan_id, status, event_type, description, metadata
         )
         SELECT
-          ?,
+          u.id,
           s.id,
           s.plan_id,
           s.status,
           ?,
           ?,
           ?
-        FROM tc_user_subscriptions s
-        WHERE s.userid = ?
+        FROM tc_users u
+        LEFT JOIN tc_user_subscriptions s ON s.userid = u.id
+        WHERE u.id = ?
         LIMIT 1
       `;
 
       const metadataJson = metadata ? JSON.stringify(metadata) : null;
-      await database.query(sql, [userId, eventType, description, metadataJson, userId]);
+      await database.query(sql, [eventType, description, metadataJson, userId]);
 
       logger.debug(`Added subscription history for user ${userId}: ${eventType}`);
     } catch (error) {
@@ -213,57 +328,204 @@ class SubscriptionService {
   }
 
   /**
-   * Log Stripe webhook event
+   * Queue a Stripe event for the webhook worker.
+   * Returns false if the event was already queued (a Stripe retry).
+   * Throws if the database is unavailable.
    */
-  async logStripeEvent(eventData) {
-    try {
-      const sql = `
-        INSERT INTO tc_stripe_events (
-          stripe_event_id, event_type, stripe_customer_id, stripe_subscription_id,
-          userid, payload, processed, error_message
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-          processed = VALUES(processed),
-          error_message = VALUES(error_message),
-          processed_at = CASE WHEN VALUES(processed) = TRUE THEN NOW() ELSE processed_at END
-      `;
+  async enqueueStripeEvent(eventData) {
+    const result = await database.query(`
+      INSERT IGNORE INTO tc_stripe_events (
+        stripe_event_id, event_type, stripe_created, stripe_customer_id, stripe_subscription_id,
+        userid, payload, status, processed
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', FALSE)
+    `, [
+      eventData.stripe_event_id,
+      eventData.event_type,
+      eventData.stripe_created || null,
+      eventData.stripe_customer_id || null,
+      eventData.stripe_subscription_id || null,
+      eventData.userid || null,
+      JSON.stringify(eventData.payload || {}),
+    ]);
+
+    return result.affectedRows === 1;
+  }
 
-      await database.query(sql, [
-        eventData.stripe_event_id,
-        eventData.event_type,
-        eventData.stripe_customer_id || null,
-        eventData.stripe_subscription_id || null,
-        eventData.userid || null,
-        JSON.stringify(eventData.payload || {}),
-        eventData.processed || false,
-        eventData.error_message || null,
-      ]);
-
-      logger.debug(`Logged Stripe event: ${eventData.stripe_event_id}`);
-    } catch (error) {
-      logger.error('Failed to log Stripe event', error);
-      // Don't throw - event logging is non-critical
+  /**
+   * Lock the next due event for processing and return it, or null if the queue is empty.
+   * Events whose lock has outlived lockTimeoutSeconds (crashed worker) are picked up again.
+   */
+  async claimNextStripeEvent(lockToken, lockTimeoutSeconds) {
+    // Single-statement claim: only one worker can win a given row
+    const result = await database.query(`
+      UPDATE tc_stripe_events
+      SET
+        status = 'processing',
+        locked_by = ?,
+        locked_at = NOW(),
+        attempts = attempts + 1,
+        last_attempt_at = NOW()
+      WHERE (status IN ('pending', 'failed') AND (next_attempt_at IS NULL OR next_attempt_at <= NOW()))
+        OR (status = 'processing' AND locked_at < DATE_SUB(NOW(), INTERVAL ? SECOND))
+      ORDER BY id
+      LIMIT 1
+    `, [lockToken, lockTimeoutSeconds]);
+
+    if (result.affectedRows === 0) {
+      return null;
     }
+
+    return database.queryOne(
+      "SELECT * FROM tc_stripe_events WHERE locked_by = ? AND status = 'processing' LIMIT 1",
+      [lockToken]
+    );
   }
 
   /**
-   * Mark Stripe event as processed
+   * Lock a specific event for a manual replay.
+   * Processed or stale events and events held by a live lock cannot be claimed.
    */
-  async markEventProcessed(stripeEventId, success = true, errorMessage = null) {
-    try {
-      const sql = `
-        UPDATE tc_stripe_events
-        SET
-          processed = ?,
-          error_message = ?,
-          processed_at = NOW()
-        WHERE stripe_event_id = ?
-      `;
+  async claimStripeEvent(stripeEventId, lockToken, lockTimeoutSeconds) {
+    const result = await database.query(`
+      UPDATE tc_stripe_events
+      SET
+        status = 'processing',
+        locked_by = ?,
+        locked_at = NOW(),
+        attempts = attempts + 1,
+        last_attempt_at = NOW()
+      WHERE stripe_event_id = ?
+        AND status NOT IN ('processed', 'stale')
+        AND (status != 'processing' OR locked_at < DATE_SUB(NOW(), INTERVAL ? SECOND))
+    `, [lockToken, stripeEventId, lockTimeoutSeconds]);
+
+    if (result.affectedRows === 0) {
+      return null;
+    }
 
-      await database.query(sql, [success, errorMessage, stripeEventId]);
-    } catch (error) {
-      logger.error('Failed to mark event as processed', error);
+    return database.queryOne(
+      'SELECT * FROM tc_stripe_events WHERE stripe_event_id = ? AND locked_by = ?',
+      [stripeEventId, lockToken]
+    );
+  }
+
+  /**
+   * Get a stored Stripe event
+   */
+  async getStripeEvent(stripeEventId) {
+    return database.queryOne(
+      'SELECT * FROM tc_stripe_events WHERE stripe_event_id = ?',
+      [stripeEventId]
+    );
+  }
+
+  /**
+   * List stored Stripe events.
+   * statuses may include 'stuck': pending or processing for longer than stuckAfterSeconds.
+   */
+  async listStripeEvents({ statuses = [], type, customerId, since, until, stuckAfterSeconds, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    const statusConditions = [];
+    const plainStatuses = statuses.filter(status => status !== 'stuck');
+    if (plainStatuses.length > 0) {
+      statusConditions.push(`status IN (${plainStatuses.map(() => '?').join(', ')})`);
+      params.push(...plainStatuses);
+    }
+    if (statuses.includes('stuck')) {
+      statusConditions.push(`(
+        (status = 'pending' AND created_at < DATE_SUB(NOW(), INTERVAL ? SECOND))
+        OR (status = 'processing' AND locked_at < DATE_SUB(NOW(), INTERVAL ? SECOND))
+      )`);
+      params.push(stuckAfterSeconds, stuckAfterSeconds);
+    }
+    if (statusConditions.length > 0) {
+      conditions.push(`(${statusConditions.join(' OR ')})`);
+    }
+
+    if (type) {
+      conditions.push('event_type = ?');
+      params.push(type);
+    }
+    if (customerId) {
+      conditions.push('stripe_customer_id = ?');
+      params.push(customerId);
+    }
+    if (since) {
+      conditions.push('created_at >= ?');
+      params.push(since);
     }
+    if (until) {
+      conditions.push('created_at < ?');
+      params.push(until);
+    }
+
+    // LIMIT cannot be a placeholder in prepared statements
+    const sql = `
+      SELECT
+        stripe_event_id, event_type, stripe_created, stripe_customer_id, stripe_subscription_id,
+        userid, status, attempts, next_attempt_at, last_attempt_at,
+        error_message, created_at, processed_at
+      FROM tc_stripe_events
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT ${parseInt(limit, 10) || 50}
+    `;
+
+    return database.query(sql, params);
+  }
+
+  /**
+   * Replace the stored payload of a claimed event (after re-fetching it from Stripe)
+   */
+  async updateStripeEventPayload(stripeEventId, lockToken, payload) {
+    await database.query(
+      'UPDATE tc_stripe_events SET payload = ? WHERE stripe_event_id = ? AND locked_by = ?',
+      [JSON.stringify(payload), stripeEventId, lockToken]
+    );
+  }
+
+  /**
+   * Mark a claimed event as done and release its lock.
+   * status is 'processed', or 'stale' when the event was older than data already applied.
+   */
+  async completeStripeEvent(stripeEventId, lockToken, status = 'processed') {
+    await database.query(`
+      UPDATE tc_stripe_events
+      SET
+        status = ?,
+        processed = TRUE,
+        processed_at = NOW(),
+        error_message = NULL,
+        next_attempt_at = NULL,
+        locked_by = NULL,
+        locked_at = NULL
+      WHERE stripe_event_id = ?
+        AND locked_by = ?
+    `, [status, stripeEventId, lockToken]);
+  }
+
+  /**
+   * Record a failed attempt on a claimed event and release its lock.
+   * Schedules a retry after retryDelaySeconds, or dead-letters the event when it is null.
+   */
+  async failStripeEvent(stripeEventId, lockToken, errorMessage, retryDelaySeconds) {
+    const dead = retryDelaySeconds === null;
+
+    await database.query(`
+      UPDATE tc_stripe_events
+      SET
+        status = ?,
+        error_message = ?,
+        next_attempt_at = ${dead ? 'NULL' : 'DATE_ADD(NOW(), INTERVAL ? SECOND)'},
+        locked_by = NULL,
+        locked_at = NULL
+      WHERE stripe_event_id = ?
+        AND locked_by = ?
+    `, dead
+      ? ['dead', errorMessage, stripeEventId, lockToken]
+      : ['failed', errorMessage, retryDelaySeconds, stripeEventId, lockToken]);
   }
 
   /**
@@ -331,13 +593,35 @@ class SubscriptionService {
    */
   async getSubscriptionAnalytics() {
     try {
-      const sql = 'SELECT * FROM v_subscription_analytics ORDER BY monthly_revenue DESC';
+      const sql = 'SELECT * FROM v_subscription_analytics ORDER BY currency, monthly_revenue DESC';
       return await database.query(sql);
     } catch (error) {
       logger.error('Failed to get subscription analytics', error);
       throw error;
     }
   }
+
+  /**
+   * Get active subscriptions and monthly recurring revenue per currency.
+   * Amounts in different currencies are never added together.
+   */
+  async getRevenueByCurrency() {
+    try {
+      const sql = `
+        SELECT
+          currency,
+          SUM(active_subscriptions) as active_subscriptions,
+          SUM(monthly_revenue) as monthly_revenue
+        FROM v_subscription_analytics
+        GROUP BY currency
+        ORDER BY currency
+      `;
+      return await database.query(sql);
+    } catch (error) {
+      logger.error('Failed to get revenue by currency', error);
+      throw error;
+    }
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,108 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import database from './database.js';
+import subscriptionService from './subscriptionService.js';
+
+/**
+ * A connection whose SELECT ... FOR UPDATE finds the given row (or none)
+ */
+const fakeConnection = (existing) => {
+  const statements = [];
+  const connection = {
+    statements,
+    beginTransaction: mock.fn(async () => {}),
+    commit: mock.fn(async () => {}),
+    rollback: mock.fn(async () => {}),
+    release: mock.fn(),
+    execute: mock.fn(async (sql) => {
+      statements.push(sql.trim().split(/\s+/)[0]);
+      if (sql.includes('FOR UPDATE')) {
+        return [existing ? [existing] : []];
+      }
+      return [{ insertId: 42, affectedRows: 1 }];
+    }),
+  };
+  mock.method(database, 'getConnection', async () => connection);
+  return connection;
+};
+
+const subscriptionData = (fields = {}) => ({
+  plan_id: 'basic',
+  stripe_customer_id: 'cus_1',
+  stripe_subscription_id: 'sub_1',
+  status: 'active',
+  device_limit: 30,
+  ...fields,
+});
+
+describe('subscriptionService.upsertSubscription', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('ignores an event older than the last one applied', async () => {
+    const connection = fakeConnection({ id: 7, last_stripe_event_created: 2000, coupon_id: null });
+
+    const result = await subscriptionService.upsertSubscription(1, subscriptionData({ event_created: 1000 }));
+
+    assert.equal(result, null);
+    assert.deepEqual(connection.statements, ['SELECT']);
+    assert.equal(connection.rollback.mock.callCount(), 1);
+    assert.equal(connection.commit.mock.callCount(), 0);
+    assert.equal(connection.release.mock.callCount(), 1);
+  });
+
+  it('applies an event as new as the last one applied', async () => {
+    const connection = fakeConnection({ id: 7, last_stripe_event_created: 2000, coupon_id: null });
+
+    const result = await subscriptionService.upsertSubscription(1, subscriptionData({ event_created: 2000 }));
+
+    assert.equal(result, 7);
+    assert.deepEqual(connection.statements, ['SELECT', 'UPDATE', 'CALL']);
+    assert.equal(connection.commit.mock.callCount(), 1);
+  });
+
+  it('always applies data without an event timestamp', async () => {
+    const connection = fakeConnection({ id: 7, last_stripe_event_created: 2000, coupon_id: null });
+
+    assert.equal(await subscriptionService.upsertSubscription(1, subscriptionData()), 7);
+    assert.deepEqual(connection.statements, ['SELECT', 'UPDATE', 'CALL']);
+  });
+
+  it('records the event timestamp on a new subscription', async () => {
+    const connection = fakeConnection(null);
+
+    const result = await subscriptionService.upsertSubscription(1, subscriptionData({ event_created: 1000 }));
+
+    assert.equal(result, 42);
+    assert.deepEqual(connection.statements, ['SELECT', 'INSERT', 'CALL']);
+    const insertParams = connection.execute.mock.calls[1].arguments[1];
+    assert.equal(insertParams[insertParams.length - 1], 1000);
+  });
+});
+
+describe('subscriptionService.enqueueStripeEvent', () => {
+  afterEach(() => mock.restoreAll());
+
+  const event = {
+    stripe_event_id: 'evt_1',
+    event_type: 'invoice.paid',
+    stripe_created: 1700000000,
+    stripe_customer_id: 'cus_1',
+    payload: { id: 'in_1' },
+  };
+
+  it('queues a new event as pending', async () => {
+    const query = mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+
+    assert.equal(await subscriptionService.enqueueStripeEvent(event), true);
+
+    const [sql, params] = query.mock.calls[0].arguments;
+    assert.match(sql, /INSERT IGNORE INTO tc_stripe_events/);
+    assert.deepEqual(params, ['evt_1', 'invoice.paid', 1700000000, 'cus_1', null, null, '{"id":"in_1"}']);
+  });
+
+  it('reports a redelivered event as already queued', async () => {
+    mock.method(database, 'query', async () => ({ affectedRows: 0 }));
+
+    assert.equal(await subscriptionService.enqueueStripeEvent(event), false);
+  });
+});
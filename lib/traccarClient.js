@@ -1,4 +1,5 @@
 import { config } from '../config/index.js';
+import { compareDunningStages } from '../config/dunning.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -117,6 +118,19 @@ class TraccarClient {
     }
   }
 
+  /**
+   * Get user by attribute value
+   */
+  async getUserByAttribute(key, value) {
+    try {
+      const users = await this.request('/api/users');
+      return users.find(user => user.attributes?.[key] === value);
+    } catch (error) {
+      logger.error(`Failed to get user by attribute ${key}: ${value}`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get user by ID
    */
@@ -130,21 +144,45 @@ class TraccarClient {
   }
 
   /**
-   * Update user device limit and attributes
+   * Traccar user fields and attributes for a plan's entitlements.
+   * The fields are enforced by Traccar; geofenceLimit and reportTypes are attributes
+   * for the web app. A dunning read-only stage keeps the account read-only.
+   */
+  getEntitlementFields(entitlements, user) {
+    const dunningReadonly = compareDunningStages(user?.attributes?.dunningStage || 'none', 'readonly') >= 0;
+
+    return {
+      limitCommands: !entitlements.commands,
+      deviceReadonly: !entitlements.deviceEditing,
+      readonly: Boolean(entitlements.readonly) || dunningReadonly,
+      userLimit: entitlements.subUsers,
+      attributes: {
+        geofenceLimit: entitlements.geofences,
+        reportTypes: entitlements.reports.join(','),
+        'ui.disableReport': entitlements.reports.length === 0,
+      },
+    };
+  }
+
+  /**
+   * Update user device limit and attributes, and the plan's entitlements when given
    */
-  async updateUserLimits(userId, deviceLimit, attributes = {}) {
+  async updateUserLimits(userId, deviceLimit, attributes = {}, entitlements = null) {
     try {
       logger.info(`Updating device limit for user ${userId} to ${deviceLimit}`);
 
       // First, get the current user data
       const user = await this.getUserById(userId);
+      const entitlementFields = entitlements ? this.getEntitlementFields(entitlements, user) : { attributes: {} };
 
-      // Update user with new device limit and attributes
+      // Update user with new device limit, entitlements and attributes
       const updatedUser = {
         ...user,
+        ...entitlementFields,
         deviceLimit,
         attributes: {
           ...user.attributes,
+          ...entitlementFields.attributes,
           ...attributes,
         },
       };
@@ -162,6 +200,14 @@ class TraccarClient {
     }
   }
 
+  /**
+   * Whether a user's account is held disabled while a payment dispute is reviewed.
+   * Nothing but the dispute's outcome may enable such an account.
+   */
+  isUnderDispute(user) {
+    return user?.attributes?.disputeStatus === 'under_review';
+  }
+
   /**
    * Enable or disable user account
    */
@@ -188,6 +234,62 @@ class TraccarClient {
     }
   }
 
+  /**
+   * Set or clear read-only access for a user account
+   */
+  async setUserReadonly(userId, readonly = true) {
+    try {
+      logger.info(`${readonly ? 'Restricting' : 'Restoring'} write access for user ${userId}`);
+
+      const user = await this.getUserById(userId);
+      const updatedUser = {
+        ...user,
+        readonly,
+      };
+
+      await this.request(`/api/users/${userId}`, {
+        method: 'PUT',
+        body: JSON.stringify(updatedUser),
+      });
+
+      return updatedUser;
+    } catch (error) {
+      logger.error(`Failed to set read-only status: ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge attributes into a user's attributes; null values remove the attribute
+   */
+  async updateUserAttributes(userId, attributes) {
+    try {
+      const user = await this.getUserById(userId);
+
+      const merged = { ...user.attributes, ...attributes };
+      Object.keys(merged).forEach((key) => {
+        if (merged[key] === null) {
+          delete merged[key];
+        }
+      });
+
+      const updatedUser = {
+        ...user,
+        attributes: merged,
+      };
+
+      await this.request(`/api/users/${userId}`, {
+        method: 'PUT',
+        body: JSON.stringify(updatedUser),
+      });
+
+      return updatedUser;
+    } catch (error) {
+      logger.error(`Failed to update attributes for user ${userId}`, error);
+      throw error;
+    }
+  }
+
   /**
    * Create new user (for registration)
    */
@@ -195,6 +297,10 @@ class TraccarClient {
     try {
       logger.info(`Creating new user: ${userData.email}`);
 
+      const entitlementFields = userData.entitlements
+        ? this.getEntitlementFields(userData.entitlements)
+        : { attributes: {} };
+
       // Ensure user is not disabled by default
       const userPayload = {
         name: userData.name,
@@ -206,6 +312,8 @@ class TraccarClient {
         readonly: false,
         deviceReadonly: false,
         limitCommands: false,
+        ...entitlementFields,
+        attributes: { ...entitlementFields.attributes, ...userData.attributes },
       };
 
       logger.debug(`User payload (password hidden): ${JSON.stringify({ ...userPayload, password: '***' })}`);
@@ -250,6 +358,31 @@ class TraccarClient {
     }
   }
 
+  /**
+   * Update user email (Traccar login)
+   */
+  async updateUserEmail(userId, email) {
+    try {
+      logger.info(`Updating email for user ${userId}`);
+
+      const user = await this.getUserById(userId);
+      const updatedUser = {
+        ...user,
+        email,
+      };
+
+      await this.request(`/api/users/${userId}`, {
+        method: 'PUT',
+        body: JSON.stringify(updatedUser),
+      });
+
+      return updatedUser;
+    } catch (error) {
+      logger.error(`Failed to update email for user ${userId}`, error);
+      throw error;
+    }
+  }
+
   /**
    * Verify user credentials (test login)
    */
@@ -282,18 +415,45 @@ class TraccarClient {
     }
   }
 
+  /**
+   * Get the user behind a caller's Traccar session cookie or bearer token.
+   * Returns null if Traccar rejects the credentials.
+   */
+  async getSessionUser({ cookie, token }) {
+    const headers = {};
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    } else if (cookie) {
+      headers.Cookie = cookie;
+    } else {
+      return null;
+    }
+
+    const response = await fetch(`${this.baseUrl}/api/session`, { headers });
+
+    if (response.status === 401 || response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      const error = await response.text();
+      const traccarError = new Error(`Traccar API error: ${error}`);
+      traccarError.traccarError = true;
+      traccarError.statusCode = response.status;
+      throw traccarError;
+    }
+
+    return response.json();
+  }
+
   /**
    * Get user's device count
    */
   async getUserDeviceCount(userId) {
     try {
-      const devices = await this.request('/api/devices');
-      const userDevices = devices.filter(device => {
-        // Check if user has access to this device
-        return device.userId === userId;
-      });
-
-      return userDevices.length;
+      // Admins can list the devices linked to another user
+      const devices = await this.request(`/api/devices?userId=${userId}`);
+      return devices.length;
     } catch (error) {
       logger.error(`Failed to get device count for user ${userId}`, error);
       throw error;
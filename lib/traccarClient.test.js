@@ -0,0 +1,67 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { NO_PLAN_ENTITLEMENTS } from '../config/plans.js';
+import traccarClient from './traccarClient.js';
+
+const entitlements = {
+  ...NO_PLAN_ENTITLEMENTS,
+  commands: true,
+  deviceEditing: false,
+  subUsers: 3,
+  geofences: 10,
+  reports: ['route', 'summary'],
+};
+
+describe('traccarClient', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('getEntitlementFields', () => {
+    it('maps entitlements to Traccar user fields and attributes', () => {
+      assert.deepEqual(traccarClient.getEntitlementFields(entitlements, { attributes: {} }), {
+        limitCommands: false,
+        deviceReadonly: true,
+        readonly: false,
+        userLimit: 3,
+        attributes: { geofenceLimit: 10, reportTypes: 'route,summary', 'ui.disableReport': false },
+      });
+    });
+
+    it('hides reports for plans without any', () => {
+      const { attributes } = traccarClient.getEntitlementFields({ ...entitlements, reports: [] }, null);
+
+      assert.equal(attributes.reportTypes, '');
+      assert.equal(attributes['ui.disableReport'], true);
+    });
+
+    it('keeps an account in a read-only dunning stage read-only', () => {
+      const fields = stage => traccarClient.getEntitlementFields(entitlements, { attributes: { dunningStage: stage } });
+
+      assert.equal(fields('warning').readonly, false);
+      assert.equal(fields('readonly').readonly, true);
+      assert.equal(fields('disabled').readonly, true);
+    });
+  });
+
+  describe('updateUserLimits', () => {
+    it('writes the entitlements with the device limit, letting explicit attributes win', async () => {
+      mock.method(traccarClient, 'getUserById', async () => ({ id: 1, deviceLimit: 5, attributes: { theme: 'dark', geofenceLimit: 1 } }));
+      const request = mock.method(traccarClient, 'request', async () => ({}));
+
+      await traccarClient.updateUserLimits(1, 30, { subscriptionPlan: 'basic', geofenceLimit: 20 }, entitlements);
+
+      const [path, { method, body }] = request.mock.calls[0].arguments;
+      const user = JSON.parse(body);
+      assert.equal(path, '/api/users/1');
+      assert.equal(method, 'PUT');
+      assert.equal(user.deviceLimit, 30);
+      assert.equal(user.deviceReadonly, true);
+      assert.deepEqual(user.attributes, {
+        theme: 'dark',
+        geofenceLimit: 20,
+        reportTypes: 'route,summary',
+        'ui.disableReport': false,
+        subscriptionPlan: 'basic',
+      });
+    });
+  });
+});
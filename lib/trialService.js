@@ -0,0 +1,164 @@
+import { config } from '../config/index.js';
+import { DEFAULT_INTERVAL, NO_PLAN_ENTITLEMENTS } from '../config/plans.js';
+import database from './database.js';
+import traccarClient from './traccarClient.js';
+import subscriptionService from './subscriptionService.js';
+import { clientError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trial Service
+ * Card-less trial signups, trial eligibility for checkout, and the sweep that
+ * disables or downgrades accounts whose card-less trial ended without payment
+ */
+class TrialService {
+  /**
+   * Create a Traccar user on a card-less trial of a plan
+   */
+  async startTrial(plan, { email, name, password }) {
+    if (!plan.trialDays) {
+      throw clientError(`The ${plan.name} has no free trial`, 400);
+    }
+
+    // The subscription row is the only record of a card-less trial, so it needs the database
+    if (!database.isInitialized()) {
+      throw clientError('Trial signup is temporarily unavailable', 503);
+    }
+
+    if (await traccarClient.getUserByEmail(email)) {
+      throw clientError('An account with this email already exists', 409);
+    }
+
+    const trialStart = new Date();
+    const trialEnd = new Date(trialStart.getTime() + plan.trialDays * DAY_MS);
+
+    const user = await traccarClient.createUser({
+      name: name || email.split('@')[0],
+      email,
+      password,
+      deviceLimit: plan.deviceLimit,
+      entitlements: plan.entitlements,
+      attributes: {
+        subscriptionPlan: plan.id,
+        billingInterval: DEFAULT_INTERVAL,
+        subscriptionStatus: 'trialing',
+        currentPeriodEnd: trialEnd.toISOString(),
+        trialEnd: trialEnd.toISOString(),
+        trialUsed: true,
+      },
+    });
+
+    try {
+      await subscriptionService.upsertSubscription(user.id, {
+        plan_id: plan.id,
+        plan_version: plan.version,
+        billing_interval: DEFAULT_INTERVAL,
+        stripe_customer_id: null,
+        stripe_subscription_id: null,
+        status: 'trialing',
+        device_limit: plan.deviceLimit,
+        current_period_start: trialStart,
+        current_period_end: trialEnd,
+        trial_start: trialStart,
+        trial_end: trialEnd,
+      });
+    } catch (error) {
+      // Without a subscription row the trial would never expire, so do not leave the account usable
+      logger.error(`Failed to record trial for user ${user.id}, disabling account: ${error.message}`);
+      await traccarClient.setUserStatus(user.id, true);
+      throw error;
+    }
+
+    await subscriptionService.addSubscriptionHistory(
+      user.id,
+      'trial_started',
+      `Card-less ${plan.trialDays}-day trial of ${plan.name} started`,
+      { plan_id: plan.id, trial_days: plan.trialDays, trial_end: trialEnd.toISOString() }
+    );
+
+    logger.info(`Started ${plan.trialDays}-day trial of ${plan.id} for user ${user.id} (${email})`);
+    return { user, trialEnd };
+  }
+
+  /**
+   * Trial days to give a checkout: the plan's trial, unless the email has already had one
+   */
+  async getCheckoutTrialDays(plan, email) {
+    if (!plan.trialDays) {
+      return 0;
+    }
+
+    try {
+      const user = await traccarClient.getUserByEmail(email);
+      if (user?.attributes?.trialUsed || user?.attributes?.stripeSubscriptionId) {
+        logger.info(`${email} already had a trial or subscription, checkout without trial`);
+        return 0;
+      }
+    } catch (error) {
+      logger.warn(`Could not check trial eligibility for ${email}, checkout without trial: ${error.message}`);
+      return 0;
+    }
+
+    return plan.trialDays;
+  }
+
+  /**
+   * Disable or downgrade accounts whose card-less trial has ended
+   */
+  async runExpirySweep() {
+    const trials = await database.query(`
+      SELECT userid, plan_id, trial_end
+      FROM tc_user_subscriptions
+      WHERE status = 'trialing'
+        AND stripe_subscription_id IS NULL
+        AND trial_end < NOW()
+    `);
+
+    let expired = 0;
+    for (const trial of trials) {
+      try {
+        await this.expireTrial(trial);
+        expired++;
+      } catch (error) {
+        logger.error(`Failed to expire trial for user ${trial.userid}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Trial sweep: ${trials.length} expired trial(s), ${expired} processed`);
+    return { checked: trials.length, expired };
+  }
+
+  /**
+   * End one expired trial and apply the configured action to the Traccar account
+   */
+  async expireTrial(trial) {
+    const { expiredAction, downgradeDeviceLimit } = config.trials;
+    const downgrade = expiredAction === 'downgrade';
+
+    await subscriptionService.endSubscription(trial.userid);
+
+    // Set the limits last: ending the row resets tc_users through sp_sync_subscription_to_user
+    await traccarClient.updateUserLimits(trial.userid, downgrade ? downgradeDeviceLimit : 0, {
+      subscriptionStatus: 'trial_expired',
+    }, NO_PLAN_ENTITLEMENTS);
+    if (!downgrade) {
+      await traccarClient.setUserStatus(trial.userid, true);
+    }
+
+    await subscriptionService.addSubscriptionHistory(
+      trial.userid,
+      'trial_expired',
+      downgrade
+        ? `Trial ended without payment, device limit lowered to ${downgradeDeviceLimit}`
+        : 'Trial ended without payment, account disabled',
+      { plan_id: trial.plan_id, trial_end: trial.trial_end, action: expiredAction }
+    );
+
+    logger.warn(`Trial of user ${trial.userid} expired (${expiredAction})`);
+  }
+}
+
+// Export singleton instance
+export default new TrialService();
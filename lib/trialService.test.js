@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config/index.js';
+import database from './database.js';
+import traccarClient from './traccarClient.js';
+import subscriptionService from './subscriptionService.js';
+import trialService from './trialService.js';
+
+const plan = { id: 'basic', name: 'Basic Plan', version: 1, trialDays: 14, deviceLimit: 30, entitlements: {} };
+const signup = { email: 'fleet@example.com', password: 'secret123' };
+
+describe('trialService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('startTrial', () => {
+    let setUserStatus;
+
+    beforeEach(() => {
+      mock.method(database, 'isInitialized', () => true);
+      mock.method(traccarClient, 'getUserByEmail', async () => null);
+      mock.method(traccarClient, 'createUser', async (fields) => ({ id: 5, ...fields }));
+      setUserStatus = mock.method(traccarClient, 'setUserStatus', async () => {});
+      mock.method(subscriptionService, 'addSubscriptionHistory', async () => {});
+    });
+
+    it('creates a trialing user and subscription row', async () => {
+      const upsert = mock.method(subscriptionService, 'upsertSubscription', async () => {});
+
+      const { user, trialEnd } = await trialService.startTrial(plan, signup);
+
+      assert.equal(user.name, 'fleet');
+      assert.equal(user.attributes.trialUsed, true);
+      assert.equal(user.attributes.trialEnd, trialEnd.toISOString());
+      const [userId, row] = upsert.mock.calls[0].arguments;
+      assert.equal(userId, 5);
+      assert.equal(row.status, 'trialing');
+      assert.equal(row.stripe_subscription_id, null);
+      assert.equal(row.trial_end.getTime() - row.trial_start.getTime(), 14 * 24 * 60 * 60 * 1000);
+    });
+
+    it('disables the account when the trial cannot be recorded', async () => {
+      mock.method(subscriptionService, 'upsertSubscription', async () => { throw new Error('Deadlock'); });
+
+      await assert.rejects(trialService.startTrial(plan, signup), /Deadlock/);
+      assert.deepEqual(setUserStatus.mock.calls[0].arguments, [5, true]);
+    });
+
+    it('refuses plans without a trial, existing emails and a missing database', async () => {
+      await assert.rejects(trialService.startTrial({ ...plan, trialDays: 0 }, signup), { statusCode: 400 });
+
+      traccarClient.getUserByEmail.mock.mockImplementation(async () => ({ id: 2 }));
+      await assert.rejects(trialService.startTrial(plan, signup), { statusCode: 409 });
+
+      database.isInitialized.mock.mockImplementation(() => false);
+      await assert.rejects(trialService.startTrial(plan, signup), { statusCode: 503 });
+    });
+  });
+
+  describe('getCheckoutTrialDays', () => {
+    it('gives the plan\'s trial to a new email', async () => {
+      mock.method(traccarClient, 'getUserByEmail', async () => null);
+
+      assert.equal(await trialService.getCheckoutTrialDays(plan, 'fleet@example.com'), 14);
+    });
+
+    it('gives no trial to an email that had a trial or subscription', async () => {
+      const getUser = mock.method(traccarClient, 'getUserByEmail', async () => ({ attributes: { trialUsed: true } }));
+      assert.equal(await trialService.getCheckoutTrialDays(plan, 'fleet@example.com'), 0);
+
+      getUser.mock.mockImplementation(async () => ({ attributes: { stripeSubscriptionId: 'sub_1' } }));
+      assert.equal(await trialService.getCheckoutTrialDays(plan, 'fleet@example.com'), 0);
+    });
+
+    it('gives no trial when eligibility cannot be checked', async () => {
+      mock.method(traccarClient, 'getUserByEmail', async () => { throw new Error('ECONNREFUSED'); });
+
+      assert.equal(await trialService.getCheckoutTrialDays(plan, 'fleet@example.com'), 0);
+    });
+  });
+
+  describe('expireTrial', () => {
+    const settings = { ...config.trials };
+    let updateLimits;
+    let setUserStatus;
+
+    beforeEach(() => {
+      mock.method(subscriptionService, 'endSubscription', async () => {});
+      mock.method(subscriptionService, 'addSubscriptionHistory', async () => {});
+      updateLimits = mock.method(traccarClient, 'updateUserLimits', async () => {});
+      setUserStatus = mock.method(traccarClient, 'setUserStatus', async () => {});
+    });
+
+    afterEach(() => {
+      Object.assign(config.trials, settings);
+    });
+
+    it('disables the account by default', async () => {
+      Object.assign(config.trials, { expiredAction: 'disable' });
+
+      await trialService.expireTrial({ userid: 5, plan_id: 'basic' });
+
+      assert.equal(updateLimits.mock.calls[0].arguments[1], 0);
+      assert.deepEqual(setUserStatus.mock.calls[0].arguments, [5, true]);
+    });
+
+    it('lowers the device limit in downgrade mode', async () => {
+      Object.assign(config.trials, { expiredAction: 'downgrade', downgradeDeviceLimit: 1 });
+
+      await trialService.expireTrial({ userid: 5, plan_id: 'basic' });
+
+      assert.equal(updateLimits.mock.calls[0].arguments[1], 1);
+      assert.deepEqual(updateLimits.mock.calls[0].arguments[2], { subscriptionStatus: 'trial_expired' });
+      assert.equal(setUserStatus.mock.callCount(), 0);
+    });
+  });
+});
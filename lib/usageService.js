@@ -0,0 +1,255 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import { isMeteredPlan } from '../config/plans.js';
+import database from './database.js';
+import planCatalog from './planCatalog.js';
+import logger from '../utils/logger.js';
+
+const stripe = new Stripe(config.stripe.secretKey);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Subscriptions that are billed for their usage
+const METERED_STATUSES = ['active', 'trialing', 'past_due'];
+
+/**
+ * UTC day (YYYY-MM-DD) of a date
+ */
+export const toUsageDay = (date) => date.toISOString().slice(0, 10);
+
+const nextDay = (day) => toUsageDay(new Date(new Date(`${day}T00:00:00Z`).getTime() + DAY_MS));
+
+// Day bounds as UTC DATETIME strings, matching how Traccar stores its timestamps
+const dayBounds = (day) => [`${day} 00:00:00`, `${nextDay(day)} 00:00:00`];
+
+/**
+ * Usage Service
+ * Bills metered plans on active device-days. Today's active devices (owned devices
+ * whose tc_devices.lastupdate falls on the day) are snapshotted into tc_device_usage
+ * through the day; once a day is over it is reported to Stripe as a usage record.
+ */
+class UsageService {
+  /**
+   * Snapshot today's usage and report finished days
+   */
+  async run() {
+    const snapshot = await this.snapshot();
+    const report = await this.reportPending();
+    return { ...snapshot, ...report };
+  }
+
+  /**
+   * Record today's active devices for every metered subscription. The count only
+   * grows during the day, so each snapshot keeps the highest count seen.
+   */
+  async snapshot() {
+    const day = toUsageDay(new Date());
+    const subscriptions = await this.getMeteredSubscriptions();
+
+    for (const subscription of subscriptions) {
+      const activeDevices = await this.countFromDevices(subscription.userid, day);
+      await database.query(`
+        INSERT INTO tc_device_usage (userid, usage_date, active_devices, plan_id, stripe_subscription_id)
+        VALUES (?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          active_devices = IF(reported_at IS NULL, GREATEST(active_devices, VALUES(active_devices)), active_devices),
+          plan_id = VALUES(plan_id),
+          stripe_subscription_id = VALUES(stripe_subscription_id)
+      `, [subscription.userid, day, activeDevices, subscription.plan_id, subscription.stripe_subscription_id]);
+    }
+
+    logger.debug(`Usage snapshot for ${day}: ${subscriptions.length} metered subscription(s)`);
+    return { day, snapshots: subscriptions.length };
+  }
+
+  /**
+   * Report finished days that have not been reported yet.
+   * Days that failed maxReportAttempts times are skipped unless retryFailed is set.
+   */
+  async reportPending({ from = null, to = null, userId = null, retryFailed = false } = {}) {
+    const rows = await database.query(`
+      SELECT *, DATE_FORMAT(usage_date, '%Y-%m-%d') as usage_day
+      FROM tc_device_usage
+      WHERE reported_at IS NULL
+        AND usage_date < ?
+        AND (? IS NULL OR usage_date >= ?)
+        AND (? IS NULL OR usage_date <= ?)
+        AND (? IS NULL OR userid = ?)
+        AND (? OR report_attempts < ?)
+      ORDER BY usage_date, userid
+    `, [
+      toUsageDay(new Date()),
+      from, from,
+      to, to,
+      userId, userId,
+      retryFailed, config.usage.maxReportAttempts,
+    ]);
+
+    const result = { reported: 0, failed: [] };
+    for (const row of rows) {
+      try {
+        await this.reportDay(row);
+        result.reported++;
+      } catch (error) {
+        const day = row.usage_day;
+        logger.error(`Failed to report usage of user ${row.userid} for ${day}: ${error.message}`);
+        result.failed.push({ userId: row.userid, day, error: error.message });
+        await database.query(`
+          UPDATE tc_device_usage
+          SET report_attempts = report_attempts + 1, last_error = ?
+          WHERE id = ?
+        `, [error.message, row.id]);
+      }
+    }
+
+    if (rows.length > 0) {
+      logger.info(`Usage reporting: ${result.reported} day(s) reported, ${result.failed.length} failed`);
+    }
+    return result;
+  }
+
+  /**
+   * Send one day's usage to Stripe. The record is set (not added) at the day's own
+   * timestamp with an idempotency key per user and day, so a retry never bills a day twice.
+   */
+  async reportDay(row) {
+    const day = row.usage_day;
+    const start = Date.parse(`${day}T00:00:00Z`) / 1000;
+
+    const subscription = await stripe.subscriptions.retrieve(row.stripe_subscription_id);
+    const item = subscription.items.data[0];
+    if (item.price.recurring?.usage_type !== 'metered') {
+      throw new Error(`Subscription ${subscription.id} is not on a metered price`);
+    }
+
+    // Stripe only takes usage for the current period; the day the period started is moved into it
+    const periodStart = subscription.current_period_start;
+    if (start + DAY_MS / 1000 <= periodStart) {
+      throw new Error(`${day} is before the current billing period of ${subscription.id}`);
+    }
+    const timestamp = Math.max(start + 12 * 60 * 60, periodStart);
+
+    const record = await stripe.subscriptionItems.createUsageRecord(item.id, {
+      quantity: row.active_devices,
+      timestamp,
+      action: 'set',
+    }, {
+      idempotencyKey: `usage-${row.userid}-${day}`,
+    });
+
+    await database.query(`
+      UPDATE tc_device_usage
+      SET reported_at = NOW(), stripe_usage_record_id = ?, last_error = NULL
+      WHERE id = ?
+    `, [record.id, row.id]);
+
+    logger.info(`Reported ${row.active_devices} active device(s) for user ${row.userid} on ${day}`);
+  }
+
+  /**
+   * Fill in days without a snapshot from tc_positions, then report them.
+   * Only days from the subscription's start up to yesterday are filled. With dryRun
+   * the counts are returned without being stored or reported.
+   */
+  async backfill({ from, to, userId = null, dryRun = false }) {
+    const yesterday = toUsageDay(new Date(Date.now() - DAY_MS));
+    const last = to && to < yesterday ? to : yesterday;
+    const subscriptions = (await this.getMeteredSubscriptions())
+      .filter(subscription => !userId || subscription.userid === userId);
+
+    const result = { from, to: last, dryRun, created: [], existing: 0, reported: 0, failed: [] };
+
+    for (let day = from; day <= last; day = nextDay(day)) {
+      for (const subscription of subscriptions) {
+        if (subscription.start_date && toUsageDay(new Date(subscription.start_date)) > day) {
+          continue;
+        }
+
+        const existing = await database.queryOne(
+          'SELECT id FROM tc_device_usage WHERE userid = ? AND usage_date = ?',
+          [subscription.userid, day]
+        );
+        if (existing) {
+          result.existing++;
+          continue;
+        }
+
+        const activeDevices = await this.countFromPositions(subscription.userid, day);
+        result.created.push({ userId: subscription.userid, day, activeDevices });
+        if (!dryRun) {
+          await database.query(`
+            INSERT INTO tc_device_usage (userid, usage_date, active_devices, plan_id, stripe_subscription_id, source)
+            VALUES (?, ?, ?, ?, ?, 'backfill')
+          `, [subscription.userid, day, activeDevices, subscription.plan_id, subscription.stripe_subscription_id]);
+        }
+      }
+    }
+
+    if (!dryRun) {
+      const report = await this.reportPending({ from, to: last, userId, retryFailed: true });
+      result.reported = report.reported;
+      result.failed = report.failed;
+    }
+
+    logger.info(`Usage backfill ${from}..${last}: ${result.created.length} day(s) filled${dryRun ? ' (dry run)' : `, ${result.reported} reported`}`);
+    return result;
+  }
+
+  /**
+   * Live subscriptions on metered plans
+   */
+  async getMeteredSubscriptions() {
+    const planIds = planCatalog.getAllPlans({ includeArchived: true })
+      .filter(isMeteredPlan)
+      .map(plan => plan.id);
+    if (planIds.length === 0) {
+      return [];
+    }
+
+    return database.query(`
+      SELECT userid, plan_id, stripe_subscription_id, start_date
+      FROM tc_user_subscriptions
+      WHERE plan_id IN (${planIds.map(() => '?').join(', ')})
+        AND status IN (${METERED_STATUSES.map(() => '?').join(', ')})
+        AND stripe_subscription_id IS NOT NULL
+    `, [...planIds, ...METERED_STATUSES]);
+  }
+
+  /**
+   * Owned devices whose last update falls on the day (only accurate for today)
+   */
+  async countFromDevices(userId, day) {
+    const [start, end] = dayBounds(day);
+    const row = await database.queryOne(`
+      SELECT COUNT(*) as devices
+      FROM tc_device_ownership o
+      JOIN tc_devices d ON d.id = o.deviceid
+      WHERE o.ownerid = ?
+        AND d.lastupdate >= ?
+        AND d.lastupdate < ?
+    `, [userId, start, end]);
+    return Number(row?.devices || 0);
+  }
+
+  /**
+   * Owned devices with at least one position on the day, for days already over
+   */
+  async countFromPositions(userId, day) {
+    const [start, end] = dayBounds(day);
+    const row = await database.queryOne(`
+      SELECT COUNT(*) as devices
+      FROM tc_device_ownership o
+      WHERE o.ownerid = ?
+        AND EXISTS (
+          SELECT 1 FROM tc_positions p
+          WHERE p.deviceid = o.deviceid
+            AND p.fixtime >= ?
+            AND p.fixtime < ?
+        )
+    `, [userId, start, end]);
+    return Number(row?.devices || 0);
+  }
+}
+
+// Export singleton instance
+export default new UsageService();
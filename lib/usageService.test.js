@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import database from './database.js';
+import usageService, { toUsageDay } from './usageService.js';
+
+const at = (iso) => Date.parse(iso) / 1000;
+
+describe('toUsageDay', () => {
+  it('takes the UTC day of a date', () => {
+    assert.equal(toUsageDay(new Date('2024-03-10T23:59:59Z')), '2024-03-10');
+    assert.equal(toUsageDay(new Date('2024-03-11T00:00:00Z')), '2024-03-11');
+    assert.equal(toUsageDay(new Date('2024-03-11T01:30:00+02:00')), '2024-03-10');
+  });
+});
+
+describe('usageService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('day bounds', () => {
+    it('counts devices from the start of the day up to the next one', async () => {
+      const queryOne = mock.method(database, 'queryOne', async () => ({ devices: 4 }));
+
+      assert.equal(await usageService.countFromDevices(1, '2024-03-10'), 4);
+      assert.deepEqual(queryOne.mock.calls[0].arguments[1], [1, '2024-03-10 00:00:00', '2024-03-11 00:00:00']);
+    });
+
+    it('rolls over months, years and leap days', async () => {
+      const queryOne = mock.method(database, 'queryOne', async () => null);
+
+      assert.equal(await usageService.countFromPositions(1, '2024-02-29'), 0);
+      await usageService.countFromPositions(1, '2023-12-31');
+
+      assert.deepEqual(queryOne.mock.calls.map(call => call.arguments[1].slice(1)), [
+        ['2024-02-29 00:00:00', '2024-03-01 00:00:00'],
+        ['2023-12-31 00:00:00', '2024-01-01 00:00:00'],
+      ]);
+    });
+  });
+
+  describe('reportDay', () => {
+    let subscription;
+    let createUsageRecord;
+
+    beforeEach(() => {
+      subscription = {
+        id: 'sub_1',
+        current_period_start: at('2024-03-01T00:00:00Z'),
+        items: { data: [{ id: 'si_1', price: { recurring: { usage_type: 'metered' } } }] },
+      };
+      mock.method(Stripe.resources.Subscriptions.prototype, 'retrieve', async () => subscription);
+      createUsageRecord = mock.method(Stripe.resources.SubscriptionItems.prototype, 'createUsageRecord', async () => ({ id: 'mbur_1' }));
+      mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+    });
+
+    const row = (day) => ({ id: 9, userid: 1, usage_day: day, active_devices: 6, stripe_subscription_id: 'sub_1' });
+
+    it('sets the day\'s usage at midday with a key per user and day', async () => {
+      await usageService.reportDay(row('2024-03-10'));
+
+      const [itemId, params, options] = createUsageRecord.mock.calls[0].arguments;
+      assert.equal(itemId, 'si_1');
+      assert.deepEqual(params, { quantity: 6, timestamp: at('2024-03-10T12:00:00Z'), action: 'set' });
+      assert.deepEqual(options, { idempotencyKey: 'usage-1-2024-03-10' });
+    });
+
+    it('moves a day the period started on into the period', async () => {
+      subscription.current_period_start = at('2024-03-10T15:00:00Z');
+
+      await usageService.reportDay(row('2024-03-10'));
+
+      assert.equal(createUsageRecord.mock.calls[0].arguments[1].timestamp, at('2024-03-10T15:00:00Z'));
+    });
+
+    it('rejects a day before the current period', async () => {
+      subscription.current_period_start = at('2024-03-11T00:00:00Z');
+
+      await assert.rejects(usageService.reportDay(row('2024-03-10')), /before the current billing period/);
+      assert.equal(createUsageRecord.mock.callCount(), 0);
+    });
+
+    it('rejects a subscription that is not on a metered price', async () => {
+      subscription.items.data[0].price.recurring.usage_type = 'licensed';
+
+      await assert.rejects(usageService.reportDay(row('2024-03-10')), /not on a metered price/);
+    });
+  });
+});
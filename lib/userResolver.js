@@ -0,0 +1,82 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import traccarClient from './traccarClient.js';
+import subscriptionService from './subscriptionService.js';
+import logger from '../utils/logger.js';
+
+const stripe = new Stripe(config.stripe.secretKey);
+
+/**
+ * Resolve the Traccar user a Stripe object belongs to.
+ * Tries, in order: the stripe_customer_id in tc_user_subscriptions,
+ * the stripeCustomerId Traccar attribute, and finally the email address.
+ */
+export async function resolveUser({ customerId, email } = {}) {
+  if (customerId) {
+    let subscription = null;
+    try {
+      subscription = await subscriptionService.getSubscriptionByCustomerId(customerId);
+    } catch (dbError) {
+      logger.warn('Database not available for user resolution, trying Traccar attributes');
+    }
+
+    if (subscription) {
+      logger.debug(`Resolved customer ${customerId} to user ${subscription.userid} via database`);
+      return traccarClient.getUserById(subscription.userid);
+    }
+
+    const user = await traccarClient.getUserByAttribute('stripeCustomerId', customerId);
+    if (user) {
+      logger.debug(`Resolved customer ${customerId} to user ${user.id} via Traccar attributes`);
+      return user;
+    }
+  }
+
+  if (email) {
+    const user = await traccarClient.getUserByEmail(email);
+    if (user) {
+      logger.debug(`Resolved ${email} to user ${user.id} via email`);
+      return user;
+    }
+  }
+
+  logger.warn(`User not found for customer ${customerId || '-'} / email ${email || '-'}`);
+  return null;
+}
+
+/**
+ * Get the Stripe customer and subscription IDs that belong to a Traccar user.
+ * Uses tc_user_subscriptions, falling back to the user's Traccar attributes.
+ */
+export async function resolveBillingIds(user) {
+  let subscription = null;
+  try {
+    subscription = await subscriptionService.getSubscriptionByUserId(user.id);
+  } catch (dbError) {
+    logger.warn('Database not available for billing lookup, using Traccar attributes');
+  }
+
+  return {
+    customerId: subscription?.stripe_customer_id || user.attributes?.stripeCustomerId || null,
+    subscriptionId: subscription?.stripe_subscription_id || user.attributes?.stripeSubscriptionId || null,
+  };
+}
+
+/**
+ * Retrieve a Traccar user's Stripe subscription, or null if the user has none.
+ * Only returns subscriptions that belong to the user's own Stripe customer.
+ */
+export async function resolveStripeSubscription(user) {
+  const { customerId, subscriptionId } = await resolveBillingIds(user);
+  if (!subscriptionId) {
+    return null;
+  }
+
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  if (subscription.customer !== customerId) {
+    logger.warn(`Subscription ${subscriptionId} does not belong to customer ${customerId} of user ${user.id}`);
+    return null;
+  }
+
+  return subscription;
+}
@@ -0,0 +1,85 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import traccarClient from './traccarClient.js';
+import subscriptionService from './subscriptionService.js';
+import { resolveStripeSubscription, resolveUser } from './userResolver.js';
+
+describe('userResolver', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('resolveUser', () => {
+    let byId;
+    let byAttribute;
+    let byEmail;
+
+    beforeEach(() => {
+      byId = mock.method(traccarClient, 'getUserById', async (id) => ({ id }));
+      byAttribute = mock.method(traccarClient, 'getUserByAttribute', async () => ({ id: 2 }));
+      byEmail = mock.method(traccarClient, 'getUserByEmail', async () => ({ id: 3 }));
+    });
+
+    it('prefers the customer ID stored in the database', async () => {
+      mock.method(subscriptionService, 'getSubscriptionByCustomerId', async () => ({ userid: 1 }));
+
+      assert.deepEqual(await resolveUser({ customerId: 'cus_1', email: 'fleet@example.com' }), { id: 1 });
+      assert.equal(byAttribute.mock.callCount(), 0);
+      assert.equal(byEmail.mock.callCount(), 0);
+    });
+
+    it('falls back to the Traccar attribute when the database is unavailable', async () => {
+      mock.method(subscriptionService, 'getSubscriptionByCustomerId', async () => { throw new Error('ECONNREFUSED'); });
+
+      assert.deepEqual(await resolveUser({ customerId: 'cus_1', email: 'fleet@example.com' }), { id: 2 });
+      assert.deepEqual(byAttribute.mock.calls[0].arguments, ['stripeCustomerId', 'cus_1']);
+      assert.equal(byEmail.mock.callCount(), 0);
+    });
+
+    it('falls back to the email for an unknown customer', async () => {
+      mock.method(subscriptionService, 'getSubscriptionByCustomerId', async () => null);
+      byAttribute.mock.mockImplementation(async () => null);
+
+      assert.deepEqual(await resolveUser({ customerId: 'cus_1', email: 'fleet@example.com' }), { id: 3 });
+      assert.equal(byId.mock.callCount(), 0);
+    });
+
+    it('returns null when nothing matches', async () => {
+      byEmail.mock.mockImplementation(async () => null);
+
+      assert.equal(await resolveUser({ email: 'nobody@example.com' }), null);
+    });
+  });
+
+  describe('resolveStripeSubscription', () => {
+    const user = { id: 1, attributes: {} };
+
+    it('returns the subscription of the user\'s own customer', async () => {
+      mock.method(subscriptionService, 'getSubscriptionByUserId', async () => ({
+        stripe_customer_id: 'cus_1', stripe_subscription_id: 'sub_1',
+      }));
+      mock.method(Stripe.resources.Subscriptions.prototype, 'retrieve', async (id) => ({ id, customer: 'cus_1' }));
+
+      assert.deepEqual(await resolveStripeSubscription(user), { id: 'sub_1', customer: 'cus_1' });
+    });
+
+    it('ignores a subscription that belongs to another customer', async () => {
+      mock.method(subscriptionService, 'getSubscriptionByUserId', async () => null);
+      mock.method(Stripe.resources.Subscriptions.prototype, 'retrieve', async (id) => ({ id, customer: 'cus_other' }));
+
+      const result = await resolveStripeSubscription({
+        id: 1,
+        attributes: { stripeCustomerId: 'cus_1', stripeSubscriptionId: 'sub_1' },
+      });
+
+      assert.equal(result, null);
+    });
+
+    it('returns null for a user without a subscription', async () => {
+      mock.method(subscriptionService, 'getSubscriptionByUserId', async () => null);
+      const retrieve = mock.method(Stripe.resources.Subscriptions.prototype, 'retrieve', async () => ({}));
+
+      assert.equal(await resolveStripeSubscription(user), null);
+      assert.equal(retrieve.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,835 @@
+import Stripe from 'stripe';
+import { config } from '../config/index.js';
+import { NO_PLAN_ENTITLEMENTS } from '../config/plans.js';
+import { compareDunningStages } from '../config/dunning.js';
+import traccarClient from './traccarClient.js';
+import overrideService from './overrideService.js';
+import subscriptionService from './subscriptionService.js';
+import dunningService from './dunningService.js';
+import notificationService from './notificationService.js';
+import invoiceService from './invoiceService.js';
+import { resolveUser } from './userResolver.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Stripe Webhook Handlers
+ * Applies Stripe events to the subscription tables and Traccar users.
+ * Used by the webhook worker and for inline processing when the database is down.
+ */
+
+const stripe = new Stripe(config.stripe.secretKey);
+
+const DISPUTE_ALERT = 'Your account is suspended while a payment dispute is reviewed.';
+
+// Subscriptions whose account is enabled unless dunning disabled it
+const LIVE_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Currencies Stripe amounts are not multiplied by 100 for
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+/**
+ * Dispatch a Stripe event to its handler.
+ * Resolves to { stale: true } when the event was older than data already applied.
+ */
+export async function handleStripeEvent(event) {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      return handleCheckoutCompleted(object, event);
+
+    case 'customer.subscription.created':
+      return handleSubscriptionCreated(object, event);
+
+    case 'customer.subscription.updated':
+      return handleSubscriptionUpdated(object, event);
+
+    case 'customer.subscription.deleted':
+      return handleSubscriptionDeleted(object, event);
+
+    case 'invoice.payment_failed':
+      return handlePaymentFailed(object, event);
+
+    case 'invoice.payment_succeeded':
+      return handlePaymentSucceeded(object, event);
+
+    case 'customer.updated':
+      return handleCustomerUpdated(object, event);
+
+    case 'charge.refunded':
+      return handleChargeRefunded(object, event);
+
+    case 'charge.dispute.created':
+      return handleDisputeCreated(object, event);
+
+    case 'charge.dispute.closed':
+      return handleDisputeClosed(object, event);
+
+    case 'invoice.payment_action_required':
+      return handlePaymentActionRequired(object, event);
+
+    case 'customer.subscription.trial_will_end':
+      return handleTrialWillEnd(object, event);
+
+    case 'invoice.upcoming':
+      return handleInvoiceUpcoming(object, event);
+
+    case 'invoice.finalized':
+    case 'invoice.paid':
+    case 'invoice.voided':
+      return handleInvoiceChanged(object, event);
+
+    default:
+      logger.info(`Unhandled event type: ${event.type}`);
+      return undefined;
+  }
+}
+
+/**
+ * Handle checkout.session.completed event
+ */
+async function handleCheckoutCompleted(session, event) {
+  logger.info(`Processing checkout completion: ${session.id}`);
+
+  const { customer, subscription, metadata } = session;
+  const email = session.customer_email || session.customer_details?.email;
+
+  logger.debug(`Metadata received: ${JSON.stringify(metadata)}`);
+  logger.debug(`Has temporaryPassword: ${!!metadata.temporaryPassword}`);
+  logger.debug(`Password length: ${metadata.temporaryPassword?.length || 0}`);
+
+  if (!subscription) {
+    logger.warn('No subscription in checkout session');
+    return;
+  }
+
+  // Get or create user in Traccar
+  let user = await resolveUser({ customerId: customer, email });
+
+  if (!user) {
+    logger.info(`User not found, creating new user: ${email}`);
+    const password = metadata.temporaryPassword || generateRandomPassword();
+
+    logger.info(`Creating user with password length: ${password.length}`);
+
+    user = await traccarClient.createUser({
+      name: metadata.userName || email.split('@')[0],
+      email,
+      password,
+      deviceLimit: parseInt(metadata.deviceLimit, 10),
+    });
+
+    logger.info(`User ${user.id} created. Testing login...`);
+
+    // Verify the credentials work immediately
+    let loginWorks = await traccarClient.verifyUserCredentials(email, password);
+    if (!loginWorks) {
+      logger.warn(`⚠️  Login test failed for user ${user.id}. Attempting password reset...`);
+
+      // Try to fix by updating the password
+      try {
+        await traccarClient.updateUserPassword(user.id, password);
+        logger.info(`Password updated via PUT request. Testing login again...`);
+
+        loginWorks = await traccarClient.verifyUserCredentials(email, password);
+        if (loginWorks) {
+          logger.info(`✓ Login working after password reset!`);
+        } else {
+          logger.error(`✗ Login still failing after password reset`);
+        }
+      } catch (error) {
+        logger.error(`Failed to reset password: ${error.message}`);
+      }
+    } else {
+      logger.info(`✓ Login verified for user ${user.id}`);
+    }
+  }
+
+  // Get the full subscription object from Stripe
+  const stripeSubscription = await stripe.subscriptions.retrieve(subscription);
+  const { price } = stripeSubscription.items.data[0];
+  // Catalog or custom price, with the customer's override applied
+  const plan = await overrideService.getEffectivePlan(await overrideService.resolvePlan(price), user.id);
+
+  if (!plan) {
+    logger.error(`Unknown price ID: ${price.id}`);
+    return;
+  }
+
+  // Create subscription in database (if available)
+  let subscriptionRowId;
+  try {
+    subscriptionRowId = await subscriptionService.upsertSubscription(user.id, {
+      plan_id: plan.id,
+      plan_version: plan.version,
+      billing_interval: plan.interval,
+      currency: plan.currency,
+      unit_amount: stripeSubscription.items.data[0].price.unit_amount,
+      quantity: stripeSubscription.items.data[0].quantity,
+      stripe_customer_id: customer,
+      stripe_subscription_id: subscription,
+      status: stripeSubscription.status,
+      device_limit: plan.deviceLimit,
+      current_period_start: new Date(stripeSubscription.current_period_start * 1000),
+      current_period_end: new Date(stripeSubscription.current_period_end * 1000),
+      trial_start: stripeSubscription.trial_start ? new Date(stripeSubscription.trial_start * 1000) : null,
+      trial_end: stripeSubscription.trial_end ? new Date(stripeSubscription.trial_end * 1000) : null,
+      event_created: event.created,
+    });
+    logger.info('Subscription saved to database');
+  } catch (dbError) {
+    logger.warn('Database not available, using attributes only');
+  }
+
+  if (subscriptionRowId === null) {
+    return ignoreStaleEvent(user.id, event);
+  }
+
+  // Also update user attributes for backward compatibility
+  await traccarClient.updateSubscriptionMetadata(user.id, {
+    customerId: customer,
+    subscriptionId: subscription,
+    plan: plan.id,
+    status: 'active',
+    startDate: new Date().toISOString(),
+  });
+
+  logger.info(`Checkout completed for user ${user.id}`);
+}
+
+/**
+ * Handle customer.subscription.created event
+ */
+async function handleSubscriptionCreated(subscription, event) {
+  logger.info(`Processing subscription created: ${subscription.id}`);
+
+  const { customer, metadata, items } = subscription;
+  const { price } = items.data[0];
+
+  const basePlan = await overrideService.resolvePlan(price);
+  if (!basePlan) {
+    logger.error(`Unknown price ID: ${price.id}`);
+    return;
+  }
+
+  const user = await resolveUser({ customerId: subscription.customer, email: metadata.userEmail });
+  if (!user) {
+    return;
+  }
+  const plan = await overrideService.getEffectivePlan(basePlan, user.id);
+
+  // Create subscription in database (if available)
+  let subscriptionRowId;
+  try {
+    subscriptionRowId = await subscriptionService.upsertSubscription(user.id, {
+      plan_id: plan.id,
+      plan_version: plan.version,
+      billing_interval: plan.interval,
+      currency: plan.currency,
+      unit_amount: items.data[0].price.unit_amount,
+      quantity: items.data[0].quantity,
+      stripe_customer_id: customer,
+      stripe_subscription_id: subscription.id,
+      status: subscription.status,
+      device_limit: plan.deviceLimit,
+      current_period_start: new Date(subscription.current_period_start * 1000),
+      current_period_end: new Date(subscription.current_period_end * 1000),
+      trial_start: subscription.trial_start ? new Date(subscription.trial_start * 1000) : null,
+      trial_end: subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
+      coupon_id: subscription.discount?.coupon?.id || null,
+      promotion_code_id: subscription.discount?.promotion_code || null,
+      event_created: event.created,
+    });
+  } catch (dbError) {
+    logger.warn('Database not available for subscription creation');
+  }
+
+  if (subscriptionRowId === null) {
+    return ignoreStaleEvent(user.id, event);
+  }
+
+  // Update device limit in tc_users.attributes for backward compatibility
+  await traccarClient.updateUserLimits(user.id, plan.deviceLimit, {
+    subscriptionPlan: plan.id,
+    billingInterval: plan.interval,
+    billingCurrency: plan.currency,
+    subscriptionStatus: subscription.status,
+    currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
+  }, plan.entitlements);
+
+  // Enable user account (not while a dispute is open)
+  if (!traccarClient.isUnderDispute(user)) {
+    await traccarClient.setUserStatus(user.id, false);
+  }
+
+  logger.info(`Subscription activated for user ${user.id} - Plan: ${plan.name}`);
+}
+
+/**
+ * Handle customer.subscription.updated event
+ */
+async function handleSubscriptionUpdated(subscription, event) {
+  logger.info(`Processing subscription updated: ${subscription.id}`);
+
+  const { metadata, status, items } = subscription;
+  const { price } = items.data[0];
+
+  const basePlan = await overrideService.resolvePlan(price);
+  if (!basePlan) {
+    logger.error(`Unknown price ID: ${price.id}`);
+    return;
+  }
+
+  const user = await resolveUser({ customerId: subscription.customer, email: metadata.userEmail });
+  if (!user) {
+    return;
+  }
+  const plan = await overrideService.getEffectivePlan(basePlan, user.id);
+
+  // Update subscription in database (if available)
+  let subscriptionRowId;
+  try {
+    subscriptionRowId = await subscriptionService.upsertSubscription(user.id, {
+      plan_id: plan.id,
+      plan_version: plan.version,
+      billing_interval: plan.interval,
+      currency: plan.currency,
+      unit_amount: items.data[0].price.unit_amount,
+      quantity: items.data[0].quantity,
+      stripe_customer_id: subscription.customer,
+      stripe_subscription_id: subscription.id,
+      status: status,
+      device_limit: plan.deviceLimit,
+      current_period_start: new Date(subscription.current_period_start * 1000),
+      current_period_end: new Date(subscription.current_period_end * 1000),
+      trial_start: subscription.trial_start ? new Date(subscription.trial_start * 1000) : null,
+      trial_end: subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
+      cancel_at_period_end: subscription.cancel_at_period_end || false,
+      canceled_at: subscription.canceled_at ? new Date(subscription.canceled_at * 1000) : null,
+      coupon_id: subscription.discount?.coupon?.id || null,
+      promotion_code_id: subscription.discount?.promotion_code || null,
+      event_created: event.created,
+    });
+  } catch (dbError) {
+    logger.warn('Database not available for subscription update');
+  }
+
+  if (subscriptionRowId === null) {
+    return ignoreStaleEvent(user.id, event);
+  }
+
+  // Update device limit in tc_users.attributes for backward compatibility
+  await traccarClient.updateUserLimits(user.id, plan.deviceLimit, {
+    subscriptionPlan: plan.id,
+    billingInterval: plan.interval,
+    billingCurrency: plan.currency,
+    subscriptionStatus: status,
+    currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
+    cancelAtPeriodEnd: subscription.cancel_at_period_end || false,
+  }, plan.entitlements);
+
+  // Handle status changes
+  if (status === 'unpaid' || status === 'past_due') {
+    logger.warn(`Subscription payment issue for user ${user.id}`);
+
+    // Start the grace period; the dunning sweep escalates from here
+    try {
+      await dunningService.startDunning(user.id);
+    } catch (error) {
+      logger.warn(`Could not start dunning for user ${user.id}: ${error.message}`);
+    }
+  } else if (status === 'active') {
+    if (!traccarClient.isUnderDispute(user)) {
+      await traccarClient.setUserStatus(user.id, false);
+    }
+    await restoreFromDunning(user.id, 'subscription_active');
+  }
+
+  logger.info(`Subscription updated for user ${user.id} - Status: ${status}`);
+}
+
+/**
+ * Handle customer.subscription.deleted event
+ */
+async function handleSubscriptionDeleted(subscription, event) {
+  logger.info(`Processing subscription deleted: ${subscription.id}`);
+
+  const { metadata } = subscription;
+
+  const user = await resolveUser({ customerId: subscription.customer, email: metadata.userEmail });
+  if (!user) {
+    return;
+  }
+
+  await revokeAccess(user.id, event.created);
+
+  logger.info(`Subscription canceled for user ${user.id}`);
+}
+
+/**
+ * Handle invoice.payment_failed event
+ */
+async function handlePaymentFailed(invoice, event) {
+  logger.warn(`Payment failed for subscription: ${invoice.subscription}`);
+
+  const user = await resolveUser({ customerId: invoice.customer, email: invoice.customer_email });
+  if (!user) {
+    return;
+  }
+
+  // Update subscription status
+  await traccarClient.updateUserLimits(user.id, user.deviceLimit, {
+    subscriptionStatus: 'payment_failed',
+    lastPaymentAttempt: new Date().toISOString(),
+  });
+
+  // Add history entry (if database available)
+  try {
+    await subscriptionService.addSubscriptionHistory(
+      user.id,
+      'payment_failed',
+      `Payment failed for invoice ${invoice.id}`,
+      { invoice_id: invoice.id, amount: invoice.amount_due }
+    );
+  } catch (dbError) {
+    logger.warn('Could not log payment failure to database');
+  }
+
+  logger.info(`Payment failed notification for user ${user.id}`);
+}
+
+/**
+ * Handle invoice.payment_succeeded event
+ */
+async function handlePaymentSucceeded(invoice, event) {
+  logger.info(`Payment succeeded for subscription: ${invoice.subscription}`);
+
+  const user = await resolveUser({ customerId: invoice.customer, email: invoice.customer_email });
+  if (!user) {
+    return;
+  }
+
+  // This can arrive after customer.subscription.deleted; only re-enable a live subscription
+  if (invoice.subscription) {
+    const current = await stripe.subscriptions.retrieve(invoice.subscription);
+    if (!['active', 'trialing'].includes(current.status)) {
+      logger.warn(`Subscription ${invoice.subscription} is ${current.status}, not re-enabling user ${user.id}`);
+      return ignoreStaleEvent(user.id, event);
+    }
+  }
+
+  // Update subscription status
+  await traccarClient.updateUserLimits(user.id, user.deviceLimit, {
+    subscriptionStatus: 'active',
+    lastPaymentDate: new Date().toISOString(),
+  });
+
+  // Ensure account is enabled and lift any dunning restrictions (not while a dispute is open)
+  if (!traccarClient.isUnderDispute(user)) {
+    await traccarClient.setUserStatus(user.id, false);
+  }
+  await restoreFromDunning(user.id, 'payment');
+  await traccarClient.updateUserAttributes(user.id, {
+    billingAlert: null,
+    billingActionUrl: null,
+  });
+
+  // Add history entry (if database available)
+  try {
+    await subscriptionService.addSubscriptionHistory(
+      user.id,
+      'payment_succeeded',
+      `Payment succeeded for invoice ${invoice.id}`,
+      { invoice_id: invoice.id, amount: invoice.amount_paid }
+    );
+  } catch (dbError) {
+    logger.warn('Could not log payment success to database');
+  }
+
+  logger.info(`Payment confirmed for user ${user.id}`);
+}
+
+/**
+ * Handle customer.updated event
+ * Keeps the linked Traccar login in sync when the email changes in Stripe
+ */
+async function handleCustomerUpdated(customer) {
+  logger.info(`Processing customer updated: ${customer.id}`);
+
+  // Resolve by customer ID only: the old email no longer matches Stripe
+  const user = await resolveUser({ customerId: customer.id });
+  if (!user || !customer.email || user.email === customer.email) {
+    return;
+  }
+
+  const existing = await traccarClient.getUserByEmail(customer.email);
+  if (existing && existing.id !== user.id) {
+    logger.error(`Cannot change email for user ${user.id}: ${customer.email} belongs to user ${existing.id}`);
+    return;
+  }
+
+  const previousEmail = user.email;
+  await traccarClient.updateUserEmail(user.id, customer.email);
+
+  // Add history entry (if database available)
+  try {
+    await subscriptionService.addSubscriptionHistory(
+      user.id,
+      'email_changed',
+      `Email changed from ${previousEmail} to ${customer.email} in Stripe`,
+      { customer_id: customer.id, old_email: previousEmail, new_email: customer.email }
+    );
+  } catch (dbError) {
+    logger.warn('Could not log email change to database');
+  }
+
+  logger.info(`Email updated for user ${user.id}`);
+}
+
+/**
+ * Handle charge.refunded event
+ * A full refund ends the subscription and access; partial refunds are only recorded
+ */
+async function handleChargeRefunded(charge, event) {
+  logger.info(`Processing charge refunded: ${charge.id}`);
+
+  const user = await resolveUser({ customerId: charge.customer, email: charge.billing_details?.email });
+  if (!user) {
+    return;
+  }
+
+  const fullRefund = charge.amount_refunded >= charge.amount;
+
+  await addHistory(
+    user.id,
+    fullRefund ? 'charge_refunded' : 'charge_partially_refunded',
+    `${fullRefund ? 'Full' : 'Partial'} refund of ${formatAmount(charge.amount_refunded, charge.currency)} on charge ${charge.id}`,
+    {
+      charge_id: charge.id,
+      invoice_id: charge.invoice || null,
+      amount: charge.amount,
+      amount_refunded: charge.amount_refunded,
+      currency: charge.currency,
+    }
+  );
+
+  if (!fullRefund) {
+    return;
+  }
+
+  await cancelChargeSubscription(charge);
+  await revokeAccess(user.id, event.created);
+
+  logger.info(`Access ended for user ${user.id} after full refund of ${charge.id}`);
+}
+
+/**
+ * Handle charge.dispute.created event
+ * Suspends the account while the dispute is under review
+ */
+async function handleDisputeCreated(dispute) {
+  logger.warn(`Processing dispute created: ${dispute.id} (${dispute.reason})`);
+
+  const charge = await stripe.charges.retrieve(dispute.charge);
+  const user = await resolveUser({ customerId: charge.customer, email: charge.billing_details?.email });
+  if (!user) {
+    return;
+  }
+
+  await traccarClient.setUserStatus(user.id, true);
+  await traccarClient.updateUserAttributes(user.id, {
+    disputeStatus: 'under_review',
+    billingAlert: DISPUTE_ALERT,
+  });
+
+  await addHistory(
+    user.id,
+    'dispute_created',
+    `Dispute ${dispute.id} opened for ${formatAmount(dispute.amount, dispute.currency)} (${dispute.reason}); account suspended`,
+    {
+      dispute_id: dispute.id,
+      charge_id: dispute.charge,
+      amount: dispute.amount,
+      currency: dispute.currency,
+      reason: dispute.reason,
+    }
+  );
+
+  logger.info(`Account suspended for user ${user.id} pending dispute ${dispute.id}`);
+}
+
+/**
+ * Handle charge.dispute.closed event
+ * A won dispute lifts the suspension; a lost one ends access like a full refund
+ */
+async function handleDisputeClosed(dispute, event) {
+  logger.info(`Processing dispute closed: ${dispute.id} (${dispute.status})`);
+
+  const charge = await stripe.charges.retrieve(dispute.charge);
+  const user = await resolveUser({ customerId: charge.customer, email: charge.billing_details?.email });
+  if (!user) {
+    return;
+  }
+
+  await addHistory(
+    user.id,
+    'dispute_closed',
+    `Dispute ${dispute.id} closed as ${dispute.status} for ${formatAmount(dispute.amount, dispute.currency)}`,
+    {
+      dispute_id: dispute.id,
+      charge_id: dispute.charge,
+      amount: dispute.amount,
+      currency: dispute.currency,
+      status: dispute.status,
+    }
+  );
+
+  if (dispute.status === 'lost') {
+    await cancelChargeSubscription(charge);
+    await revokeAccess(user.id, event.created);
+    await traccarClient.updateUserAttributes(user.id, { disputeStatus: 'lost' });
+    logger.info(`Access ended for user ${user.id} after lost dispute ${dispute.id}`);
+    return;
+  }
+
+  // won or warning_closed: lift the dispute hold, leaving any other reason the account is disabled
+  await traccarClient.updateUserAttributes(user.id, {
+    disputeStatus: null,
+    ...(user.attributes?.billingAlert === DISPUTE_ALERT ? { billingAlert: null } : {}),
+  });
+  if (await hasLiveAccess(user)) {
+    await traccarClient.setUserStatus(user.id, false);
+    logger.info(`Suspension lifted for user ${user.id} after dispute ${dispute.id}`);
+  } else {
+    logger.info(`Dispute hold lifted for user ${user.id} after dispute ${dispute.id}; account stays disabled`);
+  }
+}
+
+/**
+ * Handle invoice.payment_action_required event
+ * Shows a billing alert so the user can complete 3-D Secure authentication
+ */
+async function handlePaymentActionRequired(invoice) {
+  logger.warn(`Payment action required for invoice: ${invoice.id}`);
+
+  const user = await resolveUser({ customerId: invoice.customer, email: invoice.customer_email });
+  if (!user) {
+    return;
+  }
+
+  await traccarClient.updateUserAttributes(user.id, {
+    billingAlert: 'Your bank requires you to confirm your latest payment.',
+    billingActionUrl: invoice.hosted_invoice_url || null,
+  });
+
+  await addHistory(
+    user.id,
+    'payment_action_required',
+    `Payment of ${formatAmount(invoice.amount_due, invoice.currency)} for invoice ${invoice.id} requires authentication`,
+    {
+      invoice_id: invoice.id,
+      amount: invoice.amount_due,
+      currency: invoice.currency,
+      hosted_invoice_url: invoice.hosted_invoice_url || null,
+    }
+  );
+
+  logger.info(`Billing alert set for user ${user.id}`);
+}
+
+/**
+ * Handle customer.subscription.trial_will_end event (sent 3 days before the trial ends)
+ */
+async function handleTrialWillEnd(subscription) {
+  logger.info(`Processing trial will end: ${subscription.id}`);
+
+  const user = await resolveUser({ customerId: subscription.customer, email: subscription.metadata.userEmail });
+  if (!user || !subscription.trial_end) {
+    return;
+  }
+
+  const plan = await overrideService.resolvePlan(subscription.items.data[0].price);
+
+  await notificationService.queueTrialEnding({
+    userId: user.id,
+    email: user.email,
+    name: user.name,
+    planId: plan?.id,
+    subscriptionId: subscription.id,
+    trialEnd: new Date(subscription.trial_end * 1000),
+  });
+}
+
+/**
+ * Handle invoice.upcoming event (sent ahead of each renewal)
+ */
+async function handleInvoiceUpcoming(invoice) {
+  logger.info(`Processing upcoming invoice for subscription: ${invoice.subscription}`);
+
+  const user = await resolveUser({ customerId: invoice.customer, email: invoice.customer_email });
+  if (!user || !invoice.subscription) {
+    return;
+  }
+
+  const price = invoice.lines?.data.find(line => line.price)?.price;
+  const plan = price ? await overrideService.resolvePlan(price) : null;
+  // Same date as the renewal sweep uses, so the reminder is only sent once
+  const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+  const renewalDate = subscription.current_period_end;
+
+  await notificationService.queueRenewalReminder({
+    userId: user.id,
+    email: user.email,
+    name: user.name,
+    planId: plan?.id,
+    subscriptionId: invoice.subscription,
+    renewalDate: new Date(renewalDate * 1000),
+    amount: formatAmount(invoice.amount_due, invoice.currency),
+  });
+}
+
+/**
+ * Handle invoice.finalized, invoice.paid and invoice.voided events: update the invoice mirror
+ */
+async function handleInvoiceChanged(invoice, event) {
+  logger.info(`Processing ${event.type}: ${invoice.id}`);
+
+  const user = await resolveUser({ customerId: invoice.customer, email: invoice.customer_email });
+
+  // The mirror is a cache; invoice history falls back to Stripe without it
+  let applied;
+  try {
+    applied = await invoiceService.upsertInvoice(invoice, {
+      userId: user?.id || null,
+      eventCreated: event.created,
+    });
+  } catch (dbError) {
+    logger.warn('Database not available for invoice mirror');
+    return undefined;
+  }
+
+  return applied ? undefined : { stale: true };
+}
+
+/**
+ * End a user's subscription and access: database row, Traccar account and limits
+ */
+async function revokeAccess(userId, eventCreated) {
+  // End subscription in database (if available)
+  try {
+    await subscriptionService.endSubscription(userId, eventCreated);
+  } catch (dbError) {
+    logger.warn('Database not available for subscription deletion');
+  }
+
+  // Disable user account
+  await traccarClient.setUserStatus(userId, true);
+
+  // Reduce device limit to 0 and remove the plan's entitlements
+  await traccarClient.updateUserLimits(userId, 0, {
+    subscriptionStatus: 'canceled',
+  }, NO_PLAN_ENTITLEMENTS);
+}
+
+/**
+ * Whether a user's subscription entitles them to an enabled account: live, not an
+ * expired trial and not disabled by dunning. Without the database, the status and
+ * dunning stage last written to the Traccar user decide.
+ */
+async function hasLiveAccess(user) {
+  let row = null;
+  try {
+    row = await subscriptionService.getSubscriptionByUserId(user.id);
+  } catch (dbError) {
+    logger.warn(`Database not available for subscription of user ${user.id}`);
+  }
+
+  const status = row ? row.status : user.attributes?.subscriptionStatus;
+  const dunningStage = (row ? row.dunning_stage : user.attributes?.dunningStage) || 'none';
+  const trialExpired = status === 'trialing' && row?.trial_end && new Date(row.trial_end) < new Date();
+
+  return LIVE_STATUSES.includes(status) && !trialExpired && compareDunningStages(dunningStage, 'disabled') < 0;
+}
+
+/**
+ * Cancel the subscription a charge paid for, if it is still live
+ */
+async function cancelChargeSubscription(charge) {
+  if (!charge.invoice) {
+    return;
+  }
+
+  const invoiceId = typeof charge.invoice === 'string' ? charge.invoice : charge.invoice.id;
+  const invoice = await stripe.invoices.retrieve(invoiceId);
+  if (!invoice.subscription) {
+    return;
+  }
+
+  const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+  if (['canceled', 'incomplete_expired'].includes(subscription.status)) {
+    return;
+  }
+
+  await stripe.subscriptions.cancel(subscription.id, { prorate: false });
+  logger.info(`Canceled subscription ${subscription.id} after charge ${charge.id} was reversed`);
+}
+
+/**
+ * Add a history entry (if database available)
+ */
+async function addHistory(userId, eventType, description, metadata) {
+  try {
+    await subscriptionService.addSubscriptionHistory(userId, eventType, description, metadata);
+  } catch (dbError) {
+    logger.warn(`Could not log ${eventType} to database`);
+  }
+}
+
+/**
+ * Format a Stripe amount (minor units), e.g. 2000 usd -> "20.00 USD"
+ */
+function formatAmount(amount, currency) {
+  if (ZERO_DECIMAL_CURRENCIES.includes(currency)) {
+    return `${amount} ${currency.toUpperCase()}`;
+  }
+  return `${(amount / 100).toFixed(2)} ${currency.toUpperCase()}`;
+}
+
+/**
+ * Record an event that was not applied because newer data already was
+ */
+async function ignoreStaleEvent(userId, event) {
+  logger.warn(`Ignoring stale ${event.type} event ${event.id} for user ${userId}`);
+
+  // Add history entry (if database available)
+  try {
+    await subscriptionService.addSubscriptionHistory(
+      userId,
+      'stale_event_ignored',
+      `Ignored out-of-order ${event.type} event ${event.id}`,
+      { event_id: event.id, event_type: event.type, event_created: event.created }
+    );
+  } catch (dbError) {
+    logger.warn('Could not log stale event to database');
+  }
+
+  return { stale: true };
+}
+
+/**
+ * Lift dunning restrictions (if database available)
+ */
+async function restoreFromDunning(userId, reason) {
+  try {
+    await dunningService.restore(userId, reason);
+  } catch (error) {
+    logger.warn(`Could not lift dunning restrictions for user ${userId}: ${error.message}`);
+  }
+}
+
+/**
+ * Generate random password for new users
+ */
+function generateRandomPassword() {
+  return Math.random().toString(36).slice(-12) + Math.random().toString(36).slice(-12);
+}
@@ -0,0 +1,101 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import traccarClient from './traccarClient.js';
+import subscriptionService from './subscriptionService.js';
+import { handleStripeEvent } from './webhookHandlers.js';
+
+const disputeClosed = (status) => ({
+  id: 'evt_1',
+  type: 'charge.dispute.closed',
+  created: 1700000000,
+  data: { object: { id: 'dp_1', charge: 'ch_1', status, amount: 2000, currency: 'usd' } },
+});
+
+describe('webhookHandlers', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('charge.dispute.closed', () => {
+    let user;
+    let traccar;
+
+    beforeEach(() => {
+      user = {
+        id: 1,
+        disabled: true,
+        attributes: {
+          disputeStatus: 'under_review',
+          billingAlert: 'Your account is suspended while a payment dispute is reviewed.',
+        },
+      };
+      mock.method(Stripe.resources.Charges.prototype, 'retrieve', async () => ({ id: 'ch_1', customer: 'cus_1' }));
+      mock.method(subscriptionService, 'getSubscriptionByCustomerId', async () => ({ userid: 1 }));
+      mock.method(subscriptionService, 'addSubscriptionHistory', async () => {});
+      mock.method(traccarClient, 'getUserById', async () => user);
+      traccar = {
+        setUserStatus: mock.method(traccarClient, 'setUserStatus', async () => {}),
+        updateUserAttributes: mock.method(traccarClient, 'updateUserAttributes', async () => {}),
+      };
+    });
+
+    const subscriptionRow = (fields) => mock.method(subscriptionService, 'getSubscriptionByUserId', async () => ({
+      status: 'active',
+      dunning_stage: 'none',
+      trial_end: null,
+      ...fields,
+    }));
+
+    it('enables a live account when the dispute is won', async () => {
+      subscriptionRow({});
+
+      await handleStripeEvent(disputeClosed('won'));
+
+      assert.deepEqual(traccar.updateUserAttributes.mock.calls[0].arguments, [1, { disputeStatus: null, billingAlert: null }]);
+      assert.deepEqual(traccar.setUserStatus.mock.calls[0].arguments, [1, false]);
+    });
+
+    it('keeps a canceled account disabled', async () => {
+      subscriptionRow({ status: 'canceled' });
+
+      await handleStripeEvent(disputeClosed('won'));
+
+      assert.equal(traccar.updateUserAttributes.mock.calls[0].arguments[1].disputeStatus, null);
+      assert.equal(traccar.setUserStatus.mock.callCount(), 0);
+    });
+
+    it('keeps an expired trial disabled', async () => {
+      subscriptionRow({ status: 'trialing', trial_end: new Date(Date.now() - 60000) });
+
+      await handleStripeEvent(disputeClosed('warning_closed'));
+
+      assert.equal(traccar.setUserStatus.mock.callCount(), 0);
+    });
+
+    it('keeps an account dunning disabled, and its dunning alert', async () => {
+      subscriptionRow({ status: 'past_due', dunning_stage: 'disabled' });
+      user.attributes.billingAlert = 'Your payment is past due.';
+
+      await handleStripeEvent(disputeClosed('won'));
+
+      assert.deepEqual(traccar.updateUserAttributes.mock.calls[0].arguments, [1, { disputeStatus: null }]);
+      assert.equal(traccar.setUserStatus.mock.callCount(), 0);
+    });
+
+    it('enables a past-due account dunning has not disabled', async () => {
+      subscriptionRow({ status: 'past_due', dunning_stage: 'readonly' });
+
+      await handleStripeEvent(disputeClosed('won'));
+
+      assert.deepEqual(traccar.setUserStatus.mock.calls[0].arguments, [1, false]);
+    });
+
+    it('uses the Traccar attributes without the database', async () => {
+      mock.method(subscriptionService, 'getSubscriptionByUserId', async () => { throw new Error('Database not initialized'); });
+      user.attributes.subscriptionStatus = 'trial_expired';
+
+      await handleStripeEvent(disputeClosed('won'));
+
+      assert.equal(traccar.setUserStatus.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import os from 'os';
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import database from './database.js';
+import subscriptionService from './subscriptionService.js';
+import { handleStripeEvent } from './webhookHandlers.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Webhook Worker
+ * Processes Stripe events queued in tc_stripe_events with exponential backoff,
+ * a maximum attempt count and a dead-letter state
+ */
+class WebhookWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.running = false;
+    this.stopped = true;
+    this.currentRun = null;
+    this.pollFailing = false;
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (!this.stopped) {
+      return;
+    }
+
+    this.stopped = false;
+    logger.info(`Webhook worker ${this.workerId} started`);
+    this.schedule(0);
+  }
+
+  /**
+   * Stop polling and wait for the event in progress to finish
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    logger.info(`Webhook worker ${this.workerId} stopped`);
+  }
+
+  /**
+   * Process the queue now instead of waiting for the next poll
+   */
+  wake() {
+    if (!this.stopped && !this.running) {
+      this.schedule(0);
+    }
+  }
+
+  schedule(delayMs) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.currentRun = this.drain().finally(() => {
+        this.currentRun = null;
+        if (!this.stopped) {
+          this.schedule(config.webhooks.pollIntervalMs);
+        }
+      });
+    }, delayMs);
+  }
+
+  /**
+   * Process due events until the queue is empty or the worker is stopped
+   */
+  async drain() {
+    // Without a pool there is nothing queued; the webhook route initializes it on demand
+    if (this.running || !database.isInitialized()) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      while (!this.stopped) {
+        const lockToken = this.createLockToken();
+        const row = await subscriptionService.claimNextStripeEvent(
+          lockToken,
+          config.webhooks.lockTimeoutSeconds
+        );
+
+        if (!row) {
+          break;
+        }
+
+        await this.processEvent(row, lockToken);
+      }
+
+      if (this.pollFailing) {
+        logger.info('Webhook worker reconnected to the event queue');
+        this.pollFailing = false;
+      }
+    } catch (error) {
+      // Log once per outage rather than on every poll while the database is down
+      if (!this.pollFailing) {
+        logger.error(`Webhook worker poll failed: ${error.message}`);
+        this.pollFailing = true;
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Create a unique token for locking one event
+   */
+  createLockToken() {
+    return `${this.workerId}:${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  /**
+   * Run one claimed event through the webhook handlers.
+   * Returns the resulting queue status and error, if any.
+   */
+  async processEvent(row, lockToken) {
+    const event = {
+      id: row.stripe_event_id,
+      type: row.event_type,
+      created: row.stripe_created,
+      data: {
+        object: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload,
+      },
+    };
+
+    try {
+      const result = await handleStripeEvent(event);
+      const status = result?.stale ? 'stale' : 'processed';
+
+      await subscriptionService.completeStripeEvent(event.id, lockToken, status);
+      logger.info(`Stripe event ${event.id} (${event.type}) ${status} on attempt ${row.attempts}`);
+      return { status };
+    } catch (error) {
+      const retryDelaySeconds = this.getRetryDelay(row.attempts);
+
+      if (retryDelaySeconds === null) {
+        logger.error(`Stripe event ${event.id} dead-lettered after ${row.attempts} attempts: ${error.message}`);
+      } else {
+        logger.warn(`Stripe event ${event.id} failed on attempt ${row.attempts}, retrying in ${retryDelaySeconds}s: ${error.message}`);
+      }
+
+      await subscriptionService.failStripeEvent(event.id, lockToken, error.message, retryDelaySeconds);
+      return { status: retryDelaySeconds === null ? 'dead' : 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Exponential backoff in seconds, or null once the attempt budget is spent
+   */
+  getRetryDelay(attempts) {
+    const { maxAttempts, backoffBaseSeconds, backoffMaxSeconds } = config.webhooks;
+
+    if (attempts >= maxAttempts) {
+      return null;
+    }
+
+    return Math.min(backoffBaseSeconds * 2 ** (attempts - 1), backoffMaxSeconds);
+  }
+}
+
+// Export singleton instance
+export default new WebhookWorker();
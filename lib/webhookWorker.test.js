@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config/index.js';
+import database from './database.js';
+import subscriptionService from './subscriptionService.js';
+import webhookWorker from './webhookWorker.js';
+
+const row = (fields = {}) => ({
+  stripe_event_id: 'evt_1',
+  event_type: 'some.unhandled_event',
+  stripe_created: 1700000000,
+  attempts: 1,
+  payload: '{"id":"obj_1"}',
+  ...fields,
+});
+
+describe('webhookWorker', () => {
+  const settings = { ...config.webhooks };
+
+  beforeEach(() => {
+    Object.assign(config.webhooks, { maxAttempts: 5, backoffBaseSeconds: 30, backoffMaxSeconds: 300 });
+  });
+
+  afterEach(() => {
+    Object.assign(config.webhooks, settings);
+    mock.restoreAll();
+  });
+
+  describe('getRetryDelay', () => {
+    it('doubles the delay after each attempt', () => {
+      assert.deepEqual([1, 2, 3].map(attempts => webhookWorker.getRetryDelay(attempts)), [30, 60, 120]);
+    });
+
+    it('caps the delay at the maximum', () => {
+      assert.equal(webhookWorker.getRetryDelay(4), 240);
+      config.webhooks.maxAttempts = 10;
+      assert.equal(webhookWorker.getRetryDelay(6), 300);
+    });
+
+    it('gives up once the attempt budget is spent', () => {
+      assert.equal(webhookWorker.getRetryDelay(5), null);
+      assert.equal(webhookWorker.getRetryDelay(6), null);
+    });
+  });
+
+  describe('processEvent', () => {
+    it('completes an event its handler accepts', async () => {
+      const complete = mock.method(subscriptionService, 'completeStripeEvent', async () => {});
+      const fail = mock.method(subscriptionService, 'failStripeEvent', async () => {});
+
+      const result = await webhookWorker.processEvent(row(), 'lock-1');
+
+      assert.deepEqual(result, { status: 'processed' });
+      assert.deepEqual(complete.mock.calls[0].arguments, ['evt_1', 'lock-1', 'processed']);
+      assert.equal(fail.mock.callCount(), 0);
+    });
+
+    it('schedules a retry with backoff when the handler throws', async () => {
+      mock.method(subscriptionService, 'completeStripeEvent', async () => {});
+      const fail = mock.method(subscriptionService, 'failStripeEvent', async () => {});
+
+      // invoice.upcoming without an invoice object makes the handler throw
+      const result = await webhookWorker.processEvent(row({ event_type: 'invoice.upcoming', payload: null, attempts: 2 }), 'lock-1');
+
+      assert.equal(result.status, 'failed');
+      const [eventId, lockToken, error, retryDelaySeconds] = fail.mock.calls[0].arguments;
+      assert.deepEqual([eventId, lockToken, retryDelaySeconds], ['evt_1', 'lock-1', 60]);
+      assert.match(error, /null/);
+    });
+
+    it('dead-letters an event on its last attempt', async () => {
+      const fail = mock.method(subscriptionService, 'failStripeEvent', async () => {});
+
+      const result = await webhookWorker.processEvent(row({ event_type: 'invoice.upcoming', payload: null, attempts: 5 }), 'lock-1');
+
+      assert.equal(result.status, 'dead');
+      assert.equal(fail.mock.calls[0].arguments[3], null);
+    });
+  });
+
+  describe('failStripeEvent', () => {
+    it('marks a retried event failed with its next attempt time', async () => {
+      const query = mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+
+      await subscriptionService.failStripeEvent('evt_1', 'lock-1', 'boom', 60);
+
+      const [sql, params] = query.mock.calls[0].arguments;
+      assert.match(sql, /DATE_ADD\(NOW\(\), INTERVAL \? SECOND\)/);
+      assert.deepEqual(params, ['failed', 'boom', 60, 'evt_1', 'lock-1']);
+    });
+
+    it('marks a dead-lettered event dead with no next attempt', async () => {
+      const query = mock.method(database, 'query', async () => ({ affectedRows: 1 }));
+
+      await subscriptionService.failStripeEvent('evt_1', 'lock-1', 'boom', null);
+
+      const [sql, params] = query.mock.calls[0].arguments;
+      assert.match(sql, /next_attempt_at = NULL/);
+      assert.deepEqual(params, ['dead', 'boom', 'evt_1', 'lock-1']);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Require the admin API key, sent as "Authorization: Bearer <key>" or "X-Admin-Key: <key>"
+ */
+export const requireAdmin = (req, res, next) => {
+  const { adminApiKey } = config.security;
+
+  if (!adminApiKey) {
+    return res.status(503).json({
+      error: 'Admin API disabled',
+      message: 'ADMIN_API_KEY is not configured',
+    });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const provided = authHeader.startsWith('Bearer ')
+    ? authHeader.slice('Bearer '.length)
+    : req.headers['x-admin-key'] || '';
+
+  const expectedBuffer = Buffer.from(adminApiKey);
+  const providedBuffer = Buffer.from(provided);
+
+  if (providedBuffer.length !== expectedBuffer.length
+    || !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+    logger.warn(`Rejected admin request: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Valid admin API key required',
+    });
+  }
+
+  next();
+};
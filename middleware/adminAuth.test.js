@@ -0,0 +1,54 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config/index.js';
+import { requireAdmin } from './adminAuth.js';
+
+const run = (headers) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+  const next = mock.fn();
+  requireAdmin({ headers, method: 'POST', originalUrl: '/admin/events/replay' }, res, next);
+  return { res, next };
+};
+
+describe('requireAdmin', () => {
+  const { adminApiKey } = config.security;
+
+  beforeEach(() => {
+    config.security.adminApiKey = 'secret-key';
+  });
+
+  afterEach(() => {
+    config.security.adminApiKey = adminApiKey;
+  });
+
+  it('accepts the key as a bearer token or X-Admin-Key', () => {
+    assert.equal(run({ authorization: 'Bearer secret-key' }).next.mock.callCount(), 1);
+    assert.equal(run({ 'x-admin-key': 'secret-key' }).next.mock.callCount(), 1);
+  });
+
+  it('rejects a missing or wrong key', () => {
+    for (const headers of [{}, { authorization: 'Bearer secret-kez' }, { 'x-admin-key': 'secret' }]) {
+      const { res, next } = run(headers);
+      assert.equal(res.statusCode, 401);
+      assert.equal(next.mock.callCount(), 0);
+    }
+  });
+
+  it('disables the admin API without a configured key', () => {
+    config.security.adminApiKey = '';
+
+    const { res, next } = run({ authorization: 'Bearer ' });
+
+    assert.equal(res.statusCode, 503);
+    assert.equal(next.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,85 @@
+import traccarClient from '../lib/traccarClient.js';
+import logger from '../utils/logger.js';
+
+// Traccar's session cookie
+const SESSION_COOKIE = 'JSESSIONID';
+
+/**
+ * Pick the Traccar session cookie out of the Cookie header
+ */
+const getSessionCookie = (cookieHeader = '') => {
+  const cookie = cookieHeader
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${SESSION_COOKIE}=`));
+
+  return cookie || null;
+};
+
+/**
+ * The Traccar session credentials a request carries
+ */
+const getSessionCredentials = (req) => {
+  const authHeader = req.headers.authorization || '';
+  return {
+    token: authHeader.startsWith('Bearer ') ? authHeader.slice('Bearer '.length) : null,
+    cookie: getSessionCookie(req.headers.cookie),
+  };
+};
+
+/**
+ * Require a valid Traccar session, sent as the Traccar session cookie or as
+ * "Authorization: Bearer <token>". The Traccar user is attached as req.user.
+ */
+export const requireTraccarUser = async (req, res, next) => {
+  const { token, cookie } = getSessionCredentials(req);
+
+  if (!token && !cookie) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Traccar session required',
+    });
+  }
+
+  let user;
+  try {
+    user = await traccarClient.getSessionUser({ cookie, token });
+  } catch (error) {
+    logger.error(`Failed to validate Traccar session: ${error.message}`);
+    return res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Unable to validate session',
+    });
+  }
+
+  if (!user) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or expired Traccar session',
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
+/**
+ * Attach the Traccar user as req.user when the request carries a valid session.
+ * Requests without one, or with an invalid one, continue anonymously.
+ */
+export const optionalTraccarUser = async (req, res, next) => {
+  const { token, cookie } = getSessionCredentials(req);
+
+  if (token || cookie) {
+    try {
+      const user = await traccarClient.getSessionUser({ cookie, token });
+      if (user) {
+        req.user = user;
+      }
+    } catch (error) {
+      logger.warn(`Failed to validate Traccar session, continuing anonymously: ${error.message}`);
+    }
+  }
+
+  next();
+};
@@ -0,0 +1,90 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import traccarClient from '../lib/traccarClient.js';
+import { optionalTraccarUser, requireTraccarUser } from './auth.js';
+
+const request = (headers = {}) => ({ headers });
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const run = async (middleware, req) => {
+  const res = response();
+  const next = mock.fn();
+  await middleware(req, res, next);
+  return { res, next };
+};
+
+describe('auth middleware', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('requireTraccarUser', () => {
+    it('attaches the user of a bearer token', async () => {
+      const getSessionUser = mock.method(traccarClient, 'getSessionUser', async () => ({ id: 1 }));
+      const req = request({ authorization: 'Bearer abc' });
+
+      const { next } = await run(requireTraccarUser, req);
+
+      assert.deepEqual(getSessionUser.mock.calls[0].arguments, [{ token: 'abc', cookie: null }]);
+      assert.deepEqual(req.user, { id: 1 });
+      assert.equal(next.mock.callCount(), 1);
+    });
+
+    it('forwards only the Traccar session cookie', async () => {
+      const getSessionUser = mock.method(traccarClient, 'getSessionUser', async () => ({ id: 1 }));
+
+      await run(requireTraccarUser, request({ cookie: 'theme=dark; JSESSIONID=node01abc; lang=en' }));
+
+      assert.deepEqual(getSessionUser.mock.calls[0].arguments, [{ token: null, cookie: 'JSESSIONID=node01abc' }]);
+    });
+
+    it('rejects a request without a session', async () => {
+      const getSessionUser = mock.method(traccarClient, 'getSessionUser', async () => ({ id: 1 }));
+
+      const { res, next } = await run(requireTraccarUser, request({ cookie: 'theme=dark' }));
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(next.mock.callCount(), 0);
+      assert.equal(getSessionUser.mock.callCount(), 0);
+    });
+
+    it('rejects an expired session', async () => {
+      mock.method(traccarClient, 'getSessionUser', async () => null);
+
+      const { res, next } = await run(requireTraccarUser, request({ authorization: 'Bearer abc' }));
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(next.mock.callCount(), 0);
+    });
+
+    it('returns a 503 when Traccar cannot be reached', async () => {
+      mock.method(traccarClient, 'getSessionUser', async () => { throw new Error('ECONNREFUSED'); });
+
+      const { res } = await run(requireTraccarUser, request({ authorization: 'Bearer abc' }));
+
+      assert.equal(res.statusCode, 503);
+    });
+  });
+
+  describe('optionalTraccarUser', () => {
+    it('continues anonymously when the session cannot be validated', async () => {
+      mock.method(traccarClient, 'getSessionUser', async () => { throw new Error('ECONNREFUSED'); });
+      const req = request({ authorization: 'Bearer abc' });
+
+      const { next } = await run(optionalTraccarUser, req);
+
+      assert.equal(req.user, undefined);
+      assert.equal(next.mock.callCount(), 1);
+    });
+  });
+});
@@ -34,6 +34,14 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Errors meant for the client (see clientError)
+  if (err.expose) {
+    return res.status(err.statusCode || 400).json({
+      success: false,
+      error: err.message,
+    });
+  }
+
   // Default error response
   const statusCode = err.statusCode || 500;
   res.status(statusCode).json({
@@ -44,6 +52,16 @@ export const errorHandler = (err, req, res, next) => {
   });
 };
 
+/**
+ * Create an error whose message is sent to the client with the given status code
+ */
+export const clientError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.expose = true;
+  return error;
+};
+
 /**
  * 404 handler
  */
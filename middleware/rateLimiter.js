@@ -22,6 +22,17 @@ export const checkoutLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Promotion code rate limiter (slows down guessing codes)
+ */
+export const promoLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 promotion code checks per window
+  message: 'Too many promotion code attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * Webhook rate limiter
  */
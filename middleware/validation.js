@@ -1,4 +1,35 @@
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import { CANCELLATION_REASONS } from '../lib/cancellationService.js';
+import { BILLING_INTERVALS, BILLING_MODES, SUPPORTED_CURRENCIES, REPORT_TYPES } from '../config/plans.js';
+import planCatalog from '../lib/planCatalog.js';
+import { PRORATION_BEHAVIORS } from '../lib/planMigrationService.js';
+import { DUNNING_STAGES } from '../config/dunning.js';
+
+/**
+ * Optional billing interval in the request body
+ */
+const intervalRule = () => body('interval')
+  .optional()
+  .isIn(BILLING_INTERVALS)
+  .withMessage(`Interval must be one of: ${BILLING_INTERVALS.join(', ')}`);
+
+/**
+ * Plan ID in the request body, which must be a plan on offer in the catalog
+ */
+const planIdRule = () => body('planId')
+  .isString()
+  .custom(planId => planCatalog.isValidPlan(planId))
+  .withMessage(() => `Invalid plan ID. Must be one of: ${planCatalog.getPlanIds().join(', ')}`);
+
+/**
+ * Optional currency in the request body or query string
+ */
+const currencyRule = (location = body) => location('currency')
+  .optional()
+  .isString()
+  .toUpperCase()
+  .isIn(SUPPORTED_CURRENCIES)
+  .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
 
 /**
  * Validate request and return errors if any
@@ -18,10 +49,9 @@ export const validate = (req, res, next) => {
  * Validation rules for checkout session creation
  */
 export const validateCheckoutSession = [
-  body('planId')
-    .isString()
-    .isIn(['test', 'basic', 'moderate', 'advance'])
-    .withMessage('Invalid plan ID. Must be one of: test, basic, moderate, advance'),
+  planIdRule(),
+  intervalRule(),
+  currencyRule(),
   body('email')
     .isEmail()
     .normalizeEmail()
@@ -30,6 +60,57 @@ export const validateCheckoutSession = [
     .optional()
     .isObject()
     .withMessage('Metadata must be an object'),
+  body('promoCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Promotion code must be 1-100 characters'),
+  validate,
+];
+
+/**
+ * Validation rules for card-less trial signup
+ */
+export const validateTrialSignup = [
+  planIdRule(),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Name must be 1-128 characters'),
+  body('password')
+    .isString()
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be 8-128 characters'),
+  validate,
+];
+
+/**
+ * Validation rules for promotion code checks
+ */
+export const validatePromoCode = [
+  body('code')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Promotion code is required'),
+  planIdRule(),
+  intervalRule(),
+  currencyRule(),
+  validate,
+];
+
+/**
+ * Validation rules for plan listings
+ */
+export const validatePlanList = [
+  currencyRule(query),
   validate,
 ];
 
@@ -38,9 +119,67 @@ export const validateCheckoutSession = [
  */
 export const validatePortalSession = [
   body('customerId')
+    .optional()
     .isString()
     .notEmpty()
-    .withMessage('Customer ID is required'),
+    .withMessage('Customer ID must be a non-empty string'),
+  validate,
+];
+
+/**
+ * Validation rules for plan change preview and plan changes
+ */
+export const validatePlanChange = [
+  planIdRule(),
+  intervalRule(),
+  body('prorationBehavior')
+    .optional()
+    .isIn(['create_prorations', 'always_invoice', 'none'])
+    .withMessage('Proration behavior must be one of: create_prorations, always_invoice, none'),
+  body('prorationDate')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Proration date must be a Unix timestamp'),
+  validate,
+];
+
+/**
+ * Validation rules for subscription cancellation
+ */
+export const validateCancellation = [
+  body('reason')
+    .optional()
+    .isIn(CANCELLATION_REASONS)
+    .withMessage(`Reason must be one of: ${CANCELLATION_REASONS.join(', ')}`),
+  body('feedback')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Feedback must be at most 1000 characters'),
+  validate,
+];
+
+/**
+ * Validation rules for invoice history
+ */
+export const validateInvoiceList = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage('Limit must be between 1 and 100'),
+  validate,
+];
+
+/**
+ * Validation rules for invoice ID parameter
+ */
+export const validateInvoiceId = [
+  param('invoiceId')
+    .matches(/^in_[A-Za-z0-9]+$/)
+    .withMessage('Invalid invoice ID'),
   validate,
 ];
 
@@ -50,7 +189,321 @@ export const validatePortalSession = [
 export const validatePlanId = [
   param('planId')
     .isString()
-    .isIn(['test', 'basic', 'moderate', 'advance'])
+    .custom(planId => planCatalog.getPlanById(planId) !== null)
+    .withMessage('Invalid plan ID'),
+  validate,
+];
+
+/**
+ * Check a { interval: { currency: value } } map, e.g. plan prices or Stripe price IDs
+ */
+const isPriceMap = (isValue) => (map) => typeof map === 'object' && map !== null && !Array.isArray(map)
+  && Object.entries(map).every(([interval, byCurrency]) => BILLING_INTERVALS.includes(interval)
+    && typeof byCurrency === 'object' && byCurrency !== null
+    && Object.entries(byCurrency).every(([currency, value]) => SUPPORTED_CURRENCIES.includes(currency) && isValue(value)));
+
+/**
+ * Check plan entitlements: limits are integers (-1 for unlimited), switches are booleans
+ * and reports lists report types
+ */
+const isLimit = value => Number.isInteger(value) && value >= -1;
+const ENTITLEMENT_CHECKS = {
+  geofences: isLimit,
+  subUsers: isLimit,
+  commands: value => typeof value === 'boolean',
+  deviceEditing: value => typeof value === 'boolean',
+  readonly: value => typeof value === 'boolean',
+  reports: value => Array.isArray(value) && value.every(type => REPORT_TYPES.includes(type)),
+};
+const isEntitlements = (entitlements) => typeof entitlements === 'object' && entitlements !== null && !Array.isArray(entitlements)
+  && Object.entries(entitlements).every(([key, value]) => ENTITLEMENT_CHECKS[key]?.(value));
+
+/**
+ * Check a dunning policy: steps of a day (from 0) and a stage, at most one step per day
+ */
+const DUNNING_POLICY_STAGES = DUNNING_STAGES.filter(stage => stage !== 'none');
+const isDunningPolicy = (policy) => Array.isArray(policy) && policy.length > 0
+  && policy.every(step => typeof step === 'object' && step !== null
+    && Number.isInteger(step.day) && step.day >= 0 && DUNNING_POLICY_STAGES.includes(step.stage))
+  && new Set(policy.map(step => step.day)).size === policy.length;
+
+/**
+ * Plan fields shared by plan creation and updates
+ */
+const planFieldRules = () => [
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  body('minQuantity')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Minimum quantity must be a positive integer'),
+  body('trialDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .toInt()
+    .withMessage('Trial days must be between 0 and 365'),
+  body('features')
+    .optional()
+    .isArray()
+    .custom(features => features.every(feature => typeof feature === 'string'))
+    .withMessage('Features must be an array of strings'),
+  body('entitlements')
+    .optional()
+    .custom(isEntitlements)
+    .withMessage(`Entitlements may set geofences and subUsers (-1 for unlimited), commands, deviceEditing and readonly (true/false) and reports (${REPORT_TYPES.join(', ')})`),
+  body('dunningPolicy')
+    .optional({ values: 'null' })
+    .custom(isDunningPolicy)
+    .withMessage(`Dunning policy must be a list of { day, stage } steps with stages ${DUNNING_POLICY_STAGES.join(', ')}`),
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .toInt()
+    .withMessage('Sort order must be an integer'),
+  body('prices')
+    .optional()
+    .custom(isPriceMap(amount => amount === null || (typeof amount === 'number' && amount >= 0)))
+    .withMessage(`Prices must map ${BILLING_INTERVALS.join('/')} to ${SUPPORTED_CURRENCIES.join('/')} amounts`),
+  body('stripePriceIds')
+    .optional()
+    .custom(isPriceMap(priceId => typeof priceId === 'string' && /^price_[A-Za-z0-9]+$/.test(priceId)))
+    .withMessage(`Stripe price IDs must map ${BILLING_INTERVALS.join('/')} to ${SUPPORTED_CURRENCIES.join('/')} price IDs`),
+];
+
+/**
+ * Validation rules for adding a plan to the catalog
+ */
+export const validatePlanCreate = [
+  body('id')
+    .isString()
+    .matches(/^[a-z0-9_-]{2,50}$/)
+    .withMessage('Plan ID must be 2-50 lowercase letters, digits, dashes or underscores'),
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`),
+  body('deviceLimit')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Device limit must be a positive integer'),
+  body('billingMode')
+    .optional()
+    .isIn(BILLING_MODES)
+    .withMessage(`Billing mode must be one of: ${BILLING_MODES.join(', ')}`),
+  ...planFieldRules(),
+  body('prices')
+    .exists()
+    .withMessage('Prices are required'),
+  validate,
+];
+
+/**
+ * Validation rules for changing a plan in the catalog
+ */
+export const validatePlanUpdate = [
+  param('planId')
+    .isString()
     .withMessage('Invalid plan ID'),
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+  body('deviceLimit')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Device limit must be a positive integer'),
+  ...planFieldRules(),
+  validate,
+];
+
+const userIdParam = () => param('userId')
+  .isInt({ min: 1 })
+  .toInt()
+  .withMessage('Invalid user ID');
+
+// Admin responsible for an override change, recorded in the subscription history
+const setByRule = () => body('setBy')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('setBy (the admin making the change) is required');
+
+/**
+ * Validation rules for setting a customer override
+ */
+export const validateOverrideSet = [
+  userIdParam(),
+  setByRule(),
+  body('deviceLimit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Device limit must be a positive integer'),
+  body('userLimit')
+    .optional({ values: 'null' })
+    .custom(isLimit)
+    .withMessage('User limit must be an integer (-1 for unlimited)'),
+  body('entitlements')
+    .optional({ values: 'null' })
+    .custom(isEntitlements)
+    .withMessage(`Entitlements may set geofences and subUsers (-1 for unlimited), commands, deviceEditing and readonly (true/false) and reports (${REPORT_TYPES.join(', ')})`),
+  body('planId')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Plan ID must be a string'),
+  body('stripePriceId')
+    .optional({ values: 'null' })
+    .matches(/^price_[A-Za-z0-9]+$/)
+    .withMessage('Invalid Stripe price ID'),
+  body('notes')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must be at most 1000 characters'),
+  validate,
+];
+
+/**
+ * Validation rules for removing a customer override
+ */
+export const validateOverrideRemove = [
+  userIdParam(),
+  setByRule(),
+  validate,
+];
+
+/**
+ * Validation rules for the user ID parameter
+ */
+export const validateUserId = [
+  userIdParam(),
+  validate,
+];
+
+const MIGRATION_STATUSES = ['scheduled', 'running', 'completed', 'failed', 'canceled'];
+
+const migrationIdParam = () => param('migrationId')
+  .isInt({ min: 1 })
+  .toInt()
+  .withMessage('Invalid migration ID');
+
+/**
+ * Validation rules for scheduling a plan version migration
+ */
+export const validatePlanMigrationCreate = [
+  body('planId')
+    .isString()
+    .custom(planId => planCatalog.getPlanById(planId) !== null)
+    .withMessage('Invalid plan ID'),
+  body(['fromVersion', 'toVersion'])
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Versions must be positive integers'),
+  body('runAt')
+    .optional()
+    .isISO8601()
+    .withMessage('runAt must be an ISO 8601 date'),
+  body('prorationBehavior')
+    .optional()
+    .isIn(PRORATION_BEHAVIORS)
+    .withMessage(`Proration behavior must be one of: ${PRORATION_BEHAVIORS.join(', ')}`),
+  body('createdBy')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('createdBy (the admin scheduling the migration) is required'),
+  validate,
+];
+
+/**
+ * Validation rules for plan version migration list filters
+ */
+export const validatePlanMigrationFilters = [
+  query('status')
+    .optional()
+    .isIn(MIGRATION_STATUSES)
+    .withMessage(`Status must be one of: ${MIGRATION_STATUSES.join(', ')}`),
+  validate,
+];
+
+/**
+ * Validation rules for plan version migration ID parameter
+ */
+export const validatePlanMigrationId = [
+  migrationIdParam(),
+  validate,
+];
+
+const EVENT_STATUSES = ['pending', 'processing', 'processed', 'stale', 'failed', 'dead', 'stuck'];
+
+/**
+ * Stripe event list filters, from the query string or, with a prefix, a body object
+ */
+const eventFilterRules = (location, prefix = '') => [
+  location(`${prefix}status`)
+    .optional()
+    .customSanitizer(value => String(value).split(','))
+    .custom(statuses => statuses.every(status => EVENT_STATUSES.includes(status)))
+    .withMessage(`Status must be a comma-separated list of: ${EVENT_STATUSES.join(', ')}`),
+  location(`${prefix}type`)
+    .optional()
+    .isString(),
+  location(`${prefix}customer`)
+    .optional()
+    .isString(),
+  location([`${prefix}since`, `${prefix}until`])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601'),
+  location(`${prefix}limit`)
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .toInt(),
+];
+
+/**
+ * Validation rules for Stripe event list filters
+ */
+export const validateEventFilters = [
+  ...eventFilterRules(query),
+  validate,
+];
+
+/**
+ * Validation rules for replaying a batch of Stripe events
+ */
+export const validateEventReplay = [
+  body('eventIds')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('eventIds must be an array of 1-100 event IDs'),
+  body('eventIds.*')
+    .isString()
+    .matches(/^evt_/)
+    .withMessage('Invalid Stripe event ID'),
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('filters must be an object'),
+  ...eventFilterRules(body, 'filters.'),
+  body('refetch')
+    .optional()
+    .isBoolean(),
+  body()
+    .custom(value => value.eventIds || value.filters)
+    .withMessage('Either eventIds or filters is required'),
   validate,
 ];
@@ -0,0 +1,123 @@
+import database from './lib/database.js';
+import planCatalog from './lib/planCatalog.js';
+import planMigrationService from './lib/planMigrationService.js';
+
+const USAGE = `
+Usage:
+  node migrate-plans.js versions <planId>
+  node migrate-plans.js list [--status scheduled|running|completed|failed|canceled]
+  node migrate-plans.js schedule <planId> --by <admin> [--from <version>] [--to <version>]
+                                 [--at <date>] [--proration none|create_prorations|always_invoice]
+  node migrate-plans.js run <migrationId>
+  node migrate-plans.js cancel <migrationId>
+`;
+
+/**
+ * Parse "--name value" options and positional arguments
+ */
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { options, positional };
+}
+
+const toVersion = value => (value === undefined ? null : parseInt(value, 10));
+
+function printMigration(migration) {
+  console.log(`#${migration.id}  ${migration.plan_id}  v${migration.from_version ?? '*'} -> v${migration.to_version}  ${migration.status}  run_at=${new Date(migration.run_at).toISOString()}  proration=${migration.proration_behavior}  migrated=${migration.migrated}  failed=${migration.failed}  by=${migration.created_by}`);
+  if (migration.last_error) {
+    console.log(`  └ ${migration.last_error}`);
+  }
+}
+
+async function showVersions(planId) {
+  const versions = await planMigrationService.getVersionSummary(planId);
+
+  console.log(`\n${planId}:\n`);
+  for (const version of versions) {
+    console.log(`v${version.version}${version.current ? ' (current)' : ''}  devices=${version.deviceLimit}  min_quantity=${version.minQuantity}  subscribers=${version.subscribers}`);
+  }
+  console.log('');
+}
+
+async function listMigrations(options) {
+  const migrations = await planMigrationService.listMigrations({ status: options.status });
+
+  if (migrations.length === 0) {
+    console.log('\n✓ No matching migrations\n');
+    return;
+  }
+
+  console.log(`\n${migrations.length} migration(s):\n`);
+  migrations.forEach(printMigration);
+  console.log('');
+}
+
+async function scheduleMigration(planId, options) {
+  const migration = await planMigrationService.schedule({
+    planId,
+    fromVersion: toVersion(options.from),
+    toVersion: toVersion(options.to),
+    runAt: options.at ? new Date(options.at) : new Date(),
+    prorationBehavior: options.proration || 'none',
+  }, options.by);
+
+  console.log('\n📅 Migration scheduled:\n');
+  printMigration(migration);
+  console.log('');
+}
+
+async function runMigration(migrationId) {
+  console.log(`\n🚚 Running migration #${migrationId}...\n`);
+  const report = await planMigrationService.run(migrationId);
+
+  for (const failure of report.failures) {
+    console.log(`✗ user ${failure.userId}: ${failure.error}`);
+  }
+
+  console.log(`\n${report.migrated} of ${report.cohort} subscription(s) migrated, ${report.failures.length} failed\n`);
+  process.exitCode = report.failures.length > 0 ? 1 : 0;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { options, positional } = parseArgs(rest);
+  const [target] = positional;
+
+  try {
+    await planCatalog.refresh();
+
+    if (command === 'versions' && target) {
+      await showVersions(target);
+    } else if (command === 'list') {
+      await listMigrations(options);
+    } else if (command === 'schedule' && target && options.by) {
+      await scheduleMigration(target, options);
+    } else if (command === 'run' && target) {
+      await runMigration(parseInt(target, 10));
+    } else if (command === 'cancel' && target) {
+      await planMigrationService.cancel(parseInt(target, 10));
+      console.log(`\n✓ Migration #${target} canceled\n`);
+    } else {
+      console.log(USAGE);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
@@ -0,0 +1,38 @@
+import database from './lib/database.js';
+import reconciliationService from './lib/reconciliationService.js';
+
+const args = process.argv.slice(2);
+const fix = args.includes('--fix');
+const json = args.includes('--json');
+
+async function main() {
+  try {
+    if (!json) {
+      console.log(`\n🔎 Reconciling Stripe, database and Traccar${fix ? ' (fix mode)' : ' (report only)'}...\n`);
+    }
+
+    const report = await reconciliationService.run({ fix });
+
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      for (const item of report.drift) {
+        console.log(`✗ ${item.subscriptionId} user=${item.userId ?? '-'} ${item.source}.${item.field}: expected ${item.expected}, found ${item.actual}${item.fixable ? '' : ' (manual fix required)'}`);
+      }
+      for (const item of report.errors) {
+        console.log(`⚠️  ${item.subscriptionId}: ${item.error}`);
+      }
+
+      console.log(`\n${report.checked} subscription(s) checked, ${report.drift.length} discrepancy(ies), ${report.fixed} fixed, ${report.errors.length} error(s)\n`);
+    }
+
+    process.exitCode = report.drift.length > report.fixed || report.errors.length > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
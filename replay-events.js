@@ -0,0 +1,106 @@
+import database from './lib/database.js';
+import eventReplay from './lib/eventReplay.js';
+
+const USAGE = `
+Usage:
+  node replay-events.js list [--status failed,dead,stuck] [--type <event type>]
+                             [--customer <cus_...>] [--since <date>] [--until <date>] [--limit <n>]
+  node replay-events.js replay <evt_...> [<evt_...> ...] [--refetch]
+  node replay-events.js replay --all [list filters] [--refetch]
+`;
+
+/**
+ * Parse "--name value" options and positional arguments
+ */
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--refetch' || arg === '--all') {
+      options[arg.slice(2)] = true;
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { options, positional };
+}
+
+function toEventFilters(options) {
+  return {
+    statuses: options.status ? options.status.split(',') : [],
+    type: options.type,
+    customerId: options.customer,
+    since: options.since ? new Date(options.since) : undefined,
+    until: options.until ? new Date(options.until) : undefined,
+    limit: options.limit ? parseInt(options.limit, 10) : 50,
+  };
+}
+
+async function listEvents(options) {
+  const events = await eventReplay.listEvents(toEventFilters(options));
+
+  if (events.length === 0) {
+    console.log('\n✓ No matching events\n');
+    return;
+  }
+
+  console.log(`\n${events.length} event(s):\n`);
+  for (const event of events) {
+    console.log(`${event.stripe_event_id}  ${event.event_type}  ${event.status}  attempts=${event.attempts}  customer=${event.stripe_customer_id || '-'}  created=${new Date(event.created_at).toISOString()}`);
+    if (event.error_message) {
+      console.log(`  └ ${event.error_message}`);
+    }
+  }
+  console.log('');
+}
+
+async function replayEvents(positional, options) {
+  const eventIds = options.all
+    ? (await eventReplay.listEvents(toEventFilters(options))).map(event => event.stripe_event_id)
+    : positional;
+
+  if (eventIds.length === 0) {
+    console.log('\n✓ Nothing to replay\n');
+    return;
+  }
+
+  console.log(`\n🔁 Replaying ${eventIds.length} event(s)${options.refetch ? ' (re-fetching from Stripe)' : ''}...\n`);
+  const results = await eventReplay.replayEvents(eventIds, { refetch: options.refetch });
+
+  for (const result of results) {
+    const icon = result.status === 'processed' ? '✓' : '✗';
+    console.log(`${icon} ${result.eventId}: ${result.status}${result.error ? ` - ${result.error}` : ''}`);
+  }
+
+  const failed = results.filter(result => result.status !== 'processed').length;
+  console.log(`\n${results.length - failed} processed, ${failed} not processed\n`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { options, positional } = parseArgs(rest);
+
+  try {
+    if (command === 'list') {
+      await listEvents(options);
+    } else if (command === 'replay' && (positional.length > 0 || options.all)) {
+      await replayEvents(positional, options);
+    } else {
+      console.log(USAGE);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
@@ -0,0 +1,362 @@
+import express from 'express';
+import eventReplay from '../lib/eventReplay.js';
+import reconciliationService from '../lib/reconciliationService.js';
+import planCatalog from '../lib/planCatalog.js';
+import subscriptionService from '../lib/subscriptionService.js';
+import deviceBillingService from '../lib/deviceBillingService.js';
+import usageService from '../lib/usageService.js';
+import overrideService from '../lib/overrideService.js';
+import planMigrationService from '../lib/planMigrationService.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateEventFilters,
+  validateEventReplay,
+  validateOverrideRemove,
+  validateOverrideSet,
+  validatePlanCreate,
+  validatePlanId,
+  validatePlanMigrationCreate,
+  validatePlanMigrationFilters,
+  validatePlanMigrationId,
+  validatePlanUpdate,
+  validateUserId,
+} from '../middleware/validation.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * Map query/body filter fields to event list filters
+ */
+const toEventFilters = ({ status, type, customer, since, until, limit } = {}) => ({
+  statuses: Array.isArray(status) ? status : status?.split(',') || [],
+  type,
+  customerId: customer,
+  since: since ? new Date(since) : undefined,
+  until: until ? new Date(until) : undefined,
+  limit,
+});
+
+/**
+ * GET /admin/events
+ * List failed or stuck Stripe events
+ * Query: status (comma-separated), type, customer, since, until, limit
+ */
+router.get('/events', validateEventFilters, asyncHandler(async (req, res) => {
+  const events = await eventReplay.listEvents(toEventFilters(req.query));
+
+  res.json({
+    success: true,
+    events,
+  });
+}));
+
+/**
+ * GET /admin/events/:eventId
+ * Get a stored Stripe event including its payload
+ */
+router.get('/events/:eventId', asyncHandler(async (req, res) => {
+  const event = await subscriptionService.getStripeEvent(req.params.eventId);
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      error: 'Event not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    event,
+  });
+}));
+
+/**
+ * POST /admin/events/replay
+ * Replay a batch of events, given as eventIds or as list filters
+ * Body: { eventIds?, filters?, refetch? }
+ */
+router.post('/events/replay', validateEventReplay, asyncHandler(async (req, res) => {
+  const { eventIds, filters, refetch = false } = req.body;
+
+  const ids = eventIds
+    || (await eventReplay.listEvents(toEventFilters(filters))).map(event => event.stripe_event_id);
+
+  logger.info(`Admin replay of ${ids.length} Stripe event(s)${refetch ? ' (re-fetched from Stripe)' : ''}`);
+  const results = await eventReplay.replayEvents(ids, { refetch });
+
+  res.json({
+    success: true,
+    results,
+  });
+}));
+
+/**
+ * POST /admin/events/:eventId/replay
+ * Replay a single event
+ * Body: { refetch? }
+ */
+router.post('/events/:eventId/replay', asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const refetch = req.body?.refetch === true;
+
+  logger.info(`Admin replay of Stripe event ${eventId}${refetch ? ' (re-fetched from Stripe)' : ''}`);
+  const result = await eventReplay.replayEvent(eventId, { refetch });
+
+  if (result.status === 'not_found') {
+    return res.status(404).json({
+      success: false,
+      error: 'Event not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    result,
+  });
+}));
+
+/**
+ * GET /admin/plans
+ * List the plan catalog, including archived plans
+ */
+router.get('/plans', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    catalog: planCatalog.getSummary(),
+    plans: planCatalog.getAllPlans({ includeArchived: true }),
+  });
+}));
+
+/**
+ * POST /admin/plans
+ * Add a plan to the catalog
+ * Body: { id, name, description?, currency?, deviceLimit, billingMode?, minQuantity?, trialDays?, features?, entitlements?, sortOrder?, prices, stripePriceIds? }
+ */
+router.post('/plans', validatePlanCreate, asyncHandler(async (req, res) => {
+  const plan = await planCatalog.createPlan(req.body);
+
+  logger.info(`Admin created plan ${plan.id}`);
+  res.status(201).json({
+    success: true,
+    plan,
+  });
+}));
+
+/**
+ * PATCH /admin/plans/:planId
+ * Change a plan's details, entitlements, prices or Stripe price IDs
+ */
+router.patch('/plans/:planId', validatePlanUpdate, asyncHandler(async (req, res) => {
+  const plan = await planCatalog.updatePlan(req.params.planId, req.body);
+
+  logger.info(`Admin updated plan ${plan.id}`);
+  res.json({
+    success: true,
+    plan,
+  });
+}));
+
+/**
+ * POST /admin/plans/:planId/archive
+ * Stop offering a plan; existing subscriptions keep it
+ */
+router.post('/plans/:planId/archive', validatePlanId, asyncHandler(async (req, res) => {
+  const plan = await planCatalog.archivePlan(req.params.planId);
+
+  logger.info(`Admin archived plan ${plan.id}`);
+  res.json({
+    success: true,
+    plan,
+  });
+}));
+
+/**
+ * GET /admin/plans/:planId/versions
+ * A plan's versions with their terms and the number of live subscriptions on each
+ */
+router.get('/plans/:planId/versions', validatePlanId, asyncHandler(async (req, res) => {
+  const versions = await planMigrationService.getVersionSummary(req.params.planId);
+
+  res.json({
+    success: true,
+    versions,
+  });
+}));
+
+/**
+ * GET /admin/plan-migrations
+ * List plan version migrations, newest first
+ * Query: { status? }
+ */
+router.get('/plan-migrations', validatePlanMigrationFilters, asyncHandler(async (req, res) => {
+  const migrations = await planMigrationService.listMigrations({ status: req.query.status });
+
+  res.json({
+    success: true,
+    migrations,
+  });
+}));
+
+/**
+ * POST /admin/plan-migrations
+ * Schedule moving a plan's subscribers from older versions to a newer one
+ * Body: { planId, createdBy, fromVersion?, toVersion?, runAt?, prorationBehavior? }
+ */
+router.post('/plan-migrations', validatePlanMigrationCreate, asyncHandler(async (req, res) => {
+  const { createdBy, ...migration } = req.body;
+  const scheduled = await planMigrationService.schedule(migration, createdBy);
+
+  res.status(201).json({
+    success: true,
+    migration: scheduled,
+  });
+}));
+
+/**
+ * POST /admin/plan-migrations/:migrationId/run
+ * Run a migration now instead of on its date, or run a completed or failed one again to retry failures
+ */
+router.post('/plan-migrations/:migrationId/run', validatePlanMigrationId, asyncHandler(async (req, res) => {
+  logger.info(`Admin run of plan migration ${req.params.migrationId} requested`);
+  const report = await planMigrationService.run(req.params.migrationId);
+
+  res.json({
+    success: true,
+    report,
+  });
+}));
+
+/**
+ * POST /admin/plan-migrations/:migrationId/cancel
+ * Cancel a migration that has not run yet
+ */
+router.post('/plan-migrations/:migrationId/cancel', validatePlanMigrationId, asyncHandler(async (req, res) => {
+  const migration = await planMigrationService.cancel(req.params.migrationId);
+
+  res.json({
+    success: true,
+    migration,
+  });
+}));
+
+/**
+ * GET /admin/analytics
+ * Subscriptions and monthly recurring revenue per plan and currency, with totals per currency
+ */
+router.get('/analytics', asyncHandler(async (req, res) => {
+  const [plans, revenue] = await Promise.all([
+    subscriptionService.getSubscriptionAnalytics(),
+    subscriptionService.getRevenueByCurrency(),
+  ]);
+
+  res.json({
+    success: true,
+    plans,
+    revenue,
+  });
+}));
+
+/**
+ * GET /admin/users/:userId/override
+ * Get a customer's override of their plan's limits, entitlements and price
+ */
+router.get('/users/:userId/override', validateUserId, asyncHandler(async (req, res) => {
+  const override = await overrideService.getOverride(req.params.userId);
+
+  if (!override) {
+    return res.status(404).json({
+      success: false,
+      error: 'No override found for this user',
+    });
+  }
+
+  res.json({
+    success: true,
+    override,
+  });
+}));
+
+/**
+ * PUT /admin/users/:userId/override
+ * Set a customer's override, replacing any previous one, and apply it to their subscription
+ * Body: { setBy, deviceLimit?, userLimit?, entitlements?, planId?, stripePriceId?, notes? }
+ */
+router.put('/users/:userId/override', validateOverrideSet, asyncHandler(async (req, res) => {
+  const { setBy, ...fields } = req.body;
+
+  logger.info(`Admin override for user ${req.params.userId} requested by ${setBy}`);
+  const override = await overrideService.setOverride(req.params.userId, fields, setBy);
+
+  res.json({
+    success: true,
+    override,
+  });
+}));
+
+/**
+ * DELETE /admin/users/:userId/override
+ * Remove a customer's override; their subscription goes back to the plan's terms
+ * Body: { setBy }
+ */
+router.delete('/users/:userId/override', validateOverrideRemove, asyncHandler(async (req, res) => {
+  logger.info(`Admin override removal for user ${req.params.userId} requested by ${req.body.setBy}`);
+  await overrideService.removeOverride(req.params.userId, req.body.setBy);
+
+  res.json({
+    success: true,
+  });
+}));
+
+/**
+ * POST /admin/reconcile
+ * Compare Stripe, the database and Traccar and return a drift report
+ * Body: { fix? } - set fix: true to repair discrepancies
+ */
+router.post('/reconcile', asyncHandler(async (req, res) => {
+  const fix = req.body?.fix === true;
+
+  logger.info(`Admin reconciliation requested${fix ? ' (fix mode)' : ''}`);
+  const report = await reconciliationService.run({ fix });
+
+  res.json({
+    success: true,
+    report,
+  });
+}));
+
+/**
+ * POST /admin/device-quantities/sync
+ * Bring per-device subscription quantities in line with device counts now
+ * Body: { force? } - set force: true to bill changed counts without waiting for the debounce period
+ */
+router.post('/device-quantities/sync', asyncHandler(async (req, res) => {
+  const force = req.body?.force === true;
+
+  logger.info(`Admin device quantity sync requested${force ? ' (forced)' : ''}`);
+  const report = await deviceBillingService.runSync({ force });
+
+  res.json({
+    success: true,
+    report,
+  });
+}));
+
+/**
+ * POST /admin/usage/report
+ * Snapshot today's metered usage and report finished days to Stripe now
+ */
+router.post('/usage/report', asyncHandler(async (req, res) => {
+  logger.info('Admin usage report requested');
+  const report = await usageService.run();
+
+  res.json({
+    success: true,
+    report,
+  });
+}));
+
+export default router;
@@ -1,27 +1,84 @@
 import express from 'express';
 import Stripe from 'stripe';
 import { config } from '../config/index.js';
-import { PLANS, getPlanById, getAllPlans } from '../config/plans.js';
-import { validateCheckoutSession, validatePortalSession } from '../middleware/validation.js';
+import {
+  BILLING_INTERVALS,
+  DEFAULT_INTERVAL,
+  SUPPORTED_CURRENCIES,
+  getIntervalPrice,
+} from '../config/plans.js';
+import {
+  validateCheckoutSession,
+  validatePortalSession,
+  validatePlanChange,
+  validateCancellation,
+  validateInvoiceList,
+  validateInvoiceId,
+  validatePromoCode,
+  validateTrialSignup,
+  validatePlanList,
+} from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { checkoutLimiter } from '../middleware/rateLimiter.js';
+import { checkoutLimiter, promoLimiter } from '../middleware/rateLimiter.js';
+import { optionalTraccarUser, requireTraccarUser } from '../middleware/auth.js';
+import { resolveBillingIds } from '../lib/userResolver.js';
+import { resolveCurrency } from '../lib/currencyResolver.js';
+import billingOverview from '../lib/billingOverview.js';
+import planCatalog from '../lib/planCatalog.js';
+import planChangeService from '../lib/planChangeService.js';
+import cancellationService from '../lib/cancellationService.js';
+import invoiceService from '../lib/invoiceService.js';
+import promoService from '../lib/promoService.js';
+import trialService from '../lib/trialService.js';
+import deviceBillingService from '../lib/deviceBillingService.js';
+import overrideService from '../lib/overrideService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 const stripe = new Stripe(config.stripe.secretKey);
 
+/**
+ * Plan as returned by the API in one currency, with the price and Stripe price ID of each billing interval
+ */
+const toPlanResponse = ({ knownPrices, ...plan }, currency) => {
+  const monthlyListPrice = getIntervalPrice(plan, 'month', currency);
+
+  return {
+    ...plan,
+    price: monthlyListPrice,
+    currency,
+    currencies: SUPPORTED_CURRENCIES.filter(option => getIntervalPrice(plan, 'month', option) !== null),
+    stripePriceId: planCatalog.getPriceId(plan, DEFAULT_INTERVAL, currency),
+    intervals: BILLING_INTERVALS
+      .filter(interval => getIntervalPrice(plan, interval, currency) !== null)
+      .map(interval => {
+        const price = getIntervalPrice(plan, interval, currency);
+        const monthlyPrice = interval === 'year' ? Math.round((price / 12) * 100) / 100 : price;
+
+        return {
+          interval,
+          price,
+          currency,
+          monthlyPrice,
+          savingsPercent: monthlyListPrice ? Math.max(Math.round((1 - monthlyPrice / monthlyListPrice) * 100), 0) : 0,
+          stripePriceId: planCatalog.getPriceId(plan, interval, currency),
+        };
+      }),
+  };
+};
+
 /**
  * GET /billing/plans
  * List all available subscription plans
+ * Query: currency (defaults from the visitor's country or Accept-Language)
  */
-router.get('/plans', asyncHandler(async (req, res) => {
-  const plans = getAllPlans().map(plan => ({
-    ...plan,
-    stripePriceId: config.stripe.prices[plan.id],
-  }));
+router.get('/plans', validatePlanList, asyncHandler(async (req, res) => {
+  const currency = resolveCurrency(req, req.query.currency);
+  const plans = planCatalog.getAllPlans().map(plan => toPlanResponse(plan, currency));
 
   res.json({
     success: true,
+    currency,
     plans,
   });
 }));
@@ -30,11 +87,11 @@ router.get('/plans', asyncHandler(async (req, res) => {
  * GET /billing/plans/:planId
  * Get specific plan details
  */
-router.get('/plans/:planId', asyncHandler(async (req, res) => {
+router.get('/plans/:planId', validatePlanList, asyncHandler(async (req, res) => {
   const { planId } = req.params;
-  const plan = getPlanById(planId);
+  const plan = planCatalog.getPlanById(planId);
 
-  if (!plan) {
+  if (!plan?.active) {
     return res.status(404).json({
       success: false,
       error: 'Plan not found',
@@ -43,25 +100,72 @@ router.get('/plans/:planId', asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    plan: {
-      ...plan,
-      stripePriceId: config.stripe.prices[plan.id],
+    plan: toPlanResponse(plan, resolveCurrency(req, req.query.currency)),
+  });
+}));
+
+/**
+ * GET /billing/me
+ * Get the signed-in user's plan, status, device usage and renewal details
+ */
+router.get('/me', requireTraccarUser, asyncHandler(async (req, res) => {
+  const subscription = await billingOverview.getForUser(req.user);
+
+  res.json({
+    success: true,
+    user: {
+      id: req.user.id,
+      name: req.user.name,
+      email: req.user.email,
     },
+    subscription,
   });
 }));
 
+/**
+ * POST /billing/promo/validate
+ * Check a promotion code and return the discounted price for a plan
+ */
+router.post(
+  '/promo/validate',
+  promoLimiter,
+  validatePromoCode,
+  asyncHandler(async (req, res) => {
+    const { code, planId, interval = DEFAULT_INTERVAL } = req.body;
+    const currency = resolveCurrency(req, req.body.currency);
+
+    const plan = planCatalog.getPlanById(planId);
+    if (!plan) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid plan ID',
+      });
+    }
+
+    const result = await promoService.validate(code, plan, interval, currency);
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  })
+);
+
 /**
  * POST /billing/checkout
- * Create Stripe checkout session for plan subscription
+ * Create Stripe checkout session for plan subscription. A signed-in Traccar session is optional;
+ * it is required for a customer's negotiated price to apply.
  */
 router.post(
   '/checkout',
   checkoutLimiter,
+  optionalTraccarUser,
   validateCheckoutSession,
   asyncHandler(async (req, res) => {
-    const { planId, email, metadata = {} } = req.body;
+    const { planId, email, promoCode, interval = DEFAULT_INTERVAL, metadata = {} } = req.body;
+    const currency = resolveCurrency(req, req.body.currency);
 
-    const plan = getPlanById(planId);
+    const plan = planCatalog.getPlanById(planId);
     if (!plan) {
       return res.status(400).json({
         success: false,
@@ -69,16 +173,36 @@ router.post(
       });
     }
 
-    const stripePriceId = config.stripe.prices[plan.id];
+    // Signed-in customers with a negotiated price for this plan check out with it
+    const stripePriceId = await overrideService.getCheckoutPriceId(plan, req.user, email, planCatalog.getPriceId(plan, interval, currency));
     if (!stripePriceId) {
-      logger.error(`Stripe price ID not configured for plan: ${plan.id}`);
+      logger.error(`Stripe price ID not configured for plan: ${plan.id} (${interval}, ${currency})`);
       return res.status(500).json({
         success: false,
         error: 'Plan configuration error',
       });
     }
 
-    logger.info(`Creating checkout session for ${email} - Plan: ${plan.name}`);
+    // Stripe accepts either a pre-applied discount or the promotion code field, not both
+    let discountOptions = { allow_promotion_codes: config.stripe.allowPromotionCodes };
+    if (promoCode) {
+      const promo = await promoService.validate(promoCode, plan, interval, currency);
+      if (!promo.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid promotion code',
+          message: promo.reason,
+        });
+      }
+      discountOptions = { discounts: [{ promotion_code: promo.promotionCode.id }] };
+    }
+
+    const trialDays = await trialService.getCheckoutTrialDays(plan, email);
+    // Per-device plans start at the devices the customer already owns (at least the plan minimum);
+    // metered prices take no quantity
+    const quantity = await deviceBillingService.getCheckoutQuantity(plan, email);
+
+    logger.info(`Creating checkout session for ${email} - Plan: ${plan.name} (${interval}ly, ${currency})${quantity > 1 ? ` x${quantity}` : ''}${promoCode ? ` - Promo: ${promoCode}` : ''}${trialDays ? ` - Trial: ${trialDays} days` : ''}`);
 
     // Create Stripe checkout session
     const session = await stripe.checkout.sessions.create({
@@ -88,20 +212,27 @@ router.post(
       line_items: [
         {
           price: stripePriceId,
-          quantity: 1,
+          ...(quantity ? { quantity } : {}),
         },
       ],
       success_url: `${config.frontend.successUrl}?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: config.frontend.cancelUrl,
+      ...discountOptions,
       metadata: {
         planId: plan.id,
+        interval,
+        currency,
         deviceLimit: plan.deviceLimit.toString(),
         userEmail: email,
+        trialDays: trialDays.toString(),
         ...metadata,
       },
       subscription_data: {
+        ...(trialDays ? { trial_period_days: trialDays } : {}),
         metadata: {
           planId: plan.id,
+          interval,
+          currency,
           deviceLimit: plan.deviceLimit.toString(),
           userEmail: email,
         },
@@ -119,15 +250,62 @@ router.post(
   })
 );
 
+/**
+ * POST /billing/trial
+ * Start a card-less free trial: creates the Traccar user on the plan until the trial ends
+ */
+router.post(
+  '/trial',
+  checkoutLimiter,
+  validateTrialSignup,
+  asyncHandler(async (req, res) => {
+    const { planId, email, name, password } = req.body;
+
+    const plan = planCatalog.getPlanById(planId);
+    if (!plan) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid plan ID',
+      });
+    }
+
+    const { user, trialEnd } = await trialService.startTrial(plan, { email, name, password });
+
+    res.status(201).json({
+      success: true,
+      userId: user.id,
+      planId: plan.id,
+      trialDays: plan.trialDays,
+      trialEnd,
+    });
+  })
+);
+
 /**
  * POST /billing/portal
- * Create Stripe customer portal session for subscription management
+ * Create Stripe customer portal session for the signed-in user's subscription
  */
 router.post(
   '/portal',
+  requireTraccarUser,
   validatePortalSession,
   asyncHandler(async (req, res) => {
-    const { customerId } = req.body;
+    const { customerId } = await resolveBillingIds(req.user);
+
+    if (!customerId) {
+      return res.status(404).json({
+        success: false,
+        error: 'No billing account found for this user',
+      });
+    }
+
+    if (req.body.customerId && req.body.customerId !== customerId) {
+      logger.warn(`User ${req.user.id} requested a portal session for another customer: ${req.body.customerId}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+      });
+    }
 
     logger.info(`Creating portal session for customer: ${customerId}`);
 
@@ -168,13 +346,27 @@ router.post(
 
 /**
  * GET /billing/session/:sessionId
- * Retrieve checkout session details
+ * Retrieve one of the signed-in user's checkout sessions
  */
-router.get('/session/:sessionId', asyncHandler(async (req, res) => {
+router.get('/session/:sessionId', requireTraccarUser, asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
 
   const session = await stripe.checkout.sessions.retrieve(sessionId);
 
+  // The customer may not be linked to the user until the webhook is processed, so fall back to the email
+  const { customerId } = await resolveBillingIds(req.user);
+  const sessionEmail = session.customer_email || session.customer_details?.email;
+  const isOwner = (customerId && session.customer === customerId)
+    || (sessionEmail && sessionEmail.toLowerCase() === req.user.email?.toLowerCase());
+
+  if (!isOwner) {
+    logger.warn(`User ${req.user.id} requested checkout session ${sessionId} of another customer`);
+    return res.status(404).json({
+      success: false,
+      error: 'Checkout session not found',
+    });
+  }
+
   res.json({
     success: true,
     session: {
@@ -190,13 +382,22 @@ router.get('/session/:sessionId', asyncHandler(async (req, res) => {
 
 /**
  * GET /billing/subscription/:subscriptionId
- * Get subscription details
+ * Get details of one of the signed-in user's subscriptions
  */
-router.get('/subscription/:subscriptionId', asyncHandler(async (req, res) => {
+router.get('/subscription/:subscriptionId', requireTraccarUser, asyncHandler(async (req, res) => {
   const { subscriptionId } = req.params;
 
   const subscription = await stripe.subscriptions.retrieve(subscriptionId);
 
+  const { customerId } = await resolveBillingIds(req.user);
+  if (!customerId || subscription.customer !== customerId) {
+    logger.warn(`User ${req.user.id} requested subscription ${subscriptionId} of another customer`);
+    return res.status(404).json({
+      success: false,
+      error: 'Subscription not found',
+    });
+  }
+
   res.json({
     success: true,
     subscription: {
@@ -209,6 +410,130 @@ router.get('/subscription/:subscriptionId', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * POST /billing/subscription/preview-change
+ * Preview the prorated invoice for switching the signed-in user's subscription to another plan
+ */
+router.post(
+  '/subscription/preview-change',
+  requireTraccarUser,
+  validatePlanChange,
+  asyncHandler(async (req, res) => {
+    const { planId, interval, prorationBehavior } = req.body;
+
+    const preview = await planChangeService.previewChange(req.user, planId, { interval, prorationBehavior });
+
+    res.json({
+      success: true,
+      preview,
+    });
+  })
+);
+
+/**
+ * POST /billing/subscription/change
+ * Switch the signed-in user's subscription to another plan
+ */
+router.post(
+  '/subscription/change',
+  requireTraccarUser,
+  validatePlanChange,
+  asyncHandler(async (req, res) => {
+    const { planId, interval, prorationBehavior, prorationDate } = req.body;
+
+    const subscription = await planChangeService.changePlan(req.user, planId, {
+      interval,
+      prorationBehavior,
+      prorationDate,
+    });
+
+    res.json({
+      success: true,
+      subscription,
+    });
+  })
+);
+
+/**
+ * POST /billing/subscription/cancel
+ * Cancel the signed-in user's subscription at the end of the current period
+ */
+router.post(
+  '/subscription/cancel',
+  requireTraccarUser,
+  validateCancellation,
+  asyncHandler(async (req, res) => {
+    const { reason, feedback } = req.body;
+
+    const subscription = await cancellationService.cancel(req.user, { reason, feedback });
+
+    res.json({
+      success: true,
+      subscription,
+    });
+  })
+);
+
+/**
+ * POST /billing/subscription/resume
+ * Undo a pending cancellation of the signed-in user's subscription
+ */
+router.post('/subscription/resume', requireTraccarUser, asyncHandler(async (req, res) => {
+  const subscription = await cancellationService.resume(req.user);
+
+  res.json({
+    success: true,
+    subscription,
+  });
+}));
+
+/**
+ * GET /billing/invoices
+ * List the signed-in user's invoices, newest first
+ */
+router.get('/invoices', requireTraccarUser, validateInvoiceList, asyncHandler(async (req, res) => {
+  const { customerId } = await resolveBillingIds(req.user);
+  if (!customerId) {
+    return res.json({
+      success: true,
+      invoices: [],
+    });
+  }
+
+  const { source, invoices } = await invoiceService.listInvoices(customerId, {
+    limit: req.query.limit || 20,
+  });
+
+  res.json({
+    success: true,
+    source,
+    invoices,
+  });
+}));
+
+/**
+ * GET /billing/invoices/:invoiceId
+ * Get one of the signed-in user's invoices
+ */
+router.get('/invoices/:invoiceId', requireTraccarUser, validateInvoiceId, asyncHandler(async (req, res) => {
+  const { customerId } = await resolveBillingIds(req.user);
+  const invoice = customerId
+    ? await invoiceService.getInvoice(customerId, req.params.invoiceId)
+    : null;
+
+  if (!invoice) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invoice not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    invoice,
+  });
+}));
+
 /**
  * GET /billing/config
  * Get public billing configuration
@@ -217,7 +542,7 @@ router.get('/config', asyncHandler(async (req, res) => {
   res.json({
     success: true,
     publishableKey: config.stripe.publishableKey,
-    plans: getAllPlans(),
+    plans: planCatalog.getAllPlans().map(({ knownPrices, ...plan }) => plan),
   });
 }));
 
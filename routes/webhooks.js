@@ -1,9 +1,9 @@
 import express from 'express';
 import Stripe from 'stripe';
 import { config } from '../config/index.js';
-import { getPlanByPriceId } from '../config/plans.js';
-import traccarClient from '../lib/traccarClient.js';
 import subscriptionService from '../lib/subscriptionService.js';
+import webhookWorker from '../lib/webhookWorker.js';
+import { handleStripeEvent } from '../lib/webhookHandlers.js';
 import { webhookLimiter } from '../middleware/rateLimiter.js';
 import logger from '../utils/logger.js';
 
@@ -12,7 +12,7 @@ const stripe = new Stripe(config.stripe.secretKey);
 
 /**
  * POST /webhooks/stripe
- * Handle Stripe webhook events
+ * Verify and queue Stripe webhook events; the webhook worker processes them
  */
 router.post(
   '/stripe',
@@ -36,415 +36,53 @@ router.post(
 
     logger.info(`Received Stripe webhook: ${event.type}`);
 
-    // Log event to database (if available)
+    // Persist the event; the worker picks it up, and retries of a known event are no-ops
+    let queued;
     try {
-      await subscriptionService.logStripeEvent({
+      queued = await subscriptionService.enqueueStripeEvent({
         stripe_event_id: event.id,
         event_type: event.type,
-        stripe_customer_id: event.data.object.customer || null,
-        stripe_subscription_id: event.data.object.id || event.data.object.subscription || null,
+        stripe_created: event.created,
+        ...getEventReferences(event.data.object),
         payload: event.data.object,
-        processed: false,
       });
     } catch (dbError) {
-      logger.warn('Database not available for event logging, continuing anyway');
+      logger.warn('Database not available for event queueing, processing inline');
+      return processInline(event, res);
     }
 
-    try {
-      // Handle different event types
-      switch (event.type) {
-        case 'checkout.session.completed':
-          await handleCheckoutCompleted(event.data.object);
-          break;
-
-        case 'customer.subscription.created':
-          await handleSubscriptionCreated(event.data.object);
-          break;
-
-        case 'customer.subscription.updated':
-          await handleSubscriptionUpdated(event.data.object);
-          break;
-
-        case 'customer.subscription.deleted':
-          await handleSubscriptionDeleted(event.data.object);
-          break;
-
-        case 'invoice.payment_failed':
-          await handlePaymentFailed(event.data.object);
-          break;
-
-        case 'invoice.payment_succeeded':
-          await handlePaymentSucceeded(event.data.object);
-          break;
-
-        default:
-          logger.info(`Unhandled event type: ${event.type}`);
-      }
-
-      // Mark event as processed (if database available)
-      try {
-        await subscriptionService.markEventProcessed(event.id, true);
-      } catch (dbError) {
-        logger.warn('Could not mark event as processed in database');
-      }
-
-      res.json({ received: true });
-    } catch (error) {
-      logger.error(`Error processing webhook: ${error.message}`, error);
-
-      // Mark event as failed (if database available)
-      try {
-        await subscriptionService.markEventProcessed(event.id, false, error.message);
-      } catch (dbError) {
-        logger.warn('Could not mark event as failed in database');
-      }
-
-      res.status(500).json({ error: 'Webhook processing failed' });
-    }
-  }
-);
-
-/**
- * Handle checkout.session.completed event
- */
-async function handleCheckoutCompleted(session) {
-  logger.info(`Processing checkout completion: ${session.id}`);
-
-  const { customer_email: email, customer, subscription, metadata } = session;
-
-  logger.debug(`Metadata received: ${JSON.stringify(metadata)}`);
-  logger.debug(`Has temporaryPassword: ${!!metadata.temporaryPassword}`);
-  logger.debug(`Password length: ${metadata.temporaryPassword?.length || 0}`);
-
-  if (!subscription) {
-    logger.warn('No subscription in checkout session');
-    return;
-  }
-
-  // Get or create user in Traccar
-  let user = await traccarClient.getUserByEmail(email);
-
-  if (!user) {
-    logger.info(`User not found, creating new user: ${email}`);
-    const password = metadata.temporaryPassword || generateRandomPassword();
-
-    logger.info(`Creating user with password length: ${password.length}`);
-
-    user = await traccarClient.createUser({
-      name: metadata.userName || email.split('@')[0],
-      email,
-      password,
-      deviceLimit: parseInt(metadata.deviceLimit, 10),
-    });
-
-    logger.info(`User ${user.id} created. Testing login...`);
-
-    // Verify the credentials work immediately
-    let loginWorks = await traccarClient.verifyUserCredentials(email, password);
-    if (!loginWorks) {
-      logger.warn(`⚠️  Login test failed for user ${user.id}. Attempting password reset...`);
-
-      // Try to fix by updating the password
-      try {
-        await traccarClient.updateUserPassword(user.id, password);
-        logger.info(`Password updated via PUT request. Testing login again...`);
-
-        loginWorks = await traccarClient.verifyUserCredentials(email, password);
-        if (loginWorks) {
-          logger.info(`✓ Login working after password reset!`);
-        } else {
-          logger.error(`✗ Login still failing after password reset`);
-        }
-      } catch (error) {
-        logger.error(`Failed to reset password: ${error.message}`);
-      }
-    } else {
-      logger.info(`✓ Login verified for user ${user.id}`);
+    if (!queued) {
+      logger.info(`Event ${event.id} already queued, skipping`);
+      return res.json({ received: true, duplicate: true });
     }
-  }
-
-  // Get the full subscription object from Stripe
-  const stripeSubscription = await stripe.subscriptions.retrieve(subscription);
-  const priceId = stripeSubscription.items.data[0].price.id;
-  const plan = getPlanByPriceId(priceId, config.stripe.prices);
-
-  if (!plan) {
-    logger.error(`Unknown price ID: ${priceId}`);
-    return;
-  }
-
-  // Create subscription in database (if available)
-  try {
-    await subscriptionService.upsertSubscription(user.id, {
-      plan_id: plan.id,
-      stripe_customer_id: customer,
-      stripe_subscription_id: subscription,
-      status: stripeSubscription.status,
-      device_limit: plan.deviceLimit,
-      current_period_start: new Date(stripeSubscription.current_period_start * 1000),
-      current_period_end: new Date(stripeSubscription.current_period_end * 1000),
-      trial_start: stripeSubscription.trial_start ? new Date(stripeSubscription.trial_start * 1000) : null,
-      trial_end: stripeSubscription.trial_end ? new Date(stripeSubscription.trial_end * 1000) : null,
-    });
-    logger.info('Subscription saved to database');
-  } catch (dbError) {
-    logger.warn('Database not available, using attributes only');
-  }
-
-  // Also update user attributes for backward compatibility
-  await traccarClient.updateSubscriptionMetadata(user.id, {
-    customerId: customer,
-    subscriptionId: subscription,
-    plan: plan.id,
-    status: 'active',
-    startDate: new Date().toISOString(),
-  });
-
-  logger.info(`Checkout completed for user ${user.id}`);
-}
-
-/**
- * Handle customer.subscription.created event
- */
-async function handleSubscriptionCreated(subscription) {
-  logger.info(`Processing subscription created: ${subscription.id}`);
 
-  const { customer, metadata, items } = subscription;
-  const priceId = items.data[0].price.id;
-
-  const plan = getPlanByPriceId(priceId, config.stripe.prices);
-  if (!plan) {
-    logger.error(`Unknown price ID: ${priceId}`);
-    return;
-  }
-
-  const email = metadata.userEmail;
-  if (!email) {
-    logger.error('No email in subscription metadata');
-    return;
-  }
-
-  const user = await traccarClient.getUserByEmail(email);
-  if (!user) {
-    logger.error(`User not found: ${email}`);
-    return;
-  }
-
-  // Create subscription in database (if available)
-  try {
-    await subscriptionService.upsertSubscription(user.id, {
-      plan_id: plan.id,
-      stripe_customer_id: customer,
-      stripe_subscription_id: subscription.id,
-      status: subscription.status,
-      device_limit: plan.deviceLimit,
-      current_period_start: new Date(subscription.current_period_start * 1000),
-      current_period_end: new Date(subscription.current_period_end * 1000),
-      trial_start: subscription.trial_start ? new Date(subscription.trial_start * 1000) : null,
-      trial_end: subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
-    });
-  } catch (dbError) {
-    logger.warn('Database not available for subscription creation');
+    webhookWorker.wake();
+    res.json({ received: true });
   }
-
-  // Update device limit in tc_users.attributes for backward compatibility
-  await traccarClient.updateUserLimits(user.id, plan.deviceLimit, {
-    subscriptionPlan: plan.id,
-  });
-
-  // Enable user account
-  await traccarClient.setUserStatus(user.id, false);
-
-  logger.info(`Subscription activated for user ${user.id} - Plan: ${plan.name}`);
-}
-
-/**
- * Handle customer.subscription.updated event
- */
-async function handleSubscriptionUpdated(subscription) {
-  logger.info(`Processing subscription updated: ${subscription.id}`);
-
-  const { metadata, status, items } = subscription;
-  const priceId = items.data[0].price.id;
-
-  const plan = getPlanByPriceId(priceId, config.stripe.prices);
-  if (!plan) {
-    logger.error(`Unknown price ID: ${priceId}`);
-    return;
-  }
-
-  const email = metadata.userEmail;
-  if (!email) {
-    logger.error('No email in subscription metadata');
-    return;
-  }
-
-  const user = await traccarClient.getUserByEmail(email);
-  if (!user) {
-    logger.error(`User not found: ${email}`);
-    return;
-  }
-
-  // Update subscription in database (if available)
-  try {
-    await subscriptionService.upsertSubscription(user.id, {
-      plan_id: plan.id,
-      stripe_customer_id: subscription.customer,
-      stripe_subscription_id: subscription.id,
-      status: status,
-      device_limit: plan.deviceLimit,
-      current_period_start: new Date(subscription.current_period_start * 1000),
-      current_period_end: new Date(subscription.current_period_end * 1000),
-      trial_start: subscription.trial_start ? new Date(subscription.trial_start * 1000) : null,
-      trial_end: subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
-      cancel_at_period_end: subscription.cancel_at_period_end || false,
-      canceled_at: subscription.canceled_at ? new Date(subscription.canceled_at * 1000) : null,
-    });
-  } catch (dbError) {
-    logger.warn('Database not available for subscription update');
-  }
-
-  // Update device limit in tc_users.attributes for backward compatibility
-  await traccarClient.updateUserLimits(user.id, plan.deviceLimit, {
-    subscriptionPlan: plan.id,
-    subscriptionStatus: status,
-  });
-
-  // Handle status changes
-  if (status === 'unpaid' || status === 'past_due') {
-    logger.warn(`Subscription payment issue for user ${user.id}`);
-    // Optionally disable account after grace period
-  } else if (status === 'active') {
-    await traccarClient.setUserStatus(user.id, false);
-  }
-
-  logger.info(`Subscription updated for user ${user.id} - Status: ${status}`);
-}
-
-/**
- * Handle customer.subscription.deleted event
- */
-async function handleSubscriptionDeleted(subscription) {
-  logger.info(`Processing subscription deleted: ${subscription.id}`);
-
-  const { metadata } = subscription;
-  const email = metadata.userEmail;
-
-  if (!email) {
-    logger.error('No email in subscription metadata');
-    return;
-  }
-
-  const user = await traccarClient.getUserByEmail(email);
-  if (!user) {
-    logger.error(`User not found: ${email}`);
-    return;
-  }
-
-  // End subscription in database (if available)
-  try {
-    await subscriptionService.endSubscription(user.id);
-  } catch (dbError) {
-    logger.warn('Database not available for subscription deletion');
-  }
-
-  // Disable user account
-  await traccarClient.setUserStatus(user.id, true);
-
-  // Optionally reduce device limit to 0 or minimal
-  await traccarClient.updateUserLimits(user.id, 0, {
-    subscriptionStatus: 'canceled',
-  });
-
-  logger.info(`Subscription canceled for user ${user.id}`);
-}
+);
 
 /**
- * Handle invoice.payment_failed event
+ * Customer and subscription IDs an event's object refers to
  */
-async function handlePaymentFailed(invoice) {
-  logger.warn(`Payment failed for subscription: ${invoice.subscription}`);
-
-  const { customer_email: email } = invoice;
-
-  if (!email) {
-    logger.error('No email in invoice');
-    return;
-  }
-
-  const user = await traccarClient.getUserByEmail(email);
-  if (!user) {
-    logger.error(`User not found: ${email}`);
-    return;
-  }
-
-  // Update subscription status
-  await traccarClient.updateUserLimits(user.id, user.deviceLimit, {
-    subscriptionStatus: 'payment_failed',
-    lastPaymentAttempt: new Date().toISOString(),
-  });
-
-  // Add history entry (if database available)
-  try {
-    await subscriptionService.addSubscriptionHistory(
-      user.id,
-      'payment_failed',
-      `Payment failed for invoice ${invoice.id}`,
-      { invoice_id: invoice.id, amount: invoice.amount_due }
-    );
-  } catch (dbError) {
-    logger.warn('Could not log payment failure to database');
-  }
-
-  logger.info(`Payment failed notification for user ${user.id}`);
+function getEventReferences(object) {
+  return {
+    stripe_customer_id: object.object === 'customer' ? object.id : object.customer || null,
+    stripe_subscription_id: object.object === 'subscription' ? object.id : object.subscription || null,
+  };
 }
 
 /**
- * Handle invoice.payment_succeeded event
+ * Process an event within the request when it cannot be queued.
+ * Failures return 500 so Stripe's own retry schedule applies.
  */
-async function handlePaymentSucceeded(invoice) {
-  logger.info(`Payment succeeded for subscription: ${invoice.subscription}`);
-
-  const { customer_email: email } = invoice;
-
-  if (!email) {
-    return;
-  }
-
-  const user = await traccarClient.getUserByEmail(email);
-  if (!user) {
-    return;
-  }
-
-  // Update subscription status
-  await traccarClient.updateUserLimits(user.id, user.deviceLimit, {
-    subscriptionStatus: 'active',
-    lastPaymentDate: new Date().toISOString(),
-  });
-
-  // Ensure account is enabled
-  await traccarClient.setUserStatus(user.id, false);
-
-  // Add history entry (if database available)
+async function processInline(event, res) {
   try {
-    await subscriptionService.addSubscriptionHistory(
-      user.id,
-      'payment_succeeded',
-      `Payment succeeded for invoice ${invoice.id}`,
-      { invoice_id: invoice.id, amount: invoice.amount_paid }
-    );
-  } catch (dbError) {
-    logger.warn('Could not log payment success to database');
+    await handleStripeEvent(event);
+    res.json({ received: true });
+  } catch (error) {
+    logger.error(`Error processing webhook: ${error.message}`, error);
+    res.status(500).json({ error: 'Webhook processing failed' });
   }
-
-  logger.info(`Payment confirmed for user ${user.id}`);
-}
-
-/**
- * Generate random password for new users
- */
-function generateRandomPassword() {
-  return Math.random().toString(36).slice(-12) + Math.random().toString(36).slice(-12);
 }
 
 export default router;
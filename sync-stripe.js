@@ -0,0 +1,73 @@
+import database from './lib/database.js';
+import stripeCatalogSync from './lib/stripeCatalogSync.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const json = args.includes('--json');
+
+const SYMBOLS = {
+  create_product: '+',
+  create_price: '+',
+  update_product: '~',
+  tag_price: '~',
+  save_price_id: '~',
+  archive_price: '-',
+};
+
+const LABELS = {
+  create_product: 'create product',
+  create_price: 'create price',
+  update_product: 'update product',
+  tag_price: 'set lookup key on',
+  save_price_id: 'save price ID',
+  archive_price: 'archive price',
+};
+
+async function main() {
+  try {
+    if (!json) {
+      console.log(`\n🔄 Syncing the plan catalog to Stripe${dryRun ? ' (dry run)' : ''}...\n`);
+    }
+
+    const report = await stripeCatalogSync.run({ dryRun });
+
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`Using ${report.plans} plan(s) from the ${report.source === 'database' ? 'database' : 'built-in catalog'}\n`);
+
+      for (const change of report.changes) {
+        const target = [change.productId || change.priceId, change.interval && `${change.currency}/${change.interval}`]
+          .filter(Boolean)
+          .join(' ');
+        console.log(`${SYMBOLS[change.action]} ${change.planId}: ${LABELS[change.action]}${target ? ` ${target}` : ''} - ${change.detail}`);
+      }
+      for (const item of report.errors) {
+        console.log(`⚠️  ${item.planId}: ${item.error}`);
+      }
+
+      const envLines = Object.entries(report.env);
+      if (envLines.length > 0) {
+        console.log('\nThe database is unavailable. Update your server/.env file with these Price IDs:\n');
+        for (const [envName, priceId] of envLines) {
+          console.log(`${envName}=${priceId}`);
+        }
+      }
+
+      const summary = dryRun ? 'to make' : 'made';
+      console.log(`\n${report.plans} plan(s) checked, ${report.changes.length} change(s) ${summary}, ${report.errors.length} error(s)\n`);
+      if (dryRun && report.changes.length > 0) {
+        console.log('Run without --dry-run to apply these changes.\n');
+      }
+    }
+
+    process.exitCode = (dryRun && report.changes.length > 0) || report.errors.length > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();